@@ -0,0 +1,128 @@
+/**
+ * ============================================================================
+ * RULES BACKTEST CLI
+ * ============================================================================
+ *
+ * Streams a JSONL file of recorded { request, signals } inputs through the
+ * current and a candidate rules file and prints the outcome transition
+ * matrix, per-rule hit deltas and sample inputs for every changed bucket.
+ *
+ * Usage:
+ *   npm run rules:backtest -- <candidate.yaml> <inputs.jsonl>
+ *   node scripts/backtest.js <candidate.yaml> <inputs.jsonl>
+ *     [--current rules.yaml] [--samples 5] [--json]
+ * ============================================================================
+ */
+
+import fs from "fs";
+import readline from "readline";
+import { fileURLToPath } from "url";
+import { dirname, resolve } from "path";
+import { RuleEngine } from "../src/rules/engine.js";
+import { Backtest } from "../src/rules/backtest.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// ============================================================================
+// ARGUMENTS
+// ============================================================================
+
+const args = process.argv.slice(2);
+const options = {
+  current: resolve(__dirname, "../config/rules.yaml"),
+  samples: 5,
+  json: false,
+};
+const positional = [];
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--current") options.current = args[++i];
+  else if (args[i] === "--samples") options.samples = parseInt(args[++i]);
+  else if (args[i] === "--json") options.json = true;
+  else positional.push(args[i]);
+}
+
+const [candidatePath, inputsPath] = positional;
+if (!candidatePath || !inputsPath || Number.isNaN(options.samples)) {
+  console.error(
+    "Usage: node scripts/backtest.js <candidate.yaml> <inputs.jsonl> [--current rules.yaml] [--samples N] [--json]"
+  );
+  process.exit(2);
+}
+
+// ============================================================================
+// RUN
+// ============================================================================
+
+function loadEngine(path) {
+  const engine = new RuleEngine(path);
+  try {
+    engine.loadRules();
+  } catch (error) {
+    for (const e of error.errors || []) {
+      console.error(`ERROR ${path} ${e.path}: ${e.message}`);
+    }
+    process.exit(1);
+  }
+  return engine;
+}
+
+const backtest = new Backtest(
+  loadEngine(options.current),
+  loadEngine(candidatePath),
+  { sampleLimit: options.samples }
+);
+
+const lines = readline.createInterface({
+  input: fs.createReadStream(inputsPath),
+  crlfDelay: Infinity,
+});
+
+let lineNumber = 0;
+for await (const line of lines) {
+  backtest.addLine(line, ++lineNumber);
+}
+
+const report = backtest.report();
+
+if (options.json) {
+  console.log(JSON.stringify(report, null, 2));
+  process.exit(0);
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+const percent = (value) => `${(value * 100).toFixed(2)}%`;
+
+console.log("-".repeat(60));
+console.log(
+  `Inputs: ${report.total}, changed: ${report.changed} (${percent(report.changedRate)})` +
+    (report.invalid ? `, invalid lines: ${report.invalid}` : "")
+);
+
+console.log("\nOutcome transitions (current → candidate):");
+for (const [from, row] of Object.entries(report.transitions)) {
+  for (const [to, count] of Object.entries(row)) {
+    const marker = from === to ? " " : "*";
+    console.log(`  ${marker} ${from.padEnd(10)} → ${to.padEnd(10)} ${String(count).padStart(8)}`);
+  }
+}
+
+console.log("\nRule hits (current → candidate):");
+for (const hit of report.ruleHits) {
+  const delta = hit.delta > 0 ? `+${hit.delta}` : String(hit.delta);
+  console.log(
+    `  ${hit.ruleId.padEnd(14)} ${String(hit.current).padStart(8)} → ${String(hit.candidate).padEnd(8)} (${delta})`
+  );
+}
+
+for (const change of report.changes) {
+  console.log(`\nSamples ${change.from} → ${change.to} (${change.count}):`);
+  for (const sample of change.samples) {
+    console.log(
+      `  line ${sample.line}: ${sample.current.ruleId ?? "none"} → ${sample.candidate.ruleId ?? "none"}  ${JSON.stringify(sample.input)}`
+    );
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * ============================================================================
+ * RULE ENGINE BENCHMARK
+ * ============================================================================
+ *
+ * Compares per-decision cost of the precompiled rule predicates against the
+ * original tree-walking evaluator (reproduced below as the baseline).
+ *
+ * Usage:
+ *   npm run bench
+ *   node scripts/benchmark.js [rules.yaml] [iterations]
+ * ============================================================================
+ */
+
+import { fileURLToPath } from "url";
+import { dirname, resolve } from "path";
+import { RuleEngine, OPERATORS } from "../src/rules/engine.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const RULES_PATH = process.argv[2] || resolve(__dirname, "../config/rules.yaml");
+const ITERATIONS = parseInt(process.argv[3]) || 200000;
+const WARMUP = Math.min(20000, ITERATIONS);
+
+// ============================================================================
+// BASELINE - original per-request tree walk
+// ============================================================================
+
+function getValue(obj, path) {
+  return path.split(".").reduce((current, key) => {
+    return current && current[key] !== undefined ? current[key] : undefined;
+  }, obj);
+}
+
+function interpretCondition(condition, input) {
+  if (condition.operator) {
+    const results = condition.operands.map((op) =>
+      interpretCondition(op, input)
+    );
+    if (condition.operator === "AND") return results.every((r) => r);
+    if (condition.operator === "OR") return results.some((r) => r);
+    if (condition.operator === "NOT") return !results[0];
+    return false;
+  }
+
+  const compareFn = OPERATORS[condition.op];
+  return compareFn ? compareFn(getValue(input, condition.field), condition.value) : false;
+}
+
+function interpretRules(rules, input) {
+  for (const rule of rules) {
+    if (interpretCondition(rule.condition, input)) {
+      return rule.outcome;
+    }
+  }
+  return null;
+}
+
+// Same first-match loop over the precompiled predicates
+function runPredicates(rules, input) {
+  for (const rule of rules) {
+    if (rule.predicate(input, null)) {
+      return rule.outcome;
+    }
+  }
+  return null;
+}
+
+// ============================================================================
+// INPUTS - a spread of inputs that hit different rules (and none)
+// ============================================================================
+
+function buildInputs(count) {
+  const inputs = [];
+  for (let i = 0; i < count; i++) {
+    inputs.push({
+      request: {
+        type: "transaction",
+        amount: (i * 37) % 2000,
+        frequency: i % 120,
+      },
+      signals: {
+        risk_score: (i * 13) % 100,
+        source_reputation: (i * 7) % 100,
+        is_verified: i % 3 === 0,
+        is_returning: i % 2 === 0,
+        is_whitelisted: i % 50 === 0,
+        anomaly_detected: i % 17 === 0,
+      },
+    });
+  }
+  return inputs;
+}
+
+// ============================================================================
+// RUN
+// ============================================================================
+
+function time(label, fn) {
+  for (let i = 0; i < WARMUP; i++) fn(i);
+
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < ITERATIONS; i++) fn(i);
+  const elapsedNs = Number(process.hrtime.bigint() - start);
+
+  const perDecisionNs = elapsedNs / ITERATIONS;
+  console.log(
+    `${label.padEnd(12)} ${perDecisionNs.toFixed(0).padStart(8)} ns/decision  ` +
+      `${Math.round(1e9 / perDecisionNs).toLocaleString().padStart(12)} decisions/s`
+  );
+  return perDecisionNs;
+}
+
+const engine = new RuleEngine(RULES_PATH);
+engine.loadRules();
+
+const inputs = buildInputs(1000);
+const rules = engine.rules;
+
+console.log(`Rules: ${rules.length}, iterations: ${ITERATIONS.toLocaleString()}`);
+console.log("-".repeat(60));
+
+const baseline = time("baseline", (i) =>
+  interpretRules(rules, inputs[i % inputs.length])
+);
+const compiled = time("compiled", (i) =>
+  runPredicates(rules, inputs[i % inputs.length])
+);
+time("evaluate()", (i) => engine.evaluate(inputs[i % inputs.length]));
+
+console.log("-".repeat(60));
+console.log(`Speedup (compiled vs baseline): ${(baseline / compiled).toFixed(2)}x`);
+console.log("evaluate() includes evaluation path and timing overhead");
@@ -0,0 +1,67 @@
+/**
+ * ============================================================================
+ * RULES LINTER CLI
+ * ============================================================================
+ *
+ * Statically analyzes a rules file for unsatisfiable, shadowed and duplicate
+ * rules and for numeric ranges no rule covers.
+ *
+ * Exits non-zero when the file is invalid or has errors (with --strict,
+ * also on warnings), so it can gate a pipeline.
+ *
+ * Usage:
+ *   npm run rules:lint
+ *   node scripts/lint-rules.js [rules.yaml] [--strict] [--json]
+ * ============================================================================
+ */
+
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { dirname, resolve } from "path";
+import { lintRulesContent } from "../src/rules/linter.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const args = process.argv.slice(2);
+const strict = args.includes("--strict");
+const json = args.includes("--json");
+const rulesPath =
+  args.find((arg) => !arg.startsWith("--")) ||
+  resolve(__dirname, "../config/rules.yaml");
+
+const result = lintRulesContent(fs.readFileSync(rulesPath, "utf8"), {
+  filePath: rulesPath,
+});
+
+if (json) {
+  console.log(JSON.stringify(result, null, 2));
+} else {
+  console.log(`Linting ${rulesPath}`);
+  console.log("-".repeat(60));
+
+  for (const error of result.errors) {
+    console.log(`ERROR    ${error.path}: ${error.message}`);
+  }
+  for (const warning of result.warnings) {
+    console.log(`WARNING  ${warning.path}: ${warning.message}`);
+  }
+  for (const finding of result.findings) {
+    const label = finding.severity.toUpperCase().padEnd(8);
+    console.log(`${label} [${finding.type}] ${finding.message}`);
+  }
+
+  console.log("-".repeat(60));
+  if (!result.valid) {
+    console.log(`Invalid rules file (${result.errors.length} schema errors)`);
+  } else {
+    const { errors, warnings, info } = result.summary;
+    console.log(`${errors} errors, ${warnings} warnings, ${info} info`);
+  }
+}
+
+const failed =
+  !result.valid ||
+  result.summary.errors > 0 ||
+  (strict && result.summary.warnings > 0);
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,74 @@
+/**
+ * ============================================================================
+ * RULES TEST CLI
+ * ============================================================================
+ *
+ * Loads a rules file with the RuleEngine and runs the test cases embedded
+ * in its tests: section. Failing cases are printed with the comparisons
+ * that diverged; the process exits non-zero if any case fails or the file
+ * does not load, so it can gate a pipeline.
+ *
+ * Usage:
+ *   npm run rules:test
+ *   node scripts/test-rules.js [rules.yaml] [--json]
+ * ============================================================================
+ */
+
+import { fileURLToPath } from "url";
+import { dirname, resolve } from "path";
+import { RuleEngine } from "../src/rules/engine.js";
+import { runRuleTests, formatComparison } from "../src/rules/testRunner.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const args = process.argv.slice(2);
+const json = args.includes("--json");
+const rulesPath =
+  args.find((arg) => !arg.startsWith("--")) ||
+  resolve(__dirname, "../config/rules.yaml");
+
+const engine = new RuleEngine(rulesPath);
+try {
+  engine.loadRules();
+} catch (error) {
+  for (const e of error.errors || []) {
+    console.error(`ERROR ${e.path}: ${e.message}`);
+  }
+  process.exit(1);
+}
+
+const report = runRuleTests(engine);
+
+if (json) {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  console.log("-".repeat(60));
+
+  for (const result of report.results) {
+    if (result.passed) {
+      console.log(`PASS  ${result.name}`);
+      continue;
+    }
+
+    console.log(`FAIL  ${result.name}`);
+    console.log(
+      `      expected ${result.expected.outcome} (rule ${result.expected.rule_id ?? "none"}), ` +
+        `got ${result.actual.outcome} (rule ${result.actual.rule_id ?? "none"})`
+    );
+    for (const divergence of result.divergence) {
+      console.log(`      ${divergence.ruleId}: ${divergence.message}`);
+      for (const comparison of divergence.comparisons || []) {
+        console.log(`        - ${formatComparison(comparison)}`);
+      }
+    }
+  }
+
+  console.log("-".repeat(60));
+  console.log(
+    report.total === 0
+      ? "No embedded tests found"
+      : `${report.passed} passed, ${report.failed} failed (${report.total} total)`
+  );
+}
+
+process.exit(report.failed > 0 ? 1 : 0);
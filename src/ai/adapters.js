@@ -0,0 +1,236 @@
+/**
+ * ============================================================================
+ * AI PROVIDER ADAPTERS - Request/response format of each provider API
+ * ============================================================================
+ * An adapter turns a prompt into an HTTP request for its API, and the
+ * response back into the model's text:
+ *
+ *   buildRequest(provider, prompt) → { url, headers, body }
+ *   checkResponse(data)            - throws if the API declined to answer
+ *   extractContent(data)           → text | null
+ *   classifyError(status, data)    → error kind for a failed call (optional)
+ *   errorDetail(data)              → the API's own error message
+ *
+ * Providers:
+ * - gemini - Google Generative Language API
+ * - claude - Anthropic Messages API
+ * - openai - OpenAI chat completions, or any server speaking the same
+ *            format (vLLM, LM Studio, ...) via a configurable base URL
+ * - ollama - Ollama's local /api/chat
+ *
+ * Design Decisions:
+ * 1. Failures are thrown with a stable code, <PREFIX>_<KIND>[:detail]
+ *    (e.g. OLLAMA_MODEL_NOT_FOUND, OPENAI_RATE_LIMITED), so logs don't
+ *    depend on each API's wording
+ * 2. Local providers need no API key - auth headers are only sent if set
+ * 3. OpenAI's own API takes `max_completion_tokens` (newer models reject
+ *    `max_tokens`), compatible servers mostly only know `max_tokens`: the
+ *    name is picked by host unless the provider sets `maxTokensParam`
+ * 4. A 2xx response whose body is not a JSON object is reported as
+ *    <PREFIX>_MALFORMED_RESPONSE, not as an empty answer
+ * ============================================================================
+ */
+
+// System message for chat-style APIs
+const SYSTEM_PROMPT =
+  "You are a risk analysis assistant. Always respond with valid JSON only.";
+
+// Lower temperature for more consistent outputs
+const TEMPERATURE = 0.3;
+const MAX_TOKENS = 500;
+
+/**
+ * Join a base URL and a path, tolerating a trailing slash on the base
+ */
+function joinUrl(base, path) {
+  return `${base.replace(/\/+$/, "")}${path}`;
+}
+
+/**
+ * Name of the token limit parameter for an OpenAI-compatible endpoint
+ */
+function openAIMaxTokensParam(provider) {
+  if (provider.maxTokensParam) {
+    return provider.maxTokensParam;
+  }
+  try {
+    return new URL(provider.apiUrl).hostname === "api.openai.com"
+      ? "max_completion_tokens"
+      : "max_tokens";
+  } catch {
+    return "max_tokens";
+  }
+}
+
+export const PROVIDER_ADAPTERS = {
+  gemini: {
+    prefix: "GEMINI",
+    buildRequest(provider, prompt) {
+      return {
+        url: `${provider.apiUrl}/${provider.model}:generateContent?key=${provider.apiKey}`,
+        headers: {},
+        body: { contents: [{ parts: [{ text: prompt }] }] },
+      };
+    },
+    checkResponse(data) {
+      // Safety block
+      if (data?.promptFeedback?.blockReason) {
+        throw new Error(`GEMINI_BLOCKED:${data.promptFeedback.blockReason}`);
+      }
+    },
+    extractContent(data) {
+      return data?.candidates?.[0]?.content?.parts?.map((p) => p.text)?.join("") || null;
+    },
+    classifyError(status, data) {
+      return data?.error?.status === "RESOURCE_EXHAUSTED" ? "RATE_LIMITED" : undefined;
+    },
+    errorDetail(data) {
+      return data?.error?.message;
+    },
+  },
+
+  claude: {
+    prefix: "CLAUDE",
+    buildRequest(provider, prompt) {
+      return {
+        url: provider.apiUrl,
+        headers: {
+          "x-api-key": provider.apiKey,
+          "anthropic-version": "2023-06-01",
+        },
+        body: {
+          model: provider.model,
+          max_tokens: MAX_TOKENS,
+          messages: [{ role: "user", content: prompt }],
+        },
+      };
+    },
+    extractContent(data) {
+      return data?.content?.[0]?.text || null;
+    },
+    classifyError(status, data) {
+      return data?.error?.type === "overloaded_error" ? "OVERLOADED" : undefined;
+    },
+    errorDetail(data) {
+      return data?.error?.message;
+    },
+  },
+
+  openai: {
+    prefix: "OPENAI",
+    buildRequest(provider, prompt) {
+      return {
+        url: joinUrl(provider.apiUrl, "/chat/completions"),
+        headers: provider.apiKey ? { Authorization: `Bearer ${provider.apiKey}` } : {},
+        body: {
+          model: provider.model,
+          messages: [
+            { role: "system", content: SYSTEM_PROMPT },
+            { role: "user", content: prompt },
+          ],
+          temperature: TEMPERATURE,
+          [openAIMaxTokensParam(provider)]: MAX_TOKENS,
+        },
+      };
+    },
+    checkResponse(data) {
+      if (data?.choices?.[0]?.finish_reason === "content_filter") {
+        throw new Error("OPENAI_CONTENT_FILTERED");
+      }
+    },
+    extractContent(data) {
+      return data?.choices?.[0]?.message?.content || null;
+    },
+    classifyError(status, data) {
+      const code = data?.error?.code;
+      if (code === "model_not_found") return "MODEL_NOT_FOUND";
+      if (code === "insufficient_quota") return "QUOTA_EXCEEDED";
+      return undefined;
+    },
+    errorDetail(data) {
+      // OpenAI nests the message; some compatible servers send a string
+      return data?.error?.message || (typeof data?.error === "string" ? data.error : undefined);
+    },
+  },
+
+  ollama: {
+    prefix: "OLLAMA",
+    buildRequest(provider, prompt) {
+      return {
+        url: joinUrl(provider.apiUrl, "/api/chat"),
+        headers: {},
+        body: {
+          model: provider.model,
+          messages: [
+            { role: "system", content: SYSTEM_PROMPT },
+            { role: "user", content: prompt },
+          ],
+          format: "json",
+          stream: false,
+          options: { temperature: TEMPERATURE, num_predict: MAX_TOKENS },
+        },
+      };
+    },
+    checkResponse(data) {
+      if (data?.error) {
+        throw new Error(`OLLAMA_ERROR:${data.error}`);
+      }
+    },
+    extractContent(data) {
+      return data?.message?.content || null;
+    },
+    classifyError(status) {
+      // Ollama answers 404 for a model that hasn't been pulled
+      return status === 404 ? "MODEL_NOT_FOUND" : undefined;
+    },
+    errorDetail(data) {
+      return typeof data?.error === "string" ? data.error : undefined;
+    },
+  },
+};
+
+// Error kinds by HTTP status, unless the adapter classifies the error
+const HTTP_ERROR_KINDS = {
+  400: "BAD_REQUEST",
+  401: "AUTH_FAILED",
+  403: "AUTH_FAILED",
+  404: "NOT_FOUND",
+  429: "RATE_LIMITED",
+};
+
+// Network error codes meaning the provider could not be reached at all
+const UNREACHABLE_CODES = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "EHOSTUNREACH", "ECONNRESET"];
+
+/**
+ * Map a failed HTTP call (axios error) to an error with a stable code
+ * Errors that are not HTTP failures are returned unchanged.
+ */
+export function mapProviderError(adapter, error) {
+  if (!error?.isAxiosError) {
+    return error;
+  }
+
+  let kind;
+  let detail;
+  if (error.response) {
+    const { status, data } = error.response;
+    kind =
+      adapter.classifyError?.(status, data) ||
+      HTTP_ERROR_KINDS[status] ||
+      (status >= 500 ? "SERVER_ERROR" : `HTTP_${status}`);
+    detail = adapter.errorDetail?.(data);
+  } else if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+    kind = "TIMEOUT";
+  } else if (UNREACHABLE_CODES.includes(error.code)) {
+    kind = "UNREACHABLE";
+    detail = error.code;
+  } else {
+    return error;
+  }
+
+  const code = `${adapter.prefix}_${kind}`;
+  const mapped = new Error(detail ? `${code}:${detail}` : code);
+  mapped.code = code;
+  mapped.status = error.response?.status;
+  return mapped;
+}
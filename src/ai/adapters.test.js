@@ -0,0 +1,188 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { AIAnalyzer } from "./analyzer.js";
+import { PROVIDER_ADAPTERS } from "./adapters.js";
+import { buildAIProviders, redactProviders } from "./provider.js";
+
+const TIMEOUT_MS = 200;
+
+// The stub's answer to the next request, and the requests it received
+let reply;
+const received = [];
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    received.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+    reply(res);
+  });
+});
+
+/**
+ * Reply with a status and a JSON (or raw string) body
+ */
+const respond = (status, body) => (res) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(typeof body === "string" ? body : JSON.stringify(body));
+};
+
+let baseUrl;
+let providers;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const [openai, ollama] = buildAIProviders({
+    OPENAI_MODEL: "gpt-test",
+    OPENAI_API_KEY: "sk-test",
+    OPENAI_BASE_URL: `${baseUrl}/v1/`,
+    OLLAMA_MODEL: "llama-test",
+    OLLAMA_BASE_URL: baseUrl,
+  });
+  providers = { openai, ollama };
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  received.length = 0;
+});
+
+const analyzer = new AIAnalyzer({ timeout: TIMEOUT_MS });
+
+/**
+ * Call a provider and return the error code it failed with
+ */
+async function failureCode(provider) {
+  const error = await analyzer.callProvider(provider, "prompt").then(
+    () => assert.fail("the call should fail"),
+    (error) => error
+  );
+  return error.message;
+}
+
+test("openai: a completion is sent and its content returned", async () => {
+  reply = respond(200, { choices: [{ message: { content: '{"recommendation":"ALLOW"}' } }] });
+  assert.equal(await analyzer.callProvider(providers.openai, "prompt"), '{"recommendation":"ALLOW"}');
+
+  const [request] = received;
+  assert.equal(request.url, "/v1/chat/completions");
+  assert.equal(request.headers.authorization, "Bearer sk-test");
+  assert.equal(request.body.model, "gpt-test");
+  assert.equal(request.body.messages.at(-1).content, "prompt");
+  // Not api.openai.com: the widely supported name
+  assert.equal(request.body.max_tokens, 500);
+  assert.equal(request.body.max_completion_tokens, undefined);
+});
+
+test("openai: non-2xx responses map to stable codes", async () => {
+  reply = respond(429, { error: { message: "slow down", code: "rate_limit_exceeded" } });
+  assert.equal(await failureCode(providers.openai), "OPENAI_RATE_LIMITED:slow down");
+
+  reply = respond(404, { error: { message: "no such model", code: "model_not_found" } });
+  assert.equal(await failureCode(providers.openai), "OPENAI_MODEL_NOT_FOUND:no such model");
+
+  // Compatible servers may send the error as a string
+  reply = respond(503, { error: "loading" });
+  assert.equal(await failureCode(providers.openai), "OPENAI_SERVER_ERROR:loading");
+});
+
+test("openai: a timeout maps to OPENAI_TIMEOUT", async () => {
+  reply = () => {}; // never answers
+  assert.equal(await failureCode(providers.openai), "OPENAI_TIMEOUT");
+});
+
+test("openai: a malformed body maps to OPENAI_MALFORMED_RESPONSE", async () => {
+  reply = respond(200, '{"choices": [');
+  assert.equal(await failureCode(providers.openai), "OPENAI_MALFORMED_RESPONSE");
+
+  reply = respond(200, { choices: [] });
+  assert.equal(await failureCode(providers.openai), "OPENAI_EMPTY_RESPONSE");
+});
+
+test("ollama: a chat response is sent and its content returned", async () => {
+  reply = respond(200, { message: { role: "assistant", content: '{"recommendation":"DENY"}' } });
+  assert.equal(await analyzer.callProvider(providers.ollama, "prompt"), '{"recommendation":"DENY"}');
+
+  const [request] = received;
+  assert.equal(request.url, "/api/chat");
+  assert.equal(request.headers.authorization, undefined);
+  assert.equal(request.body.model, "llama-test");
+  assert.equal(request.body.stream, false);
+  assert.equal(request.body.format, "json");
+});
+
+test("ollama: non-2xx responses map to stable codes", async () => {
+  reply = respond(404, { error: 'model "llama-test" not found, try pulling it first' });
+  assert.equal(
+    await failureCode(providers.ollama),
+    'OLLAMA_MODEL_NOT_FOUND:model "llama-test" not found, try pulling it first'
+  );
+
+  reply = respond(500, { error: "out of memory" });
+  assert.equal(await failureCode(providers.ollama), "OLLAMA_SERVER_ERROR:out of memory");
+});
+
+test("ollama: a timeout maps to OLLAMA_TIMEOUT", async () => {
+  reply = () => {};
+  assert.equal(await failureCode(providers.ollama), "OLLAMA_TIMEOUT");
+});
+
+test("ollama: a malformed body maps to OLLAMA_MALFORMED_RESPONSE", async () => {
+  reply = respond(200, "<html>Bad gateway</html>");
+  assert.equal(await failureCode(providers.ollama), "OLLAMA_MALFORMED_RESPONSE");
+
+  // Well-formed, but an error in place of the answer
+  reply = respond(200, { error: "model is loading" });
+  assert.equal(await failureCode(providers.ollama), "OLLAMA_ERROR:model is loading");
+});
+
+test("an unreachable provider maps to UNREACHABLE", async () => {
+  const closed = http.createServer();
+  await new Promise((resolve) => closed.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${closed.address().port}`;
+  await new Promise((resolve) => closed.close(resolve));
+
+  assert.equal(
+    await failureCode({ ...providers.ollama, apiUrl: url }),
+    "OLLAMA_UNREACHABLE:ECONNREFUSED"
+  );
+});
+
+test("api.openai.com gets max_completion_tokens unless configured otherwise", () => {
+  const { openai } = PROVIDER_ADAPTERS;
+  const [official] = buildAIProviders({ OPENAI_MODEL: "gpt-test", OPENAI_API_KEY: "sk-test" });
+  assert.equal(official.apiUrl, "https://api.openai.com/v1");
+
+  const body = openai.buildRequest(official, "prompt").body;
+  assert.equal(body.max_completion_tokens, 500);
+  assert.equal(body.max_tokens, undefined);
+
+  const [configured] = buildAIProviders({
+    OPENAI_MODEL: "gpt-test",
+    OPENAI_BASE_URL: "http://vllm:8000/v1",
+    OPENAI_MAX_TOKENS_PARAM: "max_completion_tokens",
+  });
+  assert.equal(openai.buildRequest(configured, "prompt").body.max_completion_tokens, 500);
+});
+
+test("redacted providers keep everything but the API key", () => {
+  const list = buildAIProviders({
+    CLAUDE_API_KEY: "sk-ant-secret",
+    CLAUDE_MODEL: "claude-test",
+    OLLAMA_MODEL: "llama-test",
+  });
+  const redacted = redactProviders(list);
+
+  assert.equal(redacted[0].apiKey, "[redacted]");
+  assert.equal(redacted[0].model, "claude-test");
+  assert.deepEqual(redacted[1], list[1]);
+  assert.doesNotMatch(JSON.stringify(redacted), /secret/);
+  // The originals are still usable
+  assert.equal(list[0].apiKey, "sk-ant-secret");
+});
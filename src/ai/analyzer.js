@@ -1,4 +1,16 @@
 import axios from "axios";
+import { compileOutcomes } from "../rules/outcomes.js";
+import { PROVIDER_ADAPTERS, mapProviderError } from "./adapters.js";
+
+// Built-in outcome taxonomy, used when no configured one is passed
+const DEFAULT_OUTCOMES = compileOutcomes(null);
+
+/**
+ * Keep only the strings of a model-supplied list (anything else → [])
+ */
+function stringList(value) {
+  return Array.isArray(value) ? value.filter((item) => typeof item === "string") : [];
+}
 
 /**
  * ============================================================================
@@ -20,18 +32,35 @@ export class AIAnalyzer {
   // Prompt
   // ============================================================================
 
-  buildPrompt(input, ruleContext) {
+  buildPrompt(input, ruleContext, outcomes = DEFAULT_OUTCOMES) {
+    // Derived features get their own section so they are not mistaken for
+    // fields the caller sent
+    const { derived, ...request } = input;
+    const features = derived
+      ? `\nDERIVED FEATURES:\n${JSON.stringify(derived, null, 2)}\n`
+      : "";
+
+    const decisions = outcomes.decisions
+      .map((decision) =>
+        decision.description ? `- ${decision.name}: ${decision.description}` : `- ${decision.name}`
+      )
+      .join("\n");
+    const choices = outcomes.decisions.map((decision) => `"${decision.name}"`).join(" | ");
+
     return `You are a decision support system analyzing a GREY-ZONE request.
 
 REQUEST:
-${JSON.stringify(input, null, 2)}
-
+${JSON.stringify(request, null, 2)}
+${features}
 RULE CONTEXT:
 ${JSON.stringify(ruleContext.evaluationPath || [], null, 2)}
 
+POSSIBLE DECISIONS (least to most severe):
+${decisions}
+
 Respond ONLY in JSON:
 {
-  "recommendation": "ALLOW" | "DENY" | "REVIEW",
+  "recommendation": ${choices},
   "confidence": 0.0-1.0,
   "reasoning": "short explanation",
   "risk_factors": [],
@@ -43,94 +72,70 @@ Respond ONLY in JSON:
   // Provider call
   // ============================================================================
 
+  /**
+   * Send the prompt to one provider and return the model's text
+   * The request/response format comes from the provider's adapter
+   * (see adapters.js); HTTP failures are rethrown with a stable code.
+   */
   async callProvider(provider, prompt) {
-    let url;
-    let headers = { "Content-Type": "application/json" };
-    let body;
-
-    if (provider.name === "gemini") {
-      url = `${provider.apiUrl}/${provider.model}:generateContent?key=${provider.apiKey}`;
-      body = { contents: [{ parts: [{ text: prompt }] }] };
-    } else if (provider.name === "claude") {
-      url = provider.apiUrl;
-      headers["x-api-key"] = provider.apiKey;
-      headers["anthropic-version"] = "2023-06-01";
-      body = {
-        model: provider.model,
-        max_tokens: 500,
-        messages: [{ role: "user", content: prompt }],
-      };
-    } else {
+    const adapter = PROVIDER_ADAPTERS[provider.name];
+    if (!adapter) {
       throw new Error(`Unknown provider: ${provider.name}`);
     }
 
-    const response = await axios.post(url, body, {
-      headers,
-      timeout: this.timeout,
-    });
-
-    // Gemini safety block
-    if (
-      provider.name === "gemini" &&
-      response.data?.promptFeedback?.blockReason
-    ) {
-      throw new Error(
-        `GEMINI_BLOCKED:${response.data.promptFeedback.blockReason}`
-      );
-    }
+    const { url, headers, body } = adapter.buildRequest(provider, prompt);
 
-    const content = this.extractContent(provider.name, response);
-    if (!content) {
-      throw new Error(
-        provider.name === "gemini"
-          ? "GEMINI_EMPTY_RESPONSE"
-          : "EMPTY_AI_RESPONSE"
-      );
+    let response;
+    try {
+      response = await axios.post(url, body, {
+        headers: { "Content-Type": "application/json", ...headers },
+        timeout: provider.timeout || this.timeout,
+      });
+    } catch (error) {
+      throw mapProviderError(adapter, error);
     }
 
-    return content;
-  }
-
-  extractContent(providerName, response) {
-    if (providerName === "gemini") {
-      return (
-        response.data?.candidates?.[0]?.content?.parts
-          ?.map(p => p.text)
-          ?.join("") || null
-      );
+    // e.g. an HTML page from a proxy, or truncated JSON
+    if (response.data === null || typeof response.data !== "object") {
+      throw new Error(`${adapter.prefix}_MALFORMED_RESPONSE`);
     }
 
-    if (providerName === "claude") {
-      return response.data?.content?.[0]?.text || null;
+    adapter.checkResponse?.(response.data);
+
+    const content = adapter.extractContent(response.data);
+    if (!content) {
+      throw new Error(`${adapter.prefix}_EMPTY_RESPONSE`);
     }
 
-    return null;
+    return content;
   }
 
   // ============================================================================
   // Parsing
   // ============================================================================
 
-  parseResponse(raw) {
+  parseResponse(raw, outcomes = DEFAULT_OUTCOMES) {
+    const allowed = outcomes.decisions.map((decision) => decision.name);
+
     try {
       const cleaned = raw.replace(/```json|```/g, "").trim();
       const parsed = JSON.parse(cleaned);
 
       return {
-        recommendation: ["ALLOW", "DENY", "REVIEW"].includes(parsed.recommendation)
+        recommendation: allowed.includes(parsed.recommendation)
           ? parsed.recommendation
-          : "REVIEW",
+          : outcomes.reviewDecision,
         confidence:
           typeof parsed.confidence === "number"
             ? Math.max(0, Math.min(1, parsed.confidence))
             : 0.5,
         reasoning: parsed.reasoning || "",
-        riskFactors: parsed.risk_factors || [],
-        mitigatingFactors: parsed.mitigating_factors || [],
+        riskFactors: stringList(parsed.risk_factors),
+        mitigatingFactors: stringList(parsed.mitigating_factors),
       };
     } catch {
       return {
-        recommendation: "REVIEW",
+        recommendation: outcomes.reviewDecision,
         confidence: 0,
         reasoning: "Invalid AI response",
         riskFactors: [],
@@ -143,18 +148,18 @@ Respond ONLY in JSON:
   // Main analysis with fallback
   // ============================================================================
 
-  async analyze(input, ruleContext) {
+  async analyze(input, ruleContext, outcomes = DEFAULT_OUTCOMES) {
     if (!this.enabled) {
       return { analyzed: false, meetsConfidenceThreshold: false };
     }
 
     const start = Date.now();
-    const prompt = this.buildPrompt(input, ruleContext);
+    const prompt = this.buildPrompt(input, ruleContext, outcomes);
 
     for (const provider of this.providers) {
       try {
         const raw = await this.callProvider(provider, prompt);
-        const parsed = this.parseResponse(raw);
+        const parsed = this.parseResponse(raw, outcomes);
 
         return {
           analyzed: true,
@@ -185,24 +190,37 @@ Respond ONLY in JSON:
   // Decision combine
   // ============================================================================
 
-  combineDecision(ruleOutcome, aiInsight) {
-    if (ruleOutcome === "SAFE_DENY") {
-      return { finalDecision: "DENY", source: "RULE_ABSOLUTE" };
+  /**
+   * Combine the rule outcome with the AI insight, according to the
+   * outcome's metadata (see rules/outcomes.js):
+   * - terminal: the rule decides, always
+   * - not AI-overridable: the rule decides, unless a confident AI
+   *   recommendation beyond the review decision flags it for review
+   * - AI-overridable: a confident AI recommendation decides
+   */
+  combineDecision(ruleOutcome, aiInsight, outcomes = DEFAULT_OUTCOMES) {
+    const meta = outcomes.get(ruleOutcome);
+
+    if (meta.terminal) {
+      return { finalDecision: meta.decision, source: "RULE_ABSOLUTE" };
     }
 
-    if (ruleOutcome === "SAFE_ALLOW") {
+    if (!meta.aiOverridable) {
+      const review = outcomes.reviewDecision;
       if (
+        review &&
         aiInsight?.analyzed &&
-        aiInsight.recommendation === "DENY" &&
-        aiInsight.confidence >= this.confidenceThreshold
+        aiInsight.confidence >= this.confidenceThreshold &&
+        outcomes.severityOf(aiInsight.recommendation) > outcomes.severityOf(review) &&
+        outcomes.severityOf(review) > outcomes.severityOf(meta.decision)
       ) {
-        return { finalDecision: "REVIEW", source: "AI_FLAGGED_REVIEW" };
+        return { finalDecision: review, source: "AI_FLAGGED_REVIEW" };
       }
-      return { finalDecision: "ALLOW", source: "RULE" };
+      return { finalDecision: meta.decision, source: "RULE" };
     }
 
     if (!aiInsight?.analyzed) {
-      return { finalDecision: "REVIEW", source: "AI_UNAVAILABLE" };
+      return { finalDecision: meta.decision, source: "AI_UNAVAILABLE" };
     }
 
     if (aiInsight.meetsConfidenceThreshold) {
@@ -213,7 +231,7 @@ Respond ONLY in JSON:
       };
     }
 
-    return { finalDecision: "REVIEW", source: "AI_UNCERTAIN" };
+    return { finalDecision: meta.decision, source: "AI_UNCERTAIN" };
   }
 
   isEnabled() {
@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "url";
+import { AIAnalyzer } from "./analyzer.js";
+import { DecisionService } from "../decisionService.js";
+import { AI_FALLBACK_REASON_CODE } from "../rules/reasons.js";
+
+const RULES_PATH = fileURLToPath(new URL("../../config/rules.yaml", import.meta.url));
+
+// Falls through to GREY_001 (GREY_ZONE, AI-overridable)
+const GREY_INPUT = {
+  request: { type: "transaction", amount: 5 },
+  signals: { risk_score: 50 },
+};
+
+const analyzer = new AIAnalyzer();
+
+test("parseResponse reads the model's JSON, also inside a code fence", () => {
+  const parsed = analyzer.parseResponse(
+    '```json\n{"recommendation":"DENY","confidence":1.4,"reasoning":"r","risk_factors":["a"],"mitigating_factors":["b"]}\n```'
+  );
+  assert.deepEqual(parsed, {
+    recommendation: "DENY",
+    confidence: 1,
+    reasoning: "r",
+    riskFactors: ["a"],
+    mitigatingFactors: ["b"],
+  });
+});
+
+test("parseResponse keeps only string factors from a list", () => {
+  const parsed = analyzer.parseResponse(
+    JSON.stringify({
+      recommendation: "ALLOW",
+      confidence: 0.9,
+      risk_factors: "high amount",
+      mitigating_factors: ["verified", 42, null, { note: "x" }, "long history"],
+    })
+  );
+  assert.deepEqual(parsed.riskFactors, []);
+  assert.deepEqual(parsed.mitigatingFactors, ["verified", "long history"]);
+});
+
+test("parseResponse falls back to review on unknown or invalid output", () => {
+  const unknown = analyzer.parseResponse('{"recommendation":"MAYBE"}');
+  assert.equal(unknown.recommendation, "REVIEW");
+  assert.equal(unknown.confidence, 0.5);
+
+  const invalid = analyzer.parseResponse("not json");
+  assert.equal(invalid.recommendation, "REVIEW");
+  assert.equal(invalid.confidence, 0);
+  assert.equal(invalid.reasoning, "Invalid AI response");
+});
+
+test("an AI-driven decision without risk factors still carries a reason code", async () => {
+  const service = new DecisionService({ version: "v2", rulesConfigPath: RULES_PATH });
+  service.aiAnalyzer.enabled = true;
+  service.aiAnalyzer.analyze = async (input, ruleContext, outcomes) => ({
+    analyzed: true,
+    meetsConfidenceThreshold: true,
+    ...analyzer.parseResponse('{"recommendation":"DENY","confidence":0.95,"risk_factors":{"a":1}}', outcomes),
+  });
+
+  try {
+    const { decision } = await service.decide(GREY_INPUT);
+    assert.equal(decision.source, "AI_RECOMMENDED");
+    assert.equal(decision.final, "DENY");
+    assert.equal(decision.reasonCode, AI_FALLBACK_REASON_CODE);
+    assert.deepEqual(decision.reasonCodes, [AI_FALLBACK_REASON_CODE]);
+  } finally {
+    service.stop();
+  }
+});
@@ -0,0 +1,60 @@
+/**
+ * ============================================================================
+ * AI CALL LIMITER - Bounds the number of AI analyses in flight
+ * ============================================================================
+ *
+ * Design Decisions:
+ * 1. One limiter per service, shared by single and batch decisions, so
+ *    concurrent batches cannot multiply the number of AI calls
+ * 2. Waiters are served in arrival order (FIFO)
+ * 3. A slot is released even if the wrapped call throws
+ *
+ * ============================================================================
+ */
+
+/**
+ * Create a limiter allowing at most `max` concurrent calls
+ * run(fn) waits for a free slot, then resolves with fn()'s result.
+ */
+export function createLimiter(max) {
+  if (!Number.isInteger(max) || max < 1) {
+    throw new Error(`Limiter size must be a positive integer, got ${max}`);
+  }
+
+  let active = 0;
+  const waiting = [];
+
+  const release = () => {
+    const next = waiting.shift();
+    if (next) {
+      // Hand the slot straight to the next waiter
+      next();
+    } else {
+      active--;
+    }
+  };
+
+  return {
+    async run(fn) {
+      if (active < max) {
+        active++;
+      } else {
+        await new Promise((resolve) => waiting.push(resolve));
+      }
+
+      try {
+        return await fn();
+      } finally {
+        release();
+      }
+    },
+
+    get active() {
+      return active;
+    },
+
+    get pending() {
+      return waiting.length;
+    },
+  };
+}
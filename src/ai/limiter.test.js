@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "url";
+import { createLimiter } from "./limiter.js";
+import { DecisionService } from "../decisionService.js";
+
+const RULES_PATH = fileURLToPath(new URL("../../config/rules.yaml", import.meta.url));
+
+// Falls through to GREY_001 (GREY_ZONE, AI-overridable)
+const GREY_INPUT = {
+  request: { type: "transaction", amount: 5 },
+  signals: { risk_score: 50 },
+};
+const ALLOW_INPUT = {
+  request: { type: "transaction", amount: 50 },
+  signals: { risk_score: 5, is_verified: true, source_reputation: 95 },
+};
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * A call that stays in flight until released, counting concurrency
+ */
+function trackConcurrency() {
+  const state = { inFlight: 0, peak: 0, calls: 0, releases: [] };
+  state.call = () => {
+    state.calls++;
+    state.inFlight++;
+    state.peak = Math.max(state.peak, state.inFlight);
+    return new Promise((resolve) => {
+      state.releases.push(() => {
+        state.inFlight--;
+        resolve();
+      });
+    });
+  };
+  state.releaseAll = async () => {
+    while (state.inFlight > 0) {
+      state.releases.splice(0).forEach((release) => release());
+      await tick();
+    }
+  };
+  return state;
+}
+
+test("limiter never runs more than max calls at once", async () => {
+  const limiter = createLimiter(2);
+  const state = trackConcurrency();
+
+  const runs = Array.from({ length: 5 }, () => limiter.run(state.call));
+  await tick();
+  assert.equal(state.inFlight, 2);
+  assert.equal(limiter.pending, 3);
+
+  await state.releaseAll();
+  await Promise.all(runs);
+  assert.equal(state.peak, 2);
+  assert.equal(state.calls, 5);
+  assert.equal(limiter.active, 0);
+});
+
+test("limiter releases its slot when the call throws", async () => {
+  const limiter = createLimiter(1);
+  await assert.rejects(limiter.run(async () => { throw new Error("boom"); }), /boom/);
+  assert.equal(await limiter.run(async () => "next"), "next");
+  assert.equal(limiter.active, 0);
+});
+
+test("limiter rejects a non-positive size", () => {
+  assert.throws(() => createLimiter(0), /positive integer/);
+});
+
+test("AI calls are bounded across concurrent batches, rule-only items are not", async () => {
+  const service = new DecisionService({
+    version: "v2",
+    rulesConfigPath: RULES_PATH,
+    aiMaxConcurrency: 2,
+  });
+  const state = trackConcurrency();
+  service.aiAnalyzer.enabled = true;
+  service.aiAnalyzer.analyze = async () => {
+    await state.call();
+    return { analyzed: false, meetsConfidenceThreshold: false };
+  };
+
+  try {
+    const batches = [
+      service.decideBatch([GREY_INPUT, GREY_INPUT, GREY_INPUT, ALLOW_INPUT]),
+      service.decideBatch([GREY_INPUT, GREY_INPUT, ALLOW_INPUT]),
+    ];
+    await tick();
+    await tick();
+    assert.equal(state.inFlight, 2);
+
+    await state.releaseAll();
+    const [first, second] = await Promise.all(batches);
+
+    assert.equal(state.peak, 2);
+    assert.equal(state.calls, 5);
+    assert.deepEqual(first.summary.outcomes, { REVIEW: 3, ALLOW: 1 });
+    assert.deepEqual(second.summary.outcomes, { REVIEW: 2, ALLOW: 1 });
+    assert.equal(first.results[3].decision.source, "RULE");
+  } finally {
+    service.stop();
+  }
+});
@@ -8,11 +8,18 @@
  * 1. Gemini 3 Flash
  * 2. Gemini 2.5 Flash
  * 3. Claude
+ * 4. OpenAI-compatible (OpenAI, vLLM, LM Studio, ... - OPENAI_BASE_URL)
+ * 5. Ollama (local)
+ *
+ * Request/response formats live in adapters.js.
  *
  * Responsibility:
  * - Read env
  * - Skip invalid configs
  * - Return clean provider array
+ *
+ * OPENAI_MAX_TOKENS_PARAM overrides the token limit parameter name
+ * (max_completion_tokens for api.openai.com, max_tokens elsewhere).
  * ============================================================================
  */
 
@@ -59,5 +66,45 @@ export function buildAIProviders(env) {
     });
   }
 
+  // --------------------------------------------------------------------------
+  // OpenAI-compatible chat completions
+  // A base URL without a key is a local server (vLLM, LM Studio)
+  // --------------------------------------------------------------------------
+  if (env.OPENAI_MODEL && (env.OPENAI_API_KEY || env.OPENAI_BASE_URL)) {
+    providers.push({
+      name: "openai",
+      model: env.OPENAI_MODEL,
+      apiKey: env.OPENAI_API_KEY || null,
+      apiUrl: env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+      ...(env.OPENAI_MAX_TOKENS_PARAM && {
+        maxTokensParam: env.OPENAI_MAX_TOKENS_PARAM
+      })
+    });
+  }
+
+  // --------------------------------------------------------------------------
+  // Ollama (local) - no key; first calls may wait for the model to load,
+  // hence its own timeout
+  // --------------------------------------------------------------------------
+  if (env.OLLAMA_MODEL) {
+    providers.push({
+      name: "ollama",
+      model: env.OLLAMA_MODEL,
+      apiUrl: env.OLLAMA_BASE_URL || "http://localhost:11434",
+      ...(parseInt(env.OLLAMA_TIMEOUT_MS) > 0 && {
+        timeout: parseInt(env.OLLAMA_TIMEOUT_MS)
+      })
+    });
+  }
+
   return providers;
 }
+
+/**
+ * Providers as safe to log - API keys replaced by a marker
+ */
+export function redactProviders(providers) {
+  return providers.map((provider) =>
+    provider.apiKey ? { ...provider, apiKey: "[redacted]" } : provider
+  );
+}
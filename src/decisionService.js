@@ -11,14 +11,30 @@
  * 5. Graceful degradation if AI fails
  *
  * Flow:
- * Input → Rule Engine → [If GREY_ZONE && v2] → AI Analyzer → Combine → Output
+ * Input → Velocity + Derived Features → Rule Engine → [If AI-overridable outcome && v2] → AI Analyzer → Combine → Output
  * ============================================================================
  */
 
-import { RuleEngine, OUTCOMES } from "./rules/engine.js";
+import fs from "fs";
+import path from "path";
+import { RuleEngine } from "./rules/engine.js";
+import { lintRulesContent } from "./rules/linter.js";
+import { runBacktest } from "./rules/backtest.js";
 import { AIAnalyzer } from "./ai/analyzer.js";
+import { createLimiter } from "./ai/limiter.js";
 import * as metrics from "./metrics/prometheus.js";
-import { buildAIProviders } from "./ai/provider.js";
+import { buildAIProviders, redactProviders } from "./ai/provider.js";
+import { runRuleTests } from "./rules/testRunner.js";
+import { RuleHistory } from "./rules/history.js";
+import { RuleStats } from "./rules/stats.js";
+import { RuleStore } from "./rules/store.js";
+import { RulesWatcher } from "./rules/watcher.js";
+import { VelocityTracker } from "./velocity/tracker.js";
+import { createVelocityStore } from "./velocity/stores.js";
+import { deriveAIReasonCodes } from "./rules/reasons.js";
+
+// Decision sources where the AI recommendation, not a rule, decided
+const AI_DRIVEN_SOURCES = ["AI_RECOMMENDED", "AI_FLAGGED_REVIEW"];
 
 /**
  * DecisionService class - main orchestrator
@@ -29,9 +45,65 @@ export class DecisionService {
     const aiProviders = buildAIProviders(process.env)
     this.version = config.version || "v1";
 
+    // Batch limits (POST /decide/batch)
+    this.batchMaxSize = config.batchMaxSize || 100;
+
+    // At most aiMaxConcurrency grey-zone AI calls in flight, across all
+    // requests and batches
+    this.aiLimiter = createLimiter(config.aiMaxConcurrency || 5);
+
+    // Refuse reloads whose embedded rule tests fail (POST /reload, watcher)
+    this.rulesReloadRequireTests = config.rulesReloadRequireTests || false;
+
     // Initialize rule engine
-    this.ruleEngine = new RuleEngine(config.rulesConfigPath);
+    this.ruleEngine = new RuleEngine(config.rulesConfigPath, {
+      clock: config.clock,
+    });
     this.ruleEngine.loadRules();
+    metrics.recordRulesReload({ success: true, trigger: "startup" });
+
+    // Per-rule match counts and decision shares (GET /rules/stats)
+    this.ruleStats = new RuleStats({
+      persistPath: config.rulesStatsPath,
+      retentionDays: config.rulesStatsRetentionDays,
+      flushIntervalMs: config.rulesStatsFlushMs,
+      clock: this.ruleEngine.clock,
+    });
+
+    // Keep recent rule configurations for rollback
+    this.ruleHistory = new RuleHistory({
+      limit: config.rulesHistoryLimit,
+      persistPath: config.rulesHistoryPath,
+      resolve: (content, includes) =>
+        this.ruleEngine.resolveContent(content, { includes }),
+    });
+    this.recordRuleHistory("startup");
+
+    // Sliding-window counters referenced by rules as velocity.<name>
+    this.velocityTracker = new VelocityTracker(
+      createVelocityStore(config.velocityStore, {
+        clock: this.ruleEngine.clock,
+        maxKeys: config.velocityMaxKeys,
+      }),
+      { clock: this.ruleEngine.clock }
+    );
+
+    // Per-rule edits (admin API) are written back to the rules file
+    this.ruleStore = new RuleStore(config.rulesConfigPath);
+
+    // Optional: reload automatically when the rules file changes on disk
+    this.rulesWatcher = null;
+    if (config.rulesWatch) {
+      this.rulesWatcher = new RulesWatcher({
+        configPath: config.rulesConfigPath,
+        debounceMs: config.rulesWatchDebounceMs,
+        initialHash: this.ruleEngine.configHash,
+        computeHash: () => this.ruleEngine.hashFromDisk(),
+        getPaths: () => this.ruleEngine.watchedFiles(),
+        onChange: (hash) => this.handleRulesFileChange(hash),
+      });
+      this.rulesWatcher.start();
+    }
 
     // Initialize AI analyzer (only active in v2)
     this.aiAnalyzer = new AIAnalyzer({
@@ -49,7 +121,8 @@ export class DecisionService {
     metrics.updateEngineInfo(
       this.version,
       this.ruleEngine.getRules().length,
-      this.aiAnalyzer.isEnabled()
+      this.aiAnalyzer.isEnabled(),
+      this.ruleEngine.outcomes
     );
 
     console.log(
@@ -58,7 +131,7 @@ export class DecisionService {
       }, AI Enabled: ${this.aiAnalyzer.isEnabled()}`
     );
 
-    console.log("[DecisionService] AI Providers:", aiProviders);
+    console.log("[DecisionService] AI Providers:", redactProviders(aiProviders));
 
   }
 
@@ -71,16 +144,31 @@ export class DecisionService {
     metrics.activeRequests.inc();
 
     try {
-      // Validate input structure
+      // Validate input structure (and coerce types, if configured)
       const validation = this.validateInput(input);
       if (!validation.valid) {
-        return this.buildErrorResponse(validation.error, startTime, requestId);
+        metrics.recordInputValidationFailure(validation.requestType);
+        return this.buildValidationErrorResponse(validation, startTime, requestId);
       }
 
-      // Step 1: Evaluate rules
-      const ruleResult = this.ruleEngine.evaluate(input);
+      // Step 1: Update velocity counters and compute derived features; their
+      // values are added to the input under `velocity` and `derived` for the
+      // rules (and the AI prompt) to reference
+      const evaluationInput = this.ruleEngine.deriveFeatures(
+        await this.velocityTracker.observe(
+          this.ruleEngine.velocity,
+          validation.input
+        )
+      );
+
+      // Step 2: Evaluate rules (capture the hash and outcome taxonomy of the
+      // ruleset actually used, a reload may swap them while AI analysis is
+      // awaited)
+      const rulesetHash = this.ruleEngine.configHash;
+      const outcomes = this.ruleEngine.outcomes;
+      const ruleResult = this.ruleEngine.evaluate(evaluationInput, { collectMatches: true });
 
-      // Step 2: Determine if AI analysis is needed
+      // Step 3: Determine if AI analysis is needed
       let aiInsight = {
         analyzed: false,
         recommendation: null,
@@ -92,12 +180,14 @@ export class DecisionService {
         error: null,
       };
       const needsAI =
-        ruleResult.outcome === OUTCOMES.GREY_ZONE &&
+        outcomes.get(ruleResult.outcome).aiOverridable &&
         this.version === "v2" &&
         this.aiAnalyzer.isEnabled();
 
       if (needsAI) {
-        aiInsight = await this.aiAnalyzer.analyze(input, ruleResult);
+        aiInsight = await this.aiLimiter.run(() =>
+          this.aiAnalyzer.analyze(evaluationInput, ruleResult, outcomes)
+        );
 
         // Record AI metrics
         if (aiInsight.analyzed) {
@@ -109,12 +199,23 @@ export class DecisionService {
         }
       }
 
-      // Step 3: Combine rule outcome with AI insight (if available)
+      // Step 4: Combine rule outcome with AI insight (if available)
       const combinedDecision = this.aiAnalyzer.combineDecision(
         ruleResult.outcome,
-        aiInsight
+        aiInsight,
+        outcomes
       );
 
+      // Per-rule stats - a decision the AI made is not credited to the rule
+      this.ruleStats.record({
+        matchedRuleIds: ruleResult.matchedRuleIds,
+        shadowResults: ruleResult.shadowResults,
+        decision: combinedDecision.finalDecision,
+        decidingRuleId: AI_DRIVEN_SOURCES.includes(combinedDecision.source)
+          ? null
+          : ruleResult.matchedRule?.id,
+      });
+
       // Build response
       const response = this.buildResponse({
         ruleResult,
@@ -122,6 +223,9 @@ export class DecisionService {
         combinedDecision,
         startTime,
         requestId,
+        rulesetHash,
+        velocity: evaluationInput.velocity,
+        derived: evaluationInput.derived,
       });
 
       // Record metrics
@@ -133,6 +237,8 @@ export class DecisionService {
         durationMs: response.meta.processingTimeMs,
         evaluationPath: ruleResult.evaluationPath,
         matchedRuleId: ruleResult.matchedRule?.id,
+        shadowResults: ruleResult.shadowResults,
+        conflicts: ruleResult.conflicts,
       });
 
       return response;
@@ -146,24 +252,171 @@ export class DecisionService {
   }
 
   /**
-   * Validate input structure
+   * Explain how the rules evaluate an input, condition by condition
+   * Runs rules only (no AI call) and records no decision metrics, so
+   * replaying a disputed request does not skew dashboards.
    */
-  validateInput(input) {
-    if (!input || typeof input !== "object") {
-      return { valid: false, error: "Input must be a non-null object" };
+  async explain(input, requestId = "unknown") {
+    const startTime = Date.now();
+
+    const validation = this.validateInput(input);
+    if (!validation.valid) {
+      return this.buildValidationErrorResponse(validation, startTime, requestId);
     }
 
-    if (!input.request || typeof input.request !== "object") {
-      return { valid: false, error: 'Input must contain a "request" object' };
+    // Velocity counters are peeked, not updated; features, evaluation and
+    // trace all see one reading of the engine clock
+    const now = this.ruleEngine.clock();
+    const evaluationInput = this.ruleEngine.deriveFeatures(
+      await this.velocityTracker.peek(this.ruleEngine.velocity, validation.input),
+      now
+    );
+    const rulesetHash = this.ruleEngine.configHash;
+    const explanation = this.ruleEngine.explain(evaluationInput, now);
+
+    return {
+      explanation,
+      meta: {
+        version: this.version,
+        processingTimeMs: Date.now() - startTime,
+        timestamp: new Date().toISOString(),
+        requestId,
+        rulesetHash,
+      },
+    };
+  }
+
+  /**
+   * Batch decision method
+   * Runs every item through decide() and returns results in input order.
+   * Items are evaluated concurrently; only their grey-zone AI calls are
+   * bounded, by the service-wide AI limiter.
+   */
+  async decideBatch(items, requestId = "unknown") {
+    const startTime = Date.now();
+
+    const results = await Promise.all(
+      items.map(async (item, index) => {
+        const itemRequestId = `${requestId}_${index}`;
+        try {
+          return await this.decide(item, itemRequestId);
+        } catch (error) {
+          // decide() already catches its own errors - this is a last resort
+          // so one bad item can never fail the whole batch
+          console.error(`[DecisionService] Batch item ${index} error:`, error);
+          return this.buildErrorResponse(error.message, startTime, itemRequestId);
+        }
+      })
+    );
+
+    const summary = {
+      total: results.length,
+      succeeded: 0,
+      failed: 0,
+      outcomes: {},
+    };
+    for (const result of results) {
+      const outcome = result.decision.final;
+      if (outcome === "ERROR") {
+        summary.failed++;
+      } else {
+        summary.succeeded++;
+      }
+      summary.outcomes[outcome] = (summary.outcomes[outcome] || 0) + 1;
     }
 
-    if (!input.signals || typeof input.signals !== "object") {
-      return { valid: false, error: 'Input must contain a "signals" object' };
+    const processingTimeMs = Date.now() - startTime;
+
+    metrics.recordBatch({
+      size: results.length,
+      failed: summary.failed,
+      version: this.version,
+      durationMs: processingTimeMs,
+    });
+
+    return {
+      results,
+      summary,
+      meta: {
+        version: this.version,
+        processingTimeMs,
+        timestamp: new Date().toISOString(),
+        requestId,
+      },
+    };
+  }
+
+  /**
+   * Validate batch structure
+   */
+  validateBatch(items) {
+    if (!Array.isArray(items)) {
+      return { valid: false, error: 'Batch must contain an "items" array' };
+    }
+
+    if (items.length === 0) {
+      return { valid: false, error: "Batch must contain at least one item" };
+    }
+
+    if (items.length > this.batchMaxSize) {
+      return {
+        valid: false,
+        error: `Batch size ${items.length} exceeds maximum of ${this.batchMaxSize}`,
+      };
     }
 
     return { valid: true };
   }
 
+  /**
+   * Validate input structure and the request type's JSON Schema (if any)
+   * Returns { valid, input (coerced copy when coercion is on), requestType,
+   * violations, error? }
+   */
+  validateInput(input) {
+    const result = this.ruleEngine.inputValidator.validate(input);
+    if (result.valid) {
+      return result;
+    }
+
+    const { violations } = result;
+    return {
+      ...result,
+      error:
+        violations.length === 1
+          ? violations[0].message
+          : `Input validation failed (${violations.length} violations)`,
+    };
+  }
+
+  /**
+   * Reason code(s), message and actions for the decision payload
+   * AI-driven decisions take their codes from the AI's risk factors
+   * (mapped via ai_config.reason_codes), all others from the deciding rule.
+   */
+  buildReason(ruleResult, aiInsight, combinedDecision) {
+    if (AI_DRIVEN_SOURCES.includes(combinedDecision.source) && aiInsight?.analyzed) {
+      const reasonCodes = deriveAIReasonCodes(
+        aiInsight.riskFactors || [],
+        this.ruleEngine.getAIConfig().reason_codes
+      );
+      return {
+        reasonCode: reasonCodes[0],
+        reasonCodes,
+        message: aiInsight.reasoning || null,
+        actions: {},
+      };
+    }
+
+    const reason = ruleResult.reason;
+    return {
+      reasonCode: reason?.code ?? null,
+      reasonCodes: reason?.code ? [reason.code] : [],
+      message: reason?.message ?? null,
+      actions: reason?.actions ?? {},
+    };
+  }
+
   /**
    * Build standardized response
    */
@@ -173,8 +426,12 @@ export class DecisionService {
     combinedDecision,
     startTime,
     requestId,
+    rulesetHash,
+    velocity,
+    derived,
   }) {
     const processingTimeMs = Date.now() - startTime;
+    const reason = this.buildReason(ruleResult, aiInsight, combinedDecision);
 
     const aiAnalysis =
       aiInsight && aiInsight.analyzed
@@ -194,10 +451,25 @@ export class DecisionService {
         final: combinedDecision.finalDecision,
         source: combinedDecision.source,
         confidence: combinedDecision.confidence || null,
+        ...reason,
       },
       ruleEvaluation: {
         outcome: ruleResult.outcome,
         matchedRule: ruleResult.matchedRule,
+        ...(ruleResult.score && {
+          strategy: ruleResult.strategy,
+          score: ruleResult.score,
+        }),
+        ...(ruleResult.matchedRules && {
+          strategy: ruleResult.strategy,
+          matchedRules: ruleResult.matchedRules,
+          conflicts: ruleResult.conflicts,
+        }),
+        ...(ruleResult.shadowResults && {
+          shadowResults: ruleResult.shadowResults,
+        }),
+        ...(velocity && { velocity }),
+        ...(derived && { derived }),
         evaluationTimeMs: ruleResult.evaluationTimeMs,
       },
       aiAnalysis,
@@ -216,6 +488,7 @@ export class DecisionService {
         processingTimeMs,
         timestamp: new Date().toISOString(),
         requestId,
+        rulesetHash,
       },
     };
   }
@@ -239,10 +512,21 @@ export class DecisionService {
         processingTimeMs: Date.now() - startTime,
         timestamp: new Date().toISOString(),
         requestId,
+        rulesetHash: this.ruleEngine.configHash,
       },
     };
   }
 
+  /**
+   * Build a validation error response listing every violating field
+   */
+  buildValidationErrorResponse(validation, startTime, requestId) {
+    const response = this.buildErrorResponse(validation.error, startTime, requestId);
+    response.error.type = "VALIDATION_ERROR";
+    response.error.violations = validation.violations;
+    return response;
+  }
+
   /**
    * Generate unique request ID
    */
@@ -252,19 +536,356 @@ export class DecisionService {
 
   /**
    * Reload rules configuration (for hot-reload)
+   * With requireTests, the file's embedded tests run against a candidate
+   * engine first and the reload is refused if any of them fail.
+   */
+  reloadRules(trigger = "api", { requireTests = this.rulesReloadRequireTests } = {}) {
+    try {
+      let tests = null;
+      if (requireTests) {
+        tests = this.testCandidateRules();
+        if (tests.failed > 0) {
+          metrics.recordRulesReload({ success: false, trigger });
+          return {
+            success: false,
+            error: `${tests.failed} of ${tests.total} embedded rule tests failed`,
+            tests,
+          };
+        }
+      } else {
+        this.ruleEngine.loadRules();
+      }
+
+      metrics.recordRulesReload({ success: true, trigger });
+      metrics.updateEngineInfo(
+        this.version,
+        this.ruleEngine.getRules().length,
+        this.aiAnalyzer.isEnabled(),
+        this.ruleEngine.outcomes
+      );
+      const entry = this.recordRuleHistory(trigger === "watch" ? "watch" : "reload");
+      return {
+        success: true,
+        rulesCount: this.ruleEngine.getRules().length,
+        rulesetVersion: entry.version,
+        rulesetHash: entry.hash,
+        ...(tests && { tests: { total: tests.total, passed: tests.passed } }),
+      };
+    } catch (error) {
+      metrics.recordRulesReload({ success: false, trigger });
+      return {
+        success: false,
+        error: error.message,
+        ...(error.errors && { errors: error.errors }),
+      };
+    }
+  }
+
+  /**
+   * Load the rules file into a candidate engine and run its embedded tests
+   * Activates the tested content only if every test passes. Throws
+   * RuleValidationError (like loadRules) if the file is invalid.
+   */
+  testCandidateRules() {
+    const content = fs.readFileSync(this.ruleEngine.configPath, "utf8");
+    const candidate = new RuleEngine(this.ruleEngine.configPath, {
+      clock: this.ruleEngine.clock,
+    });
+    candidate.loadContent(content);
+
+    const tests = runRuleTests(candidate);
+    if (tests.failed === 0) {
+      this.ruleEngine.loadContent(content);
+    }
+    return tests;
+  }
+
+  /**
+   * Reload the named list files only (rules stay as they are)
+   */
+  reloadLists() {
+    return this.ruleEngine.reloadLists();
+  }
+
+  /**
+   * Handle a change detected by the rules file watcher
+   * On failure the last good ruleset stays active (loadRules never swaps
+   * in an invalid config).
    */
-  reloadRules() {
+  handleRulesFileChange(hash) {
+    if (hash === this.ruleEngine.configHash) {
+      // Our own write (admin API) or a revert to the active content
+      return;
+    }
+
+    console.log("[DecisionService] Rules file changed, reloading...");
+    const result = this.reloadRules("watch");
+
+    if (result.success) {
+      console.log(
+        `[DecisionService] Rules reloaded from watch - version ${result.rulesetVersion}, ${result.rulesCount} rules`
+      );
+    } else {
+      console.error(
+        `[DecisionService] Rules reload from watch failed, keeping last good ruleset: ${result.error}`
+      );
+    }
+  }
+
+  /**
+   * Stop background work (file watcher, velocity store, stats flush) -
+   * called on shutdown
+   */
+  stop() {
+    this.rulesWatcher?.stop();
+    this.velocityTracker.close();
+    this.ruleStats.close();
+  }
+
+  /**
+   * Roll back to a previously loaded rule configuration
+   * The stored YAML (rules file and included files) is re-validated and
+   * activated in memory; the files on disk are left untouched.
+   */
+  rollbackRules(version) {
+    const target = this.ruleHistory.get(version);
+    if (!target) {
+      return {
+        success: false,
+        notFound: true,
+        error: `Ruleset version ${version} not found in history`,
+      };
+    }
+
     try {
-      this.ruleEngine.loadRules();
+      this.ruleEngine.loadContent(target.content, { includes: target.includes });
+      metrics.recordRulesReload({ success: true, trigger: "rollback" });
       metrics.updateEngineInfo(
         this.version,
         this.ruleEngine.getRules().length,
-        this.aiAnalyzer.isEnabled()
+        this.aiAnalyzer.isEnabled(),
+        this.ruleEngine.outcomes
       );
-      return { success: true, rulesCount: this.ruleEngine.getRules().length };
+      const entry = this.recordRuleHistory("rollback", target.version);
+      return {
+        success: true,
+        rulesCount: this.ruleEngine.getRules().length,
+        rulesetVersion: entry.version,
+        rulesetHash: entry.hash,
+        rolledBackTo: target.version,
+      };
     } catch (error) {
+      metrics.recordRulesReload({ success: false, trigger: "rollback" });
+      return {
+        success: false,
+        error: error.message,
+        ...(error.errors && { errors: error.errors }),
+      };
+    }
+  }
+
+  /**
+   * Record the currently active ruleset in history (and start tracking
+   * stats for any rules it adds). Called after every activation, so it
+   * also points the watcher at the ruleset's current included files.
+   */
+  recordRuleHistory(source, rolledBackFrom = null, change = null) {
+    this.ruleStats.trackRules(this.ruleEngine.getRules().map((rule) => rule.id));
+    this.rulesWatcher?.sync();
+    return this.ruleHistory.record({
+      content: this.ruleEngine.configContent,
+      includes: this.ruleEngine.includes,
+      hash: this.ruleEngine.configHash,
+      rulesCount: this.ruleEngine.getRules().length,
+      source,
+      rolledBackFrom,
+      change,
+    });
+  }
+
+  /**
+   * List full rule definitions from the active config (including disabled),
+   * resolved: rules from included files are listed, $ref expanded
+   */
+  listRuleDefinitions() {
+    return this.ruleEngine.config.rules;
+  }
+
+  /**
+   * Get a single rule definition from the active config
+   */
+  getRuleDefinition(id) {
+    return this.listRuleDefinitions().find((rule) => rule.id === id) || null;
+  }
+
+  /**
+   * Apply a single-rule change (create | replace | update | remove)
+   *
+   * The edit is made in the file that declares the rule (new rules go to
+   * the main rules file), validated together with the rest of the
+   * ruleset, written atomically to that file and only then activated.
+   * Rule evaluation is synchronous, so in-flight decisions always see
+   * either the old or the new ruleset, never a mix.
+   */
+  changeRule(action, { id, rule, changes }, { actor, reason }) {
+    const engine = this.ruleEngine;
+    const ruleId = id || rule?.id;
+    const index = engine.config.rules.findIndex((candidate) => candidate.id === ruleId);
+
+    // Rules declared in an included file are edited there
+    const filePath =
+      action !== "create" && index !== -1 && engine.ruleFiles[index]
+        ? engine.ruleFiles[index]
+        : path.resolve(engine.configPath);
+    const included = engine.includes.find((file) => file.path === filePath);
+    const content = included ? included.content : engine.configContent;
+
+    // Rules mounted read-only (a ConfigMap) can only change at their source
+    if (!this.ruleStore.isWritable(filePath)) {
+      return {
+        success: false,
+        readOnly: true,
+        error: `Rules file ${filePath} is read-only; change the rules at their source (e.g. the ConfigMap) instead`,
+      };
+    }
+
+    let edit;
+    if (action === "create") {
+      edit = index !== -1 ? { conflict: true } : this.ruleStore.create(content, rule);
+    } else if (action === "replace") {
+      edit = this.ruleStore.replace(content, id, rule);
+    } else if (action === "update") {
+      edit = this.ruleStore.update(content, id, changes);
+    } else if (action === "remove") {
+      edit = this.ruleStore.remove(content, id);
+    } else {
+      throw new Error(`Unknown rule change action: ${action}`);
+    }
+
+    if (edit.notFound) {
+      return { success: false, notFound: true, error: `Rule ${ruleId} not found` };
+    }
+    if (edit.conflict) {
+      return { success: false, conflict: true, error: `Rule ${ruleId} already exists` };
+    }
+
+    // The whole ruleset as it will be: edited file plus everything else
+    // exactly as currently active
+    const mainContent = included ? engine.configContent : edit.content;
+    const includes = engine.includes.map((file) =>
+      file === included ? { path: file.path, content: edit.content } : file
+    );
+
+    const validation = engine.validateContent(mainContent, { includes });
+    if (!validation.valid) {
+      return {
+        success: false,
+        error: "Change would produce an invalid rules configuration",
+        errors: validation.errors,
+      };
+    }
+
+    try {
+      this.ruleStore.write(edit.content, filePath);
+      engine.loadContent(mainContent, { includes });
+      metrics.recordRulesReload({ success: true, trigger: "rule_api" });
+    } catch (error) {
+      metrics.recordRulesReload({ success: false, trigger: "rule_api" });
       return { success: false, error: error.message };
     }
+
+    metrics.updateEngineInfo(
+      this.version,
+      this.ruleEngine.getRules().length,
+      this.aiAnalyzer.isEnabled(),
+      this.ruleEngine.outcomes
+    );
+
+    const change = {
+      action,
+      ruleId,
+      ...(included && {
+        file: path.relative(path.dirname(path.resolve(engine.configPath)), filePath),
+      }),
+      actor,
+      reason,
+    };
+    const entry = this.recordRuleHistory("api", null, change);
+    console.log(
+      JSON.stringify({
+        timestamp: new Date().toISOString(),
+        event: "rule_change",
+        ...change,
+        rulesetVersion: entry.version,
+      })
+    );
+
+    return {
+      success: true,
+      rule: action === "remove" ? null : this.getRuleDefinition(ruleId),
+      rulesetVersion: entry.version,
+      rulesetHash: entry.hash,
+    };
+  }
+
+  /**
+   * Get rule configuration history (newest first)
+   */
+  getRuleHistory() {
+    const active = this.ruleHistory.latest();
+    return {
+      activeVersion: active?.version ?? null,
+      activeHash: this.ruleEngine.configHash,
+      limit: this.ruleHistory.limit,
+      entries: this.ruleHistory.list(),
+    };
+  }
+
+  /**
+   * Per-rule match counts, last match and decision shares for a time window
+   * options: { window (ms) | since, until (Dates), rareRate }
+   */
+  getRuleStats(options = {}) {
+    return this.ruleStats.report({ ...options, rules: this.ruleEngine.getRules() });
+  }
+
+  /**
+   * Validate a candidate rules file without activating it
+   */
+  validateRules(content) {
+    return this.ruleEngine.validateContent(content);
+  }
+
+  /**
+   * Replay recorded inputs against the active rules and a candidate file
+   * inputs: array of { request, signals } or JSONL text
+   */
+  backtestRules(content, inputs, options = {}) {
+    const candidate = new RuleEngine(this.ruleEngine.configPath, {
+      clock: this.ruleEngine.clock,
+    });
+
+    try {
+      candidate.loadContent(content);
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        ...(error.errors && { errors: error.errors }),
+      };
+    }
+
+    return {
+      success: true,
+      report: runBacktest(this.ruleEngine, candidate, inputs, options),
+    };
+  }
+
+  /**
+   * Statically analyze a rules file (defaults to the active configuration)
+   */
+  lintRules(content = this.ruleEngine.configContent) {
+    return lintRulesContent(content, { filePath: this.ruleEngine.configPath });
   }
 
   /**
@@ -276,6 +897,7 @@ export class DecisionService {
       ruleEngine: this.ruleEngine.getMetadata(),
       aiAnalyzer: this.aiAnalyzer.getStatus(),
       rules: this.ruleEngine.getRules(),
+      lists: this.ruleEngine.lists.getStatus(),
     };
   }
 }
@@ -0,0 +1,272 @@
+/**
+ * ============================================================================
+ * FEATURE EXPRESSIONS - A small, safe expression language for derived fields
+ * ============================================================================
+ *
+ * Examples:
+ *   request.amount / signals.avg_amount
+ *   bucket(request.amount, 100, 1000, 10000)
+ *   days_since(signals.account_created_at)
+ *   round(derived.amount_ratio * 100, 1)
+ *
+ * Grammar:
+ *   expression := term (("+" | "-") term)*
+ *   term       := unary (("*" | "/" | "%") unary)*
+ *   unary      := "-" unary | primary
+ *   primary    := number | string | path | call | "(" expression ")"
+ *   call       := name "(" [expression ("," expression)*] ")"
+ *   path       := name ("." name)*
+ *
+ * Design Decisions:
+ * 1. Parsed once into closures - no eval, no access beyond the input
+ * 2. Only whitelisted functions can be called
+ * 3. Missing fields, non-numeric operands, division by zero and non-finite
+ *    results yield undefined, so rules on the feature simply don't match
+ *
+ * ============================================================================
+ */
+
+import { compilePath } from "../rules/compiler.js";
+import { toTimestamp } from "../rules/operators.js";
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+/**
+ * Thrown for syntax errors and unknown functions
+ */
+export class ExpressionError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position + 1}`);
+    this.name = "ExpressionError";
+  }
+}
+
+/**
+ * Keep a value only if it is a finite number
+ */
+function numeric(value) {
+  return typeof value === "number" && Number.isFinite(value) ? value : undefined;
+}
+
+/**
+ * Whitelisted functions: name → (args, context) => value
+ * context.now is the evaluation time in epoch milliseconds
+ */
+const FUNCTIONS = {
+  abs: ([x]) => numeric(x) !== undefined ? Math.abs(x) : undefined,
+  floor: ([x]) => numeric(x) !== undefined ? Math.floor(x) : undefined,
+  ceil: ([x]) => numeric(x) !== undefined ? Math.ceil(x) : undefined,
+  round: ([x, digits = 0]) => {
+    if (numeric(x) === undefined || numeric(digits) === undefined) return undefined;
+    const factor = 10 ** digits;
+    return Math.round(x * factor) / factor;
+  },
+  log: ([x]) => (numeric(x) > 0 ? Math.log(x) : undefined),
+  min: (args) => (args.every((x) => numeric(x) !== undefined) ? Math.min(...args) : undefined),
+  max: (args) => (args.every((x) => numeric(x) !== undefined) ? Math.max(...args) : undefined),
+  coalesce: (args) => args.find((x) => x !== undefined && x !== null),
+  length: ([x]) => (typeof x === "string" || Array.isArray(x) ? x.length : undefined),
+  // Index of the first boundary the value is below: bucket(50, 100, 1000) → 0
+  bucket: ([x, ...bounds]) => {
+    if (numeric(x) === undefined || bounds.some((b) => numeric(b) === undefined)) {
+      return undefined;
+    }
+    const index = bounds.findIndex((bound) => x < bound);
+    return index === -1 ? bounds.length : index;
+  },
+  days_since: ([x], { now }) => {
+    const time = toTimestamp(x);
+    return time === null ? undefined : (now - time) / MS_PER_DAY;
+  },
+  hours_since: ([x], { now }) => {
+    const time = toTimestamp(x);
+    return time === null ? undefined : (now - time) / MS_PER_HOUR;
+  },
+};
+
+const BINARY_OPERATORS = {
+  "+": (a, b) => a + b,
+  "-": (a, b) => a - b,
+  "*": (a, b) => a * b,
+  "/": (a, b) => (b === 0 ? undefined : a / b),
+  "%": (a, b) => (b === 0 ? undefined : a % b),
+};
+
+// ============================================================================
+// TOKENIZER
+// ============================================================================
+
+const TOKEN_PATTERN =
+  /(\d+(?:\.\d+)?)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|([A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)*)|([-+*/%(),])/y;
+
+function tokenize(source) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < source.length) {
+    if (/\s/.test(source[position])) {
+      position++;
+      continue;
+    }
+
+    TOKEN_PATTERN.lastIndex = position;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      throw new ExpressionError(`Unexpected character "${source[position]}"`, position);
+    }
+
+    const [text, number, string, name, symbol] = match;
+    if (number !== undefined) {
+      tokens.push({ type: "number", value: Number(number), position });
+    } else if (string !== undefined) {
+      const value = string.slice(1, -1).replace(/\\(.)/g, "$1");
+      tokens.push({ type: "string", value, position });
+    } else if (name !== undefined) {
+      tokens.push({ type: "name", value: name, position });
+    } else {
+      tokens.push({ type: "symbol", value: symbol, position });
+    }
+    position += text.length;
+  }
+
+  return tokens;
+}
+
+// ============================================================================
+// PARSER → CLOSURES
+// ============================================================================
+
+/**
+ * Compile an expression string into (input, context) => value
+ * The returned function has a `paths` property listing the referenced
+ * field paths (used to validate derived.* references).
+ */
+export function compileExpression(source) {
+  if (typeof source !== "string" || source.trim() === "") {
+    throw new ExpressionError("Expression must be a non-empty string");
+  }
+
+  const tokens = tokenize(source);
+  const paths = [];
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isSymbol = (value) => peek()?.type === "symbol" && peek().value === value;
+  const expect = (value) => {
+    if (!isSymbol(value)) {
+      const token = peek();
+      throw new ExpressionError(
+        `Expected "${value}"${token ? ` but found "${token.value}"` : " at end of expression"}`,
+        token?.position
+      );
+    }
+    index++;
+  };
+
+  const binary = (operator, left, right) => {
+    const apply = BINARY_OPERATORS[operator];
+    return (input, context) => {
+      const a = numeric(left(input, context));
+      const b = numeric(right(input, context));
+      return a === undefined || b === undefined ? undefined : numeric(apply(a, b));
+    };
+  };
+
+  function parseExpression() {
+    let node = parseTerm();
+    while (isSymbol("+") || isSymbol("-")) {
+      const operator = tokens[index++].value;
+      node = binary(operator, node, parseTerm());
+    }
+    return node;
+  }
+
+  function parseTerm() {
+    let node = parseUnary();
+    while (isSymbol("*") || isSymbol("/") || isSymbol("%")) {
+      const operator = tokens[index++].value;
+      node = binary(operator, node, parseUnary());
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (isSymbol("-")) {
+      index++;
+      const operand = parseUnary();
+      return (input, context) => {
+        const value = numeric(operand(input, context));
+        return value === undefined ? undefined : -value;
+      };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) {
+      throw new ExpressionError("Unexpected end of expression");
+    }
+
+    if (token.type === "number" || token.type === "string") {
+      index++;
+      const { value } = token;
+      return () => value;
+    }
+
+    if (isSymbol("(")) {
+      index++;
+      const node = parseExpression();
+      expect(")");
+      return node;
+    }
+
+    if (token.type === "name") {
+      index++;
+
+      if (isSymbol("(")) {
+        return parseCall(token);
+      }
+
+      paths.push(token.value);
+      return compilePath(token.value);
+    }
+
+    throw new ExpressionError(`Unexpected "${token.value}"`, token.position);
+  }
+
+  function parseCall(token) {
+    const fn = FUNCTIONS[token.value];
+    if (!fn) {
+      throw new ExpressionError(
+        `Unknown function "${token.value}" (available: ${Object.keys(FUNCTIONS).join(", ")})`,
+        token.position
+      );
+    }
+
+    expect("(");
+    const args = [];
+    if (!isSymbol(")")) {
+      args.push(parseExpression());
+      while (isSymbol(",")) {
+        index++;
+        args.push(parseExpression());
+      }
+    }
+    expect(")");
+
+    return (input, context) => {
+      const result = fn(args.map((arg) => arg(input, context)), context);
+      return typeof result === "number" ? numeric(result) : result;
+    };
+  }
+
+  const compiled = parseExpression();
+  if (index < tokens.length) {
+    throw new ExpressionError(`Unexpected "${tokens[index].value}"`, tokens[index].position);
+  }
+
+  compiled.paths = paths;
+  return compiled;
+}
@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compileExpression, ExpressionError } from "./expression.js";
+
+const NOW = Date.parse("2026-01-31T00:00:00Z");
+
+/**
+ * Compile and evaluate an expression against an input
+ */
+function evaluate(source, input = {}) {
+  return compileExpression(source)(input, { now: NOW });
+}
+
+test("arithmetic follows precedence, parentheses and unary minus", () => {
+  assert.equal(evaluate("1 + 2 * 3"), 7);
+  assert.equal(evaluate("(1 + 2) * 3"), 9);
+  assert.equal(evaluate("10 - 4 - 3"), 3);
+  assert.equal(evaluate("-2 * -3"), 6);
+  assert.equal(evaluate("7 % 4 / 2"), 1.5);
+});
+
+test("field paths read the input and are listed on the compiled function", () => {
+  const expression = compileExpression("request.amount / signals.avg_amount");
+  assert.deepEqual(expression.paths, ["request.amount", "signals.avg_amount"]);
+  assert.equal(expression({ request: { amount: 600 }, signals: { avg_amount: 100 } }, { now: NOW }), 6);
+});
+
+test("missing fields, non-numbers and division by zero yield undefined", () => {
+  const input = { request: { amount: 600, currency: "EUR" }, signals: { avg_amount: 0 } };
+  assert.equal(evaluate("request.amount / signals.avg_amount", input), undefined);
+  assert.equal(evaluate("request.amount % 0", input), undefined);
+  assert.equal(evaluate("request.missing * 2", input), undefined);
+  assert.equal(evaluate("request.currency + 1", input), undefined);
+  assert.equal(evaluate("-request.currency", input), undefined);
+  assert.equal(evaluate("log(0)"), undefined);
+});
+
+test("whitelisted functions", () => {
+  assert.equal(evaluate("abs(-3) + floor(1.7) + ceil(1.2)"), 6);
+  assert.equal(evaluate("round(2.345, 2)"), 2.35);
+  assert.equal(evaluate("round(2.5)"), 3);
+  assert.equal(evaluate("min(3, 1, 2) + max(3, 1, 2)"), 4);
+  assert.equal(evaluate("min(1, 'a')"), undefined);
+  assert.equal(evaluate("coalesce(request.nickname, request.name, 'anon')", { request: { name: "Ann" } }), "Ann");
+  assert.equal(evaluate("length(request.name)", { request: { name: "Ann" } }), 3);
+  assert.equal(evaluate("length(5)"), undefined);
+});
+
+test("bucket returns the index of the first boundary above the value", () => {
+  assert.equal(evaluate("bucket(50, 100, 1000, 10000)"), 0);
+  assert.equal(evaluate("bucket(100, 100, 1000, 10000)"), 1);
+  assert.equal(evaluate("bucket(99999, 100, 1000, 10000)"), 3);
+  assert.equal(evaluate("bucket(request.amount, 100)"), undefined);
+});
+
+test("days_since and hours_since measure from the evaluation time", () => {
+  const input = { signals: { created: "2026-01-01T00:00:00Z", seen: NOW - 90 * 60 * 1000 } };
+  assert.equal(evaluate("days_since(signals.created)", input), 30);
+  assert.equal(evaluate("hours_since(signals.seen)", input), 1.5);
+  assert.equal(evaluate("days_since(signals.missing)", input), undefined);
+  assert.equal(evaluate("days_since('not a date')"), undefined);
+});
+
+test("strings keep escaped quotes", () => {
+  assert.equal(evaluate(`coalesce("say \\"hi\\"")`), 'say "hi"');
+});
+
+test("syntax errors and unknown functions throw with a position", () => {
+  for (const [source, message] of [
+    ["", /non-empty string/],
+    ["1 +", /Unexpected end of expression/],
+    ["(1 + 2", /Expected "\)" at end of expression/],
+    ["1 2", /Unexpected "2" at position 3/],
+    ["1 & 2", /Unexpected character "&" at position 3/],
+    ["eval(1)", /Unknown function "eval" \(available: abs, /],
+    ["max(1,)", /Unexpected "\)"/],
+  ]) {
+    assert.throws(() => compileExpression(source), (error) => {
+      assert.ok(error instanceof ExpressionError, source);
+      assert.match(error.message, message);
+      return true;
+    });
+  }
+  assert.throws(() => compileExpression(42), ExpressionError);
+});
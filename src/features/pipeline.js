@@ -0,0 +1,122 @@
+/**
+ * ============================================================================
+ * FEATURE PIPELINE - Derived fields computed from the input before the rules
+ * ============================================================================
+ *
+ * Declared in rules.yaml as name → expression (see expression.js):
+ *
+ *   features:
+ *     amount_to_avg_ratio: "request.amount / signals.avg_amount"
+ *     account_age_days: "days_since(signals.account_created_at)"
+ *     amount_bucket: "bucket(request.amount, 100, 1000, 10000)"
+ *
+ * and referenced in conditions as `derived.<name>`:
+ *
+ *   - field: "derived.amount_to_avg_ratio"
+ *     op: "gt"
+ *     value: 5
+ *
+ * Design Decisions:
+ * 1. Features are computed in declaration order; a feature may use
+ *    features declared before it (derived.<name>) and velocity counters
+ * 2. Values are injected under the reserved `derived` key of the input,
+ *    like velocity - the rule engine itself stays unaware of features
+ * 3. A feature that cannot be computed (missing field, division by zero)
+ *    is left out, so conditions on it simply don't match
+ *
+ * ============================================================================
+ */
+
+import { compileExpression } from "./expression.js";
+
+// Input key the computed values are injected under
+export const FEATURES_NAMESPACE = "derived";
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Names of the derived.<name> features an expression references
+ */
+function referencedFeatures(expression) {
+  const prefix = `${FEATURES_NAMESPACE}.`;
+  return expression.paths
+    .filter((path) => path.startsWith(prefix))
+    .map((path) => path.slice(prefix.length).split(".")[0]);
+}
+
+/**
+ * Validate the features: section of a rules config
+ */
+export function validateFeatureDefinitions(features, errors) {
+  if (features === null || typeof features !== "object" || Array.isArray(features)) {
+    errors.push({ path: "features", message: "features must be a mapping of name → expression" });
+    return;
+  }
+
+  const declared = [];
+  for (const [name, source] of Object.entries(features)) {
+    const path = `features.${name}`;
+
+    if (!NAME_PATTERN.test(name)) {
+      errors.push({ path, message: `Invalid feature name "${name}" (letters, digits and _ only)` });
+    }
+
+    let expression;
+    try {
+      expression = compileExpression(source);
+    } catch (error) {
+      errors.push({ path, message: `Invalid expression: ${error.message}` });
+      declared.push(name);
+      continue;
+    }
+
+    for (const reference of referencedFeatures(expression)) {
+      if (reference === name) {
+        errors.push({ path, message: `Feature "${name}" cannot reference itself` });
+      } else if (!declared.includes(reference)) {
+        errors.push({
+          path,
+          message: Object.hasOwn(features, reference)
+            ? `Feature "${reference}" must be declared before "${name}"`
+            : `Unknown feature "${reference}"`,
+        });
+      }
+    }
+
+    declared.push(name);
+  }
+}
+
+/**
+ * Compile a features section into a pipeline
+ * compute(input, now) → input with the feature values under `derived`
+ */
+export function compileFeatures(section) {
+  const features = Object.entries(section || {}).map(([name, source]) => ({
+    name,
+    expression: compileExpression(source),
+  }));
+
+  return {
+    names: features.map((feature) => feature.name),
+
+    compute(input, now = new Date()) {
+      if (features.length === 0 || !input || typeof input !== "object") {
+        return input;
+      }
+
+      const values = {};
+      const working = { ...input, [FEATURES_NAMESPACE]: values };
+      const context = { now: now.getTime() };
+
+      for (const { name, expression } of features) {
+        const value = expression(working, context);
+        if (value !== undefined) {
+          values[name] = value;
+        }
+      }
+
+      return working;
+    },
+  };
+}
@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { compileFeatures, validateFeatureDefinitions } from "./pipeline.js";
+import { AIAnalyzer } from "../ai/analyzer.js";
+import { DecisionService } from "../decisionService.js";
+
+const FEATURES = {
+  amount_ratio: "request.amount / signals.avg_amount",
+  account_age_days: "days_since(signals.account_created_at)",
+  amount_bucket: "bucket(request.amount, 100, 1000, 10000)",
+  ratio_pct: "round(derived.amount_ratio * 100, 1)",
+};
+
+const INPUT = {
+  request: { amount: 500 },
+  signals: { avg_amount: 300, account_created_at: "2026-01-01T00:00:00Z" },
+};
+
+test("features are computed in order under derived, later ones using earlier ones", () => {
+  const pipeline = compileFeatures(FEATURES);
+  assert.deepEqual(pipeline.names, Object.keys(FEATURES));
+
+  const result = pipeline.compute(INPUT, new Date("2026-01-11T00:00:00Z"));
+  assert.deepEqual(result.derived, {
+    amount_ratio: 500 / 300,
+    account_age_days: 10,
+    amount_bucket: 1,
+    ratio_pct: 166.7,
+  });
+  assert.equal(result.request, INPUT.request);
+  assert.equal(INPUT.derived, undefined);
+});
+
+test("features that cannot be computed are left out", () => {
+  const result = compileFeatures(FEATURES).compute({ request: { amount: 50 }, signals: { avg_amount: 0 } });
+  assert.deepEqual(result.derived, { amount_bucket: 0 });
+});
+
+test("without features the input is returned as is", () => {
+  const pipeline = compileFeatures(null);
+  assert.deepEqual(pipeline.names, []);
+  assert.equal(pipeline.compute(INPUT), INPUT);
+});
+
+test("feature definitions are validated", () => {
+  const errors = [];
+  validateFeatureDefinitions(
+    {
+      "bad-name": "1",
+      broken: "1 +",
+      uses_later: "derived.later * 2",
+      later: "request.amount",
+      self: "derived.self + 1",
+      unknown: "derived.nope",
+      ok: "derived.later + derived.broken",
+    },
+    errors
+  );
+  assert.deepEqual(errors, [
+    { path: "features.bad-name", message: 'Invalid feature name "bad-name" (letters, digits and _ only)' },
+    { path: "features.broken", message: "Invalid expression: Unexpected end of expression" },
+    { path: "features.uses_later", message: 'Feature "later" must be declared before "uses_later"' },
+    { path: "features.self", message: 'Feature "self" cannot reference itself' },
+    { path: "features.unknown", message: 'Unknown feature "nope"' },
+  ]);
+
+  const notMapping = [];
+  validateFeatureDefinitions(["a"], notMapping);
+  assert.deepEqual(notMapping.map((error) => error.path), ["features"]);
+});
+
+test("rules match on derived fields and the response carries them", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "features-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "rules.yaml");
+  fs.writeFileSync(
+    file,
+    `
+features:
+  amount_ratio: "request.amount / signals.avg_amount"
+rules:
+  - id: "DENY_RATIO"
+    name: "Amount far above average"
+    condition: { field: "derived.amount_ratio", op: "gt", value: 5 }
+    outcome: "SAFE_DENY"
+`
+  );
+  const service = new DecisionService({ version: "v1", rulesConfigPath: file });
+  t.after(() => service.stop());
+
+  const denied = await service.decide({ request: { amount: 600 }, signals: { avg_amount: 100 } });
+  assert.equal(denied.ruleEvaluation.matchedRule.id, "DENY_RATIO");
+  assert.deepEqual(denied.ruleEvaluation.derived, { amount_ratio: 6 });
+
+  const grey = await service.decide({ request: { amount: 600 }, signals: {} });
+  assert.equal(grey.ruleEvaluation.matchedRule, null);
+  assert.deepEqual(grey.ruleEvaluation.derived, {});
+});
+
+test("the AI prompt lists derived features apart from the request", () => {
+  const analyzer = new AIAnalyzer({});
+  const input = compileFeatures(FEATURES).compute(INPUT, new Date("2026-01-11T00:00:00Z"));
+  const prompt = analyzer.buildPrompt(input, { evaluationPath: [] });
+
+  const [request, features] = prompt.split("DERIVED FEATURES:");
+  assert.ok(features.includes('"account_age_days": 10'));
+  assert.ok(!request.includes("account_age_days"));
+  assert.ok(!analyzer.buildPrompt(INPUT, {}).includes("DERIVED FEATURES"));
+});
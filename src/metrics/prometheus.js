@@ -68,6 +68,44 @@ export const ruleEvaluationCounter = new client.Counter({
   registers: [register]
 });
 
+/**
+ * Rule conflict counter
+ * Counts requests where a lower-priority matched rule disagreed with the
+ * winning rule's outcome (all_matches strategy)
+ * Labels: winning_rule, conflicting_rule
+ */
+export const ruleConflictCounter = new client.Counter({
+  name: 'decision_platform_rule_conflicts_total',
+  help: 'Total number of matched rule pairs with conflicting outcomes',
+  labelNames: ['winning_rule', 'conflicting_rule'],
+  registers: [register]
+});
+
+/**
+ * Shadow rule evaluation counter
+ * Tracks how often each shadow rule matches
+ * Labels: rule_id, matched (true/false)
+ */
+export const shadowEvaluationCounter = new client.Counter({
+  name: 'decision_platform_shadow_rule_evaluations_total',
+  help: 'Total number of shadow rule evaluations',
+  labelNames: ['rule_id', 'matched'],
+  registers: [register]
+});
+
+/**
+ * Shadow disagreement counter
+ * Counts requests where a shadow rule, had it been live, would have changed
+ * the rule outcome - the key signal for promoting a shadow rule
+ * Labels: rule_id, live_outcome, shadow_outcome
+ */
+export const shadowDisagreementCounter = new client.Counter({
+  name: 'decision_platform_shadow_disagreements_total',
+  help: 'Total number of shadow rule outcomes that differ from the live outcome',
+  labelNames: ['rule_id', 'live_outcome', 'shadow_outcome'],
+  registers: [register]
+});
+
 /**
  * AI invocation counter
  * Tracks AI analyzer usage
@@ -135,6 +173,98 @@ export const engineInfo = new client.Gauge({
   registers: [register]
 });
 
+/**
+ * Batch request counter
+ * Tracks POST /decide/batch calls
+ * Labels: status (success, partial_failure), version
+ */
+export const batchCounter = new client.Counter({
+  name: 'decision_platform_batch_requests_total',
+  help: 'Total number of batch decision requests',
+  labelNames: ['status', 'version'],
+  registers: [register]
+});
+
+/**
+ * Batch size histogram
+ * Tracks how many items arrive per batch
+ */
+export const batchSize = new client.Histogram({
+  name: 'decision_platform_batch_size',
+  help: 'Number of items per batch decision request',
+  labelNames: ['version'],
+  buckets: [1, 5, 10, 25, 50, 100, 250, 500],
+  registers: [register]
+});
+
+/**
+ * Batch duration histogram
+ * Tracks end-to-end time for a whole batch
+ */
+export const batchDuration = new client.Histogram({
+  name: 'decision_platform_batch_duration_ms',
+  help: 'Duration of batch decision requests in milliseconds',
+  labelNames: ['version'],
+  buckets: [10, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000],
+  registers: [register]
+});
+
+/**
+ * Batch item failure counter
+ * Tracks individual items that ended in ERROR
+ */
+export const batchItemFailures = new client.Counter({
+  name: 'decision_platform_batch_item_failures_total',
+  help: 'Total number of batch items that failed',
+  labelNames: ['version'],
+  registers: [register]
+});
+
+/**
+ * Rules reload counter
+ * Tracks every attempt to activate a new rules configuration
+ * Labels: result (success, failure), trigger (startup, api, watch, rollback, rule_api)
+ */
+export const rulesReloadCounter = new client.Counter({
+  name: 'decision_platform_rules_reloads_total',
+  help: 'Total number of rules configuration reload attempts',
+  labelNames: ['result', 'trigger'],
+  registers: [register]
+});
+
+/**
+ * Rules config last loaded gauge
+ * Unix timestamp (seconds) of the last successful rules load
+ */
+export const rulesLastLoaded = new client.Gauge({
+  name: 'decision_platform_rules_config_last_loaded_timestamp_seconds',
+  help: 'Unix timestamp of the last successful rules configuration load',
+  registers: [register]
+});
+
+/**
+ * Input validation failure counter
+ * Labels: request_type (a type with a declared schema, "other" or "none")
+ */
+export const inputValidationFailureCounter = new client.Counter({
+  name: 'decision_platform_input_validation_failures_total',
+  help: 'Total number of decision inputs rejected by input validation',
+  labelNames: ['request_type'],
+  registers: [register]
+});
+
+/**
+ * Outcome taxonomy info gauge
+ * One series per configured rule outcome, valued with its severity
+ * Labels: outcome, decision, terminal, ai_overridable
+ */
+export const outcomeInfo = new client.Gauge({
+  name: 'decision_platform_outcome_info',
+  help: 'Configured rule outcomes (value is the outcome severity)',
+  labelNames: ['outcome', 'decision', 'terminal', 'ai_overridable'],
+  registers: [register]
+});
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
@@ -150,7 +280,9 @@ export function recordDecision(params) {
     aiUsed,
     durationMs,
     evaluationPath,
-    matchedRuleId
+    matchedRuleId,
+    shadowResults,
+    conflicts
   } = params;
 
   // Record request duration
@@ -171,6 +303,34 @@ export function recordDecision(params) {
       });
     });
   }
+
+  // Record conflicts between matched rules
+  if (conflicts) {
+    conflicts.forEach(conflict => {
+      ruleConflictCounter.inc({
+        winning_rule: conflict.winningRuleId,
+        conflicting_rule: conflict.conflictingRuleId
+      });
+    });
+  }
+
+  // Record shadow rule evaluations and disagreements
+  if (shadowResults) {
+    shadowResults.forEach(shadow => {
+      shadowEvaluationCounter.inc({
+        rule_id: shadow.ruleId,
+        matched: String(shadow.matched)
+      });
+
+      if (shadow.disagrees) {
+        shadowDisagreementCounter.inc({
+          rule_id: shadow.ruleId,
+          live_outcome: shadow.liveOutcome,
+          shadow_outcome: shadow.wouldDecide
+        });
+      }
+    });
+  }
 }
 
 /**
@@ -186,6 +346,24 @@ export function recordAIInvocation(params) {
   }
 }
 
+/**
+ * Record aggregate batch metrics
+ */
+export function recordBatch(params) {
+  const { size, failed, version, durationMs } = params;
+
+  batchCounter.inc({
+    status: failed > 0 ? 'partial_failure' : 'success',
+    version
+  });
+  batchSize.observe({ version }, size);
+  batchDuration.observe({ version }, durationMs);
+
+  if (failed > 0) {
+    batchItemFailures.inc({ version }, failed);
+  }
+}
+
 /**
  * Record an error
  */
@@ -193,16 +371,54 @@ export function recordError(type, endpoint) {
   errorCounter.inc({ type, endpoint });
 }
 
+/**
+ * Record an input rejected by validation
+ */
+export function recordInputValidationFailure(requestType) {
+  inputValidationFailureCounter.inc({ request_type: requestType });
+}
+
+/**
+ * Record a rules reload attempt
+ */
+export function recordRulesReload(params) {
+  const { success, trigger } = params;
+
+  rulesReloadCounter.inc({
+    result: success ? 'success' : 'failure',
+    trigger
+  });
+
+  if (success) {
+    rulesLastLoaded.set(Date.now() / 1000);
+  }
+}
+
 /**
  * Update engine info (call on startup and config reload)
  */
-export function updateEngineInfo(version, rulesCount, aiEnabled) {
+export function updateEngineInfo(version, rulesCount, aiEnabled, outcomes) {
   // Reset to avoid stale labels
   engineInfo.reset();
   engineInfo.set(
     { version, rules_count: String(rulesCount), ai_enabled: String(aiEnabled) },
     1
   );
+
+  if (outcomes) {
+    outcomeInfo.reset();
+    outcomes.list().forEach(outcome => {
+      outcomeInfo.set(
+        {
+          outcome: outcome.outcome,
+          decision: outcome.decision,
+          terminal: String(outcome.terminal),
+          ai_overridable: String(outcome.aiOverridable)
+        },
+        outcome.severity
+      );
+    });
+  }
 }
 
 /**
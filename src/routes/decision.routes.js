@@ -9,7 +9,13 @@ export function decisionRoutes(decisionService, ENGINE_VERSION) {
       const input = req.body;
       const result = await decisionService.decide(input, req.requestId);
 
-      const statusCode = result.decision.final === "ERROR" ? 500 : 200;
+      // Invalid input is the caller's problem, anything else is ours
+      const statusCode =
+        result.decision.final !== "ERROR"
+          ? 200
+          : result.error.type === "VALIDATION_ERROR"
+            ? 400
+            : 500;
 
       res.status(statusCode).json(result);
     } catch (error) {
@@ -33,5 +39,68 @@ export function decisionRoutes(decisionService, ENGINE_VERSION) {
     }
   });
 
+  router.post("/decide/explain", async (req, res) => {
+    try {
+      const result = await decisionService.explain(req.body, req.requestId);
+
+      const statusCode = result.decision?.final === "ERROR" ? 400 : 200;
+
+      res.status(statusCode).json(result);
+    } catch (error) {
+      console.error(`[${req.requestId}] Explain error`, error);
+      metrics.recordError("unhandled_error", "/decide/explain");
+
+      res.status(500).json({
+        error: {
+          message: "Internal server error",
+          requestId: req.requestId,
+        },
+        meta: {
+          version: ENGINE_VERSION,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+  });
+
+  router.post("/decide/batch", async (req, res) => {
+    try {
+      const items = Array.isArray(req.body) ? req.body : req.body?.items;
+
+      const validation = decisionService.validateBatch(items);
+      if (!validation.valid) {
+        return res.status(400).json({
+          error: {
+            message: validation.error,
+            type: "INVALID_BATCH",
+            requestId: req.requestId,
+          },
+          meta: {
+            version: ENGINE_VERSION,
+            timestamp: new Date().toISOString(),
+          },
+        });
+      }
+
+      const result = await decisionService.decideBatch(items, req.requestId);
+
+      res.status(200).json(result);
+    } catch (error) {
+      console.error(`[${req.requestId}] Batch decision error`, error);
+      metrics.recordError("unhandled_error", "/decide/batch");
+
+      res.status(500).json({
+        error: {
+          message: "Internal server error",
+          requestId: req.requestId,
+        },
+        meta: {
+          version: ENGINE_VERSION,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+  });
+
   return router;
 }
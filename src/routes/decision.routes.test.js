@@ -0,0 +1,110 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { fileURLToPath } from "url";
+import { decisionRoutes } from "./decision.routes.js";
+import { DecisionService } from "../decisionService.js";
+
+const RULES_PATH = fileURLToPath(new URL("../../config/rules.yaml", import.meta.url));
+
+const ALLOW_INPUT = {
+  request: { type: "transaction", amount: 50 },
+  signals: { risk_score: 5, is_verified: true, source_reputation: 95 },
+};
+const GREY_INPUT = {
+  request: { type: "transaction", amount: 5 },
+  signals: { risk_score: 50 },
+};
+
+let service;
+let server;
+let baseUrl;
+
+before(async () => {
+  service = new DecisionService({ version: "v1", rulesConfigPath: RULES_PATH, batchMaxSize: 3 });
+  const app = express();
+  app.use(express.json());
+  app.use(decisionRoutes(service, "v1"));
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  service.stop();
+});
+
+/**
+ * POST a JSON body to the batch endpoint
+ */
+async function postBatch(body) {
+  const response = await fetch(`${baseUrl}/decide/batch`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test("results come back in input order with a summary", async () => {
+  const { status, body } = await postBatch({ items: [GREY_INPUT, ALLOW_INPUT] });
+  assert.equal(status, 200);
+  assert.deepEqual(body.results.map((result) => result.decision.final), ["REVIEW", "ALLOW"]);
+  assert.deepEqual(body.summary, {
+    total: 2,
+    succeeded: 2,
+    failed: 0,
+    outcomes: { REVIEW: 1, ALLOW: 1 },
+  });
+  assert.equal(body.meta.version, "v1");
+});
+
+test("a bare array is accepted as the items", async () => {
+  const { status, body } = await postBatch([ALLOW_INPUT]);
+  assert.equal(status, 200);
+  assert.equal(body.summary.total, 1);
+});
+
+test("an invalid item fails alone, not the batch", async () => {
+  const { status, body } = await postBatch({ items: [ALLOW_INPUT, { request: "nope" }] });
+  assert.equal(status, 200);
+  assert.equal(body.results[0].decision.final, "ALLOW");
+  assert.equal(body.results[1].decision.final, "ERROR");
+  assert.deepEqual(body.summary.outcomes, { ALLOW: 1, ERROR: 1 });
+  assert.equal(body.summary.failed, 1);
+});
+
+test("missing, empty and oversized batches are rejected", async () => {
+  for (const [payload, message] of [
+    [{ item: [] }, 'Batch must contain an "items" array'],
+    [{ items: [] }, "Batch must contain at least one item"],
+    [{ items: [ALLOW_INPUT, ALLOW_INPUT, ALLOW_INPUT, ALLOW_INPUT] }, "Batch size 4 exceeds maximum of 3"],
+  ]) {
+    const { status, body } = await postBatch(payload);
+    assert.equal(status, 400);
+    assert.equal(body.error.type, "INVALID_BATCH");
+    assert.equal(body.error.message, message);
+  }
+});
+
+test("explain returns the condition trace, and 400 for invalid input", async () => {
+  const post = (body) =>
+    fetch(`${baseUrl}/decide/explain`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  const ok = await post(ALLOW_INPUT);
+  assert.equal(ok.status, 200);
+  const { explanation, meta } = await ok.json();
+  assert.equal(explanation.outcome, "SAFE_ALLOW");
+  assert.ok(explanation.rules.length > 0);
+  assert.ok(explanation.rules.every((rule) => "trace" in rule));
+  assert.equal(meta.rulesetHash, service.ruleEngine.configHash);
+
+  const invalid = await post({ request: "nope" });
+  assert.equal(invalid.status, 400);
+  assert.equal((await invalid.json()).decision.final, "ERROR");
+});
@@ -3,23 +3,62 @@ import { Router } from "express";
 export function reloadRoutes(decisionService) {
   const router = Router();
 
+  /**
+   * POST /reload - Reload the rules file from disk
+   * ?tests=true|false overrides whether embedded rule tests must pass
+   */
   router.post("/reload", (req, res) => {
     console.log("Reloading rules configuration...");
-    const result = decisionService.reloadRules();
+    const options = {};
+    if (req.query.tests !== undefined) {
+      options.requireTests = req.query.tests === "true";
+    }
+    const result = decisionService.reloadRules("api", options);
 
     if (result.success) {
       res.json({
         status: "reloaded",
         rulesCount: result.rulesCount,
+        rulesetVersion: result.rulesetVersion,
+        rulesetHash: result.rulesetHash,
+        ...(result.tests && { tests: result.tests }),
         timestamp: new Date().toISOString(),
       });
     } else {
-      res.status(500).json({
+      // Invalid config or failing tests are client-side problems - the old
+      // rules stay active
+      res.status(result.errors || result.tests ? 422 : 500).json({
         status: "failed",
         error: result.error,
+        ...(result.errors && { errors: result.errors }),
+        ...(result.tests && { tests: result.tests }),
+        timestamp: new Date().toISOString(),
+      });
+    }
+  });
+
+  /**
+   * POST /reload/lists - Re-read the named list files without the rules
+   */
+  router.post("/reload/lists", (req, res) => {
+    console.log("Reloading named lists...");
+    const result = decisionService.reloadLists();
+
+    if (result.success) {
+      return res.json({
+        status: "reloaded",
+        lists: result.lists,
         timestamp: new Date().toISOString(),
       });
     }
+
+    // The previous lists stay active
+    res.status(422).json({
+      status: "failed",
+      error: "Failed to reload named lists",
+      errors: result.errors,
+      timestamp: new Date().toISOString(),
+    });
   });
 
   return router;
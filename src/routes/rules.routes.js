@@ -0,0 +1,310 @@
+import express, { Router } from "express";
+import { parseDuration, toTimestamp } from "../rules/operators.js";
+
+export function rulesRoutes(decisionService) {
+  const router = Router();
+
+  // Rules files are posted as raw YAML
+  const yamlBody = express.text({
+    type: ["text/*", "application/yaml", "application/x-yaml"],
+    limit: "1mb",
+  });
+
+  /**
+   * POST /rules/validate - Dry-run validation of a candidate rules file
+   * Body: raw YAML, or JSON { "content": "<yaml>" }
+   */
+  router.post("/rules/validate", yamlBody, (req, res) => {
+    const content = typeof req.body === "string" ? req.body : req.body?.content;
+
+    if (typeof content !== "string" || content.trim() === "") {
+      return res.status(400).json({
+        error: "Request body must be YAML text or { content: <yaml> }",
+      });
+    }
+
+    const result = decisionService.validateRules(content);
+
+    res.status(result.valid ? 200 : 422).json({
+      ...result,
+      timestamp: new Date().toISOString(),
+    });
+  });
+
+  /**
+   * POST /rules/lint - Static analysis of a candidate rules file
+   * Body: raw YAML, or JSON { "content": "<yaml>" }; empty lints the active rules
+   */
+  router.post("/rules/lint", yamlBody, (req, res) => {
+    const content = typeof req.body === "string" ? req.body : req.body?.content;
+
+    if (content !== undefined && typeof content !== "string") {
+      return res.status(400).json({
+        error: "Request body must be YAML text or { content: <yaml> }",
+      });
+    }
+
+    const result = decisionService.lintRules(content?.trim() ? content : undefined);
+
+    res.status(result.valid ? 200 : 422).json({
+      ...result,
+      timestamp: new Date().toISOString(),
+    });
+  });
+
+  /**
+   * POST /rules/backtest - Replay recorded inputs against a candidate file
+   * Body: { content: "<candidate yaml>", inputs: [...] | "<jsonl>", sampleLimit? }
+   */
+  router.post("/rules/backtest", (req, res) => {
+    const { content, inputs, sampleLimit } = req.body || {};
+
+    if (typeof content !== "string" || content.trim() === "") {
+      return res.status(400).json({
+        error: "content must be the candidate rules file as YAML text",
+      });
+    }
+    if (!Array.isArray(inputs) && typeof inputs !== "string") {
+      return res.status(400).json({
+        error: "inputs must be an array of inputs or JSONL text",
+      });
+    }
+    if (
+      sampleLimit !== undefined &&
+      (!Number.isInteger(sampleLimit) || sampleLimit < 0)
+    ) {
+      return res.status(400).json({
+        error: "sampleLimit must be a non-negative integer",
+      });
+    }
+
+    const { success, report, ...result } = decisionService.backtestRules(
+      content,
+      inputs,
+      { sampleLimit }
+    );
+
+    if (!success) {
+      return res.status(422).json({
+        ...result,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    res.json({ ...report, timestamp: new Date().toISOString() });
+  });
+
+  /**
+   * GET /rules/history - Recently loaded rule configurations (newest first)
+   */
+  router.get("/rules/history", (req, res) => {
+    res.json(decisionService.getRuleHistory());
+  });
+
+  /**
+   * GET /rules/stats - Per-rule match counts, last match and decision shares
+   * Query: window=30d (last N, units ms|s|m|h|d|w) or since/until (ISO dates),
+   *        rareRate=0.001 (match rate below which a rule is flagged as rare)
+   * Live rules are listed under `rules`, shadow rules under `shadowRules`;
+   * matchRate is the share of all decisions in which the condition held.
+   */
+  router.get("/rules/stats", (req, res) => {
+    const { window, since, until, rareRate } = req.query;
+    const fail = (error) => res.status(400).json({ error });
+
+    if (window !== undefined && (since !== undefined || until !== undefined)) {
+      return fail("Use either window or since/until, not both");
+    }
+
+    const options = {};
+    if (window !== undefined) {
+      const ms = parseDuration(window);
+      if (ms === null) {
+        return fail(`window must be a duration like "24h" or "30d", got "${window}"`);
+      }
+      // Relative to the stats clock, not the wall clock
+      options.window = ms;
+    }
+    for (const [name, value] of Object.entries({ since, until })) {
+      if (value === undefined) continue;
+      const time = toTimestamp(value);
+      if (time === null) {
+        return fail(`${name} must be an ISO date, got "${value}"`);
+      }
+      options[name] = new Date(time);
+    }
+    if (rareRate !== undefined) {
+      options.rareRate = Number(rareRate);
+      if (!(options.rareRate >= 0 && options.rareRate <= 1)) {
+        return fail("rareRate must be a number between 0 and 1");
+      }
+    }
+
+    res.json({
+      ...decisionService.getRuleStats(options),
+      timestamp: new Date().toISOString(),
+    });
+  });
+
+  /**
+   * POST /rules/rollback/:version - Re-activate a configuration from history
+   */
+  router.post("/rules/rollback/:version", (req, res) => {
+    const version = Number(req.params.version);
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({
+        status: "failed",
+        error: "Version must be a positive integer",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    console.log(`Rolling back rules configuration to version ${version}...`);
+    const { success, notFound, errors, ...result } =
+      decisionService.rollbackRules(version);
+
+    if (success) {
+      return res.json({
+        status: "rolled_back",
+        ...result,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    res.status(notFound ? 404 : errors ? 422 : 500).json({
+      status: "failed",
+      error: result.error,
+      ...(errors && { errors }),
+      timestamp: new Date().toISOString(),
+    });
+  });
+
+  /**
+   * Who made a change and why - required for every rule edit
+   * Taken from the JSON body, falling back to X-Actor / X-Change-Reason headers
+   */
+  const getAudit = (req) => ({
+    actor: req.body?.actor || req.get("x-actor"),
+    reason: req.body?.reason || req.get("x-change-reason"),
+  });
+
+  /**
+   * Shared handler for all rule edits
+   * 404 unknown rule, 409 duplicate id, 422 invalid result, 503 when the
+   * rules file is read-only (mounted from a ConfigMap)
+   */
+  const applyChange = (req, res, action, payload, successStatus = 200) => {
+    const audit = getAudit(req);
+    if (!audit.actor || !audit.reason) {
+      return res.status(400).json({
+        status: "failed",
+        error: 'Rule changes require "actor" and "reason"',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const { success, notFound, conflict, readOnly, errors, ...result } =
+      decisionService.changeRule(action, payload, audit);
+
+    if (success) {
+      return res.status(successStatus).json({
+        status: "applied",
+        ...result,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    let statusCode = 500;
+    if (notFound) statusCode = 404;
+    else if (conflict) statusCode = 409;
+    else if (readOnly) statusCode = 503;
+    else if (errors) statusCode = 422;
+
+    res.status(statusCode).json({
+      status: "failed",
+      error: result.error,
+      ...(errors && { errors }),
+      timestamp: new Date().toISOString(),
+    });
+  };
+
+  /**
+   * Check that a request body carries a rule object
+   */
+  const requireObject = (value, name, res) => {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      res.status(400).json({
+        status: "failed",
+        error: `Request body must contain a "${name}" object`,
+        timestamp: new Date().toISOString(),
+      });
+      return false;
+    }
+    return true;
+  };
+
+  /**
+   * GET /rules - All rule definitions in the active config (incl. disabled)
+   */
+  router.get("/rules", (req, res) => {
+    res.json({ rules: decisionService.listRuleDefinitions() });
+  });
+
+  /**
+   * GET /rules/:id - A single rule definition
+   */
+  router.get("/rules/:id", (req, res) => {
+    const rule = decisionService.getRuleDefinition(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: `Rule ${req.params.id} not found` });
+    }
+    res.json({ rule });
+  });
+
+  /**
+   * POST /rules - Create a rule
+   * Body: { rule: {...}, actor, reason }
+   */
+  router.post("/rules", (req, res) => {
+    if (!requireObject(req.body?.rule, "rule", res)) return;
+    applyChange(req, res, "create", { rule: req.body.rule }, 201);
+  });
+
+  /**
+   * PUT /rules/:id - Replace a rule
+   * Body: { rule: {...}, actor, reason }
+   */
+  router.put("/rules/:id", (req, res) => {
+    if (!requireObject(req.body?.rule, "rule", res)) return;
+    if (req.body.rule.id !== undefined && req.body.rule.id !== req.params.id) {
+      return res.status(400).json({
+        status: "failed",
+        error: "Rule id in body does not match URL",
+        timestamp: new Date().toISOString(),
+      });
+    }
+    applyChange(req, res, "replace", { id: req.params.id, rule: req.body.rule });
+  });
+
+  /**
+   * PATCH /rules/:id - Change individual fields (e.g. toggle enabled)
+   * Body: { changes: {...}, actor, reason }
+   */
+  router.patch("/rules/:id", (req, res) => {
+    if (!requireObject(req.body?.changes, "changes", res)) return;
+    applyChange(req, res, "update", {
+      id: req.params.id,
+      changes: req.body.changes,
+    });
+  });
+
+  /**
+   * DELETE /rules/:id - Remove a rule
+   * Body (or headers): { actor, reason }
+   */
+  router.delete("/rules/:id", (req, res) => {
+    applyChange(req, res, "remove", { id: req.params.id });
+  });
+
+  return router;
+}
@@ -0,0 +1,190 @@
+/**
+ * ============================================================================
+ * RULES BACKTEST - Replay recorded inputs against current vs candidate rules
+ * ============================================================================
+ *
+ * Feeds each recorded { request, signals } input through two RuleEngine
+ * instances and reports how decisions would change:
+ *
+ * - transitions: outcome transition matrix, e.g. SAFE_ALLOW → GREY_ZONE
+ * - ruleHits:    per-rule decisive match counts and their delta
+ * - samples:     example inputs for every changed transition bucket
+ *
+ * Design Decisions:
+ * 1. Inputs are added one at a time, so a large JSONL file is streamed and
+ *    never held in memory - only counters and a bounded set of samples are
+ * 2. Only rule evaluation is replayed (no AI, no metrics) - the backtest
+ *    answers "what would the rules decide", which is deterministic
+ * 3. Unparseable lines are counted and skipped rather than aborting the run
+ *
+ * ============================================================================
+ */
+
+// Matched-rule key used when no rule matched
+const NO_MATCH = "(no match)";
+
+// Line numbers of invalid lines to keep for the report
+const MAX_INVALID_LINES = 20;
+
+/**
+ * Backtest class - accumulates the comparison of two engines
+ */
+export class Backtest {
+  constructor(current, candidate, { sampleLimit = 5 } = {}) {
+    this.current = current;
+    this.candidate = candidate;
+    this.sampleLimit = sampleLimit;
+
+    this.total = 0;
+    this.changed = 0;
+    this.invalid = 0;
+    this.invalidLines = [];
+    this.transitions = {};
+    this.ruleHits = new Map();
+    this.samples = new Map();
+  }
+
+  /**
+   * Parse and add one JSONL line (blank lines are ignored)
+   */
+  addLine(text, lineNumber) {
+    if (text.trim() === "") {
+      return;
+    }
+
+    let input;
+    try {
+      input = JSON.parse(text);
+    } catch {
+      input = null;
+    }
+
+    this.addRecord(input, lineNumber);
+  }
+
+  /**
+   * Add one parsed record, counting anything but an object as invalid
+   */
+  addRecord(input, lineNumber) {
+    if (!input || typeof input !== "object" || Array.isArray(input)) {
+      this.invalid++;
+      if (this.invalidLines.length < MAX_INVALID_LINES) {
+        this.invalidLines.push(lineNumber);
+      }
+      return;
+    }
+
+    this.add(input, lineNumber);
+  }
+
+  /**
+   * Evaluate one input with both engines and record the difference
+   */
+  add(input, lineNumber = this.total + 1) {
+    // Each ruleset derives its own features
+    const before = this.current.evaluate(this.current.deriveFeatures(input));
+    const after = this.candidate.evaluate(this.candidate.deriveFeatures(input));
+    const beforeRule = before.matchedRule?.id ?? NO_MATCH;
+    const afterRule = after.matchedRule?.id ?? NO_MATCH;
+
+    this.total++;
+
+    const row = (this.transitions[before.outcome] ||= {});
+    row[after.outcome] = (row[after.outcome] || 0) + 1;
+
+    this.countHit(beforeRule, "current");
+    this.countHit(afterRule, "candidate");
+
+    if (before.outcome === after.outcome) {
+      return;
+    }
+
+    this.changed++;
+    const bucket = `${before.outcome}→${after.outcome}`;
+    let samples = this.samples.get(bucket);
+    if (!samples) {
+      samples = [];
+      this.samples.set(bucket, samples);
+    }
+
+    if (samples.length < this.sampleLimit) {
+      samples.push({
+        line: lineNumber,
+        input,
+        current: { outcome: before.outcome, ruleId: before.matchedRule?.id ?? null },
+        candidate: { outcome: after.outcome, ruleId: after.matchedRule?.id ?? null },
+      });
+    }
+  }
+
+  /**
+   * Count a decisive match for one side of the comparison
+   */
+  countHit(ruleId, side) {
+    let hits = this.ruleHits.get(ruleId);
+    if (!hits) {
+      hits = { current: 0, candidate: 0 };
+      this.ruleHits.set(ruleId, hits);
+    }
+    hits[side]++;
+  }
+
+  /**
+   * Build the final report
+   */
+  report() {
+    const ruleHits = [...this.ruleHits]
+      .map(([ruleId, hits]) => ({
+        ruleId,
+        current: hits.current,
+        candidate: hits.candidate,
+        delta: hits.candidate - hits.current,
+      }))
+      .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || b.current - a.current);
+
+    const changes = [];
+    for (const [from, row] of Object.entries(this.transitions)) {
+      for (const [to, count] of Object.entries(row)) {
+        if (from !== to) {
+          changes.push({
+            from,
+            to,
+            count,
+            samples: this.samples.get(`${from}→${to}`) || [],
+          });
+        }
+      }
+    }
+    changes.sort((a, b) => b.count - a.count);
+
+    return {
+      total: this.total,
+      changed: this.changed,
+      changedRate: this.total ? this.changed / this.total : 0,
+      invalid: this.invalid,
+      ...(this.invalid > 0 && { invalidLines: this.invalidLines }),
+      rulesets: {
+        current: this.current.configHash,
+        candidate: this.candidate.configHash,
+      },
+      transitions: this.transitions,
+      changes,
+      ruleHits,
+    };
+  }
+}
+
+/**
+ * Backtest a block of JSONL text (or an array of inputs) in one call
+ */
+export function runBacktest(current, candidate, inputs, options) {
+  const backtest = new Backtest(current, candidate, options);
+
+  if (Array.isArray(inputs)) {
+    inputs.forEach((input, i) => backtest.addRecord(input, i + 1));
+  } else {
+    inputs.split("\n").forEach((line, i) => backtest.addLine(line, i + 1));
+  }
+
+  return backtest.report();
+}
@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Backtest, runBacktest } from "./backtest.js";
+import { RuleEngine } from "./engine.js";
+
+/**
+ * Engine with a single deny rule above the given amount
+ */
+function engineWithLimit(limit) {
+  const engine = new RuleEngine(null);
+  engine.loadContent(`
+rules:
+  - id: "DENY_LIMIT"
+    name: "Over the limit"
+    priority: 100
+    condition: { field: "request.amount", op: "gt", value: ${limit} }
+    outcome: "SAFE_DENY"
+  - id: "ALLOW_SMALL"
+    name: "Small"
+    priority: 10
+    condition: { field: "request.amount", op: "lt", value: 100 }
+    outcome: "SAFE_ALLOW"
+`);
+  return engine;
+}
+
+const current = engineWithLimit(1000);
+const candidate = engineWithLimit(500);
+
+const line = (amount) => JSON.stringify({ request: { amount } });
+
+test("transitions, rule hits and samples compare both rulesets", () => {
+  const report = runBacktest(current, candidate, [50, 700, 800, 2000, 300].map(line).join("\n"));
+
+  assert.equal(report.total, 5);
+  assert.equal(report.changed, 2);
+  assert.equal(report.changedRate, 0.4);
+  assert.deepEqual(report.transitions, {
+    SAFE_ALLOW: { SAFE_ALLOW: 1 },
+    GREY_ZONE: { SAFE_DENY: 2, GREY_ZONE: 1 },
+    SAFE_DENY: { SAFE_DENY: 1 },
+  });
+  assert.deepEqual(report.rulesets, { current: current.configHash, candidate: candidate.configHash });
+
+  const [change] = report.changes;
+  assert.deepEqual([change.from, change.to, change.count], ["GREY_ZONE", "SAFE_DENY", 2]);
+  assert.deepEqual(change.samples[0], {
+    line: 2,
+    input: { request: { amount: 700 } },
+    current: { outcome: "GREY_ZONE", ruleId: null },
+    candidate: { outcome: "SAFE_DENY", ruleId: "DENY_LIMIT" },
+  });
+
+  // Sorted by the size of the change, then by current hits
+  assert.deepEqual(report.ruleHits, [
+    { ruleId: "(no match)", current: 3, candidate: 1, delta: -2 },
+    { ruleId: "DENY_LIMIT", current: 1, candidate: 3, delta: 2 },
+    { ruleId: "ALLOW_SMALL", current: 1, candidate: 1, delta: 0 },
+  ]);
+});
+
+test("invalid and blank lines are skipped, invalid ones counted", () => {
+  const report = runBacktest(current, candidate, `${line(50)}\n\nnot json\n[1, 2]\n${line(700)}\n`);
+  assert.equal(report.total, 2);
+  assert.equal(report.invalid, 2);
+  assert.deepEqual(report.invalidLines, [3, 4]);
+});
+
+test("samples per transition are bounded", () => {
+  const backtest = new Backtest(current, candidate, { sampleLimit: 2 });
+  for (let amount = 600; amount < 1000; amount += 100) {
+    backtest.add({ request: { amount } });
+  }
+  const [change] = backtest.report().changes;
+  assert.equal(change.count, 4);
+  assert.deepEqual(change.samples.map((sample) => sample.line), [1, 2]);
+});
+
+test("records can be given as an array", () => {
+  const report = runBacktest(current, candidate, [{ request: { amount: 700 } }, null]);
+  assert.equal(report.total, 1);
+  assert.equal(report.changed, 1);
+  assert.equal(report.invalid, 1);
+  assert.equal(report.invalidLines[0], 2);
+});
+
+test("identical rulesets change nothing", () => {
+  const report = runBacktest(current, engineWithLimit(1000), [line(50), line(2000)].join("\n"));
+  assert.equal(report.changed, 0);
+  assert.deepEqual(report.changes, []);
+  assert.ok(report.ruleHits.every((hits) => hits.delta === 0));
+  assert.equal(report.invalidLines, undefined);
+});
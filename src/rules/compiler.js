@@ -0,0 +1,364 @@
+/**
+ * ============================================================================
+ * RULE COMPILER - Turns condition trees into predicate functions
+ * ============================================================================
+ *
+ * Design Decisions:
+ * 1. Compile once at load time, evaluate many times - nothing on the hot
+ *    path re-parses the condition tree
+ * 2. Dotted field paths become cached accessor functions (no split per call)
+ * 3. Regexes are constructed once; in/nin lists become Sets; dates,
+ *    durations and CIDR blocks are parsed once
+ * 4. AND/OR short-circuit - operands after the deciding one are skipped
+ * 5. Semantics match the original tree-walking evaluator: missing values
+ *    fail gracefully and operator errors count as "no match"
+ * 6. A comparison against a missing field reference is UNKNOWN rather than
+ *    false, and stays unknown through NOT (three-valued logic: AND is false
+ *    if any operand is, OR true if any operand is). Only a definite true
+ *    matches, so NOT can't turn a missing reference into a match.
+ *
+ * A compiled predicate has the signature (input, trace, now) => boolean.
+ * When trace is an array, comparisons that use a field reference push
+ * their resolved values onto it. now is the evaluation time (a Date) used
+ * by time-relative operators such as within_last; it defaults to the
+ * system clock.
+ * ============================================================================
+ */
+
+import { OPERATORS } from "./engine.js";
+import { OPERATOR_FACTORIES } from "./operators.js";
+
+// Shared accessor cache - rules reuse the same handful of paths
+const pathCache = new Map();
+
+// Lists at least this long are turned into Sets for in/nin
+const SET_THRESHOLD = 8;
+
+// Result of a comparison that cannot be decided (missing field reference)
+const UNKNOWN = null;
+
+/**
+ * Compile a dotted path into an accessor function
+ * Example: compilePath("a.b")({a: {b: 1}}) => 1
+ */
+export function compilePath(path) {
+  let accessor = pathCache.get(path);
+  if (accessor) {
+    return accessor;
+  }
+
+  const keys = path.split(".");
+  accessor = (obj) => {
+    let current = obj;
+    for (let i = 0; i < keys.length; i++) {
+      if (!current || current[keys[i]] === undefined) {
+        return undefined;
+      }
+      current = current[keys[i]];
+    }
+    return current;
+  };
+
+  pathCache.set(path, accessor);
+  return accessor;
+}
+
+/**
+ * Check whether a condition value is a reference to another input field
+ * Example: { field: "signals.avg_amount", multiply: 3 }
+ */
+export function isFieldReference(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    typeof value.field === "string"
+  );
+}
+
+/**
+ * Compile a field reference into a resolver function
+ * Arithmetic is applied in order: ratio, multiply, add.
+ * Resolves to undefined if any referenced field is missing or non-numeric
+ * while arithmetic is requested (so the condition fails gracefully).
+ */
+export function compileFieldReference(ref) {
+  const getField = compilePath(ref.field);
+  const getDivisor = ref.ratio !== undefined ? compilePath(ref.ratio) : null;
+  const { multiply, add } = ref;
+
+  if (!getDivisor && multiply === undefined && add === undefined) {
+    return getField;
+  }
+
+  return (input) => {
+    let resolved = getField(input);
+    if (typeof resolved !== "number") {
+      return undefined;
+    }
+
+    if (getDivisor) {
+      const divisor = getDivisor(input);
+      if (typeof divisor !== "number" || divisor === 0) {
+        return undefined;
+      }
+      resolved = resolved / divisor;
+    }
+
+    if (multiply !== undefined) {
+      resolved = resolved * multiply;
+    }
+
+    if (add !== undefined) {
+      resolved = resolved + add;
+    }
+
+    return resolved;
+  };
+}
+
+/**
+ * Build the comparison function for a literal value
+ * Precomputes whatever can be precomputed (regex, lookup sets)
+ */
+function compileComparison(op, value) {
+  if (op === "regex") {
+    let regex;
+    try {
+      regex = new RegExp(value);
+    } catch {
+      return () => false;
+    }
+    return (actual) => regex.test(String(actual));
+  }
+
+  // Dates, durations and CIDR blocks are parsed once
+  if (OPERATOR_FACTORIES[op]) {
+    return OPERATOR_FACTORIES[op](value);
+  }
+
+  if ((op === "in" || op === "nin") && Array.isArray(value)) {
+    if (value.length >= SET_THRESHOLD) {
+      const set = new Set(value);
+      return op === "in"
+        ? (actual) => set.has(actual)
+        : (actual) => !set.has(actual);
+    }
+  }
+
+  const compareFn = OPERATORS[op];
+  return (actual) => compareFn(actual, value);
+}
+
+/**
+ * Compile a simple field comparison
+ */
+function compileLeaf(condition, options) {
+  const { field, op } = condition;
+
+  // Named lists are looked up at evaluation time so they can be reloaded
+  if (op === "in_list") {
+    const getActual = compilePath(field);
+    const lists = options.lists;
+    const name = condition.value;
+    return (input) => (lists ? lists.has(name, getActual(input)) : false);
+  }
+
+  if (!OPERATORS[op]) {
+    console.warn(`[RuleEngine] Unknown operator: ${op}`);
+    return () => false;
+  }
+
+  const getActual = compilePath(field);
+  const guarded = (fn) => (...args) => {
+    try {
+      return fn(...args);
+    } catch (error) {
+      console.warn(`[RuleEngine] Error evaluating condition: ${error.message}`);
+      return false;
+    }
+  };
+
+  // Literal value - comparison is fully precompiled
+  if (!isFieldReference(condition.value)) {
+    const compare = guarded(compileComparison(op, condition.value));
+    return (input, trace, now) => compare(getActual(input), now);
+  }
+
+  // Field reference - resolve at evaluation time
+  const resolve = compileFieldReference(condition.value);
+  const compare = guarded(OPERATORS[op]);
+  const valueRef = condition.value;
+
+  return (input, trace, now) => {
+    const actualValue = getActual(input);
+    const value = resolve(input);
+
+    if (trace) {
+      trace.push({ field, op, actualValue, valueRef, resolvedValue: value });
+    }
+
+    // A missing reference can never match (even for neq/nin, or under NOT)
+    if (value === undefined) {
+      return UNKNOWN;
+    }
+    return compare(actualValue, value, now);
+  };
+}
+
+/**
+ * Negate a three-valued result (unknown stays unknown)
+ */
+function not(result) {
+  return result === UNKNOWN ? UNKNOWN : !result;
+}
+
+/**
+ * Compile a condition tree into (input, trace, now) => true | false | UNKNOWN
+ */
+function compileNode(condition, options) {
+  if (!condition || typeof condition !== "object") {
+    return () => false;
+  }
+
+  if (!condition.operator) {
+    return compileLeaf(condition, options);
+  }
+
+  if (!Array.isArray(condition.operands)) {
+    return () => false;
+  }
+
+  const predicates = condition.operands.map((operand) =>
+    compileNode(operand, options)
+  );
+
+  switch (condition.operator) {
+    case "NOT": {
+      if (predicates.length !== 1) {
+        return () => false;
+      }
+      const [predicate] = predicates;
+      return (input, trace, now) => not(predicate(input, trace, now));
+    }
+
+    case "AND":
+      return (input, trace, now) => {
+        let result = true;
+        for (let i = 0; i < predicates.length; i++) {
+          const value = predicates[i](input, trace, now);
+          if (value === false) {
+            return false;
+          }
+          if (value === UNKNOWN) {
+            result = UNKNOWN;
+          }
+        }
+        return result;
+      };
+
+    case "OR":
+      return (input, trace, now) => {
+        let result = false;
+        for (let i = 0; i < predicates.length; i++) {
+          const value = predicates[i](input, trace, now);
+          if (value === true) {
+            return true;
+          }
+          if (value === UNKNOWN) {
+            result = UNKNOWN;
+          }
+        }
+        return result;
+      };
+
+    default:
+      return () => false;
+  }
+}
+
+/**
+ * Compile a condition tree into a predicate (input, trace, now) => boolean
+ * options.lists - ListRegistry used by in_list comparisons
+ */
+export function compileCondition(condition, options = {}) {
+  const node = compileNode(condition, options);
+  return (input, trace, now) => node(input, trace, now) === true;
+}
+
+/**
+ * Combine explained operand results like the compiled predicates do
+ */
+function combineExplained(operator, values) {
+  if (operator === "NOT") {
+    return values.length === 1 ? not(values[0]) : false;
+  }
+  if (operator === "AND") {
+    if (values.includes(false)) return false;
+    return values.includes(UNKNOWN) ? UNKNOWN : true;
+  }
+  if (operator === "OR") {
+    if (values.includes(true)) return true;
+    return values.includes(UNKNOWN) ? UNKNOWN : false;
+  }
+  return false;
+}
+
+/**
+ * Explain a condition tree against an input (explain mode, not hot path)
+ *
+ * Unlike compiled predicates, every operand is evaluated - no short
+ * circuit - so the trace shows all failing operands, not just the first.
+ * Leaf results use the same compiled comparisons as live evaluation.
+ *
+ * Returns a tree of:
+ *   { operator, result, operands: [...] }                  (compound)
+ *   { field, op, expected, actual, result, missing?, valueRef? } (comparison)
+ * A node whose result is unknown (missing reference) has result: false
+ * and unknown: true. options.now is the evaluation time (see above).
+ */
+export function explainCondition(condition, input, options = {}) {
+  if (!condition || typeof condition !== "object") {
+    return { result: false, error: "Invalid condition" };
+  }
+
+  if (condition.operator) {
+    const operands = Array.isArray(condition.operands)
+      ? condition.operands.map((operand) =>
+          explainCondition(operand, input, options)
+        )
+      : [];
+    const value = combineExplained(
+      condition.operator,
+      operands.map((operand) => (operand.unknown ? UNKNOWN : operand.result))
+    );
+
+    return {
+      operator: condition.operator,
+      result: value === true,
+      ...(value === UNKNOWN && { unknown: true }),
+      operands,
+    };
+  }
+
+  // Missing values are reported as null + missing: true (JSON has no undefined)
+  const reference = isFieldReference(condition.value);
+  const actual = compilePath(condition.field)(input);
+  const expected = reference
+    ? compileFieldReference(condition.value)(input)
+    : condition.value;
+
+  const value = compileLeaf(condition, options)(input, null, options.now);
+
+  return {
+    field: condition.field,
+    op: condition.op,
+    expected: expected === undefined ? null : expected,
+    actual: actual === undefined ? null : actual,
+    result: value === true,
+    ...(value === UNKNOWN && { unknown: true }),
+    ...(actual === undefined && { missing: true }),
+    ...(reference && { valueRef: condition.value }),
+    ...(reference && expected === undefined && { referenceMissing: true }),
+  };
+}
@@ -0,0 +1,155 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  compileCondition,
+  compileFieldReference,
+  compilePath,
+  explainCondition,
+} from "./compiler.js";
+import { RuleEngine } from "./engine.js";
+
+const input = {
+  request: { amount: 500, country: "DE", tags: ["a", "b"] },
+  signals: { avg_amount: 100, limit: 400, risk_score: 30 },
+};
+
+const missingRef = { field: "request.amount", op: "gt", value: { field: "signals.missing" } };
+
+test("compilePath resolves dotted paths and missing segments", () => {
+  assert.equal(compilePath("request.amount")(input), 500);
+  assert.equal(compilePath("request.nope.deeper")(input), undefined);
+  assert.equal(compilePath("request.amount"), compilePath("request.amount"));
+});
+
+test("leaf comparisons and compound operators", () => {
+  const amountGt = { field: "request.amount", op: "gt", value: 100 };
+  const isUS = { field: "request.country", op: "eq", value: "US" };
+
+  assert.equal(compileCondition(amountGt)(input), true);
+  assert.equal(compileCondition({ operator: "AND", operands: [amountGt, isUS] })(input), false);
+  assert.equal(compileCondition({ operator: "OR", operands: [isUS, amountGt] })(input), true);
+  assert.equal(compileCondition({ operator: "NOT", operands: [isUS] })(input), true);
+  assert.equal(compileCondition({ operator: "NOT", operands: [isUS, amountGt] })(input), false);
+});
+
+test("in/nin use sets for long lists with the same result", () => {
+  const long = ["AA", "BB", "CC", "DD", "EE", "FF", "GG", "DE"];
+  assert.equal(compileCondition({ field: "request.country", op: "in", value: long })(input), true);
+  assert.equal(compileCondition({ field: "request.country", op: "nin", value: long })(input), false);
+});
+
+test("field references with ratio, multiply and add", () => {
+  assert.equal(compileFieldReference({ field: "signals.limit" })(input), 400);
+  assert.equal(
+    compileFieldReference({ field: "request.amount", ratio: "signals.avg_amount", multiply: 2, add: 1 })(input),
+    11
+  );
+  assert.equal(compileFieldReference({ field: "request.amount", ratio: "signals.zero" })(input), undefined);
+
+  const trace = [];
+  const above = compileCondition({
+    field: "request.amount",
+    op: "gt",
+    value: { field: "signals.avg_amount", multiply: 3 },
+  });
+  assert.equal(above(input, trace), true);
+  assert.deepEqual(trace[0].resolvedValue, 300);
+});
+
+test("a missing reference never matches, not even under NOT", () => {
+  assert.equal(compileCondition(missingRef)(input), false);
+  assert.equal(compileCondition({ field: "request.amount", op: "neq", value: { field: "signals.missing" } })(input), false);
+  assert.equal(compileCondition({ operator: "NOT", operands: [missingRef] })(input), false);
+  assert.equal(
+    compileCondition({ operator: "NOT", operands: [{ operator: "NOT", operands: [missingRef] }] })(input),
+    false
+  );
+});
+
+test("unknown operands follow three-valued AND/OR", () => {
+  const yes = { field: "request.amount", op: "gt", value: 1 };
+  const no = { field: "request.amount", op: "lt", value: 1 };
+  const notOf = (condition) => ({ operator: "NOT", operands: [condition] });
+
+  // OR with a true operand is true regardless of the unknown one
+  assert.equal(compileCondition({ operator: "OR", operands: [missingRef, yes] })(input), true);
+  // NOT(AND(false, unknown)) = NOT(false) = true
+  assert.equal(compileCondition(notOf({ operator: "AND", operands: [no, missingRef] }))(input), true);
+  // NOT(AND(true, unknown)) = unknown
+  assert.equal(compileCondition(notOf({ operator: "AND", operands: [yes, missingRef] }))(input), false);
+  // NOT(OR(false, unknown)) = unknown
+  assert.equal(compileCondition(notOf({ operator: "OR", operands: [no, missingRef] }))(input), false);
+});
+
+test("explain marks unknown nodes and agrees with compiled predicates", () => {
+  const condition = { operator: "NOT", operands: [missingRef] };
+  const explained = explainCondition(condition, input);
+
+  assert.equal(explained.result, false);
+  assert.equal(explained.unknown, true);
+  assert.equal(explained.operands[0].referenceMissing, true);
+  assert.equal(explained.operands[0].unknown, true);
+
+  const plain = explainCondition(
+    { operator: "AND", operands: [{ field: "request.amount", op: "gt", value: 1 }, { field: "request.missing", op: "eq", value: 1 }] },
+    input
+  );
+  assert.equal(plain.result, false);
+  assert.equal(plain.operands[1].missing, true);
+  assert.equal(plain.unknown, undefined);
+});
+
+test("regex errors and unknown operators count as no match", () => {
+  assert.equal(compileCondition({ field: "request.country", op: "regex", value: "(" })(input), false);
+  assert.equal(compileCondition({ field: "request.country", op: "bogus", value: 1 })(input), false);
+});
+
+test("AND/OR stop reading input at the deciding operand", () => {
+  const reads = [];
+  const tracked = {
+    get request() {
+      reads.push("request");
+      return input.request;
+    },
+    get signals() {
+      reads.push("signals");
+      return input.signals;
+    },
+  };
+  const amountLow = { field: "request.amount", op: "lt", value: 1 };
+  const amountHigh = { field: "request.amount", op: "gt", value: 1 };
+  const risky = { field: "signals.risk_score", op: "gt", value: 90 };
+
+  assert.equal(compileCondition({ operator: "AND", operands: [amountLow, risky] })(tracked), false);
+  assert.equal(compileCondition({ operator: "OR", operands: [amountHigh, risky] })(tracked), true);
+  assert.ok(reads.includes("request"));
+  assert.equal(reads.includes("signals"), false);
+});
+
+test("loaded rules evaluate through their compiled predicates", () => {
+  const engine = new RuleEngine(null);
+  engine.loadContent(`
+rules:
+  - id: "BIG"
+    name: "Big"
+    condition: { field: "request.amount", op: "gt", value: 100 }
+    outcome: "SAFE_DENY"
+`);
+  const [rule] = engine.rules;
+  assert.equal(typeof rule.predicate, "function");
+
+  // The condition tree is not consulted per request
+  rule.condition = null;
+  assert.equal(engine.evaluate({ request: { amount: 500 } }).matchedRule.id, "BIG");
+
+  // A reload compiles the new conditions
+  engine.loadContent(`
+rules:
+  - id: "BIG"
+    name: "Big"
+    condition: { field: "request.amount", op: "gt", value: 1000 }
+    outcome: "SAFE_DENY"
+`);
+  assert.notEqual(engine.rules[0].predicate, rule.predicate);
+  assert.equal(engine.evaluate({ request: { amount: 500 } }).matchedRule, null);
+});
@@ -7,24 +7,92 @@
  * 1. Rules are loaded from YAML for easy configuration without code changes
  * 2. Rules are sorted by priority (highest first) for predictable evaluation
  * 3. First matching rule wins - order matters for performance
- * 4. Supports nested AND/OR conditions for complex logic
+ * 4. Supports nested AND/OR/NOT conditions for complex logic
  * 5. Unknown fields or missing values fail gracefully (no match)
+ * 6. A condition's value may reference another input field, optionally
+ *    scaled with ratio/multiply/add (e.g. amount gt avg_amount * 3)
+ * 7. Two evaluation strategies, selected per rules file:
+ *    - first_match: highest-priority matching rule decides (default)
+ *    - weighted_score: every matching rule adds its weight to a score,
+ *      which is mapped to an outcome via defaults.score_thresholds.
+ *      Hard rules (terminal outcome, e.g. SAFE_DENY) still short-circuit.
+ *    - all_matches: same winner as first_match, but every rule is evaluated
+ *      and matching rules that disagree with the winner are flagged
+ * 8. Rules files are strictly validated on load (see schema.js) - an
+ *    invalid file is rejected as a whole, never partially applied
+ * 9. Conditions are compiled into predicates on load (see compiler.js),
+ *    with cached path accessors, precompiled regexes and short-circuiting
+ * 10. Rules with `mode: shadow` are evaluated on every request and reported
+ *     with the outcome they would have produced, but never affect it
+ * 11. Rules may be time-bounded (active_from/active_until) or scheduled
+ *     (days/hours/timezone, see schedule.js); inactive rules are skipped
+ * 12. Beyond comparisons, operators cover ranges, collections, strings,
+ *     lengths, dates and CIDR blocks (see operators.js); a missing or
+ *     wrongly typed input value never matches
+ * 13. `in_list` checks a value against a named list loaded from a file
+ *     (see lists.js); lists can be reloaded without reloading the rules
+ * 14. Derived fields declared under `features:` are computed by
+ *     deriveFeatures (see features/pipeline.js) before evaluation
+ * 15. The deciding rule's reason_code, rendered message and actions are
+ *     returned as `reason` (see reasons.js)
+ * 16. The set of outcomes is configurable (`outcomes:`, see outcomes.js);
+ *     OUTCOMES below is the built-in set
+ * 17. Condition fragments ($ref) and included files are resolved before
+ *     validation (see resolver.js); the ruleset hash covers included files
+ * 18. With `collectMatches`, rules a strategy skipped (after a first_match
+ *     or hard-rule winner) are still checked, untraced, so rule stats see
+ *     every rule whose condition held
  *
  * ============================================================================
  */
 
 import fs from "fs";
-import yaml from "js-yaml";
+import path from "path";
+import crypto from "crypto";
+import { validateRulesContent, RuleValidationError } from "./schema.js";
+import {
+  compileCondition,
+  compilePath,
+  explainCondition,
+} from "./compiler.js";
+import { compileActivation, nextActivation } from "./schedule.js";
+import { compileReason } from "./reasons.js";
+import { compileOutcomes } from "./outcomes.js";
+import { ListRegistry } from "./lists.js";
+import { compileInputValidator } from "../validation/inputSchemas.js";
+import { compileFeatures } from "../features/pipeline.js";
+import {
+  OPERATOR_FACTORIES,
+  isWithinLast,
+  matchesCidr,
+} from "./operators.js";
 
-// Decision outcomes - these are the only valid outcomes
+// Built-in decision outcomes - valid unless a rules file declares its own
+// (weighted_score maps scores onto these three)
 export const OUTCOMES = {
   SAFE_ALLOW: "SAFE_ALLOW",
   SAFE_DENY: "SAFE_DENY",
   GREY_ZONE: "GREY_ZONE",
 };
 
+// Evaluation strategies - selectable via top-level `strategy` in rules.yaml
+export const STRATEGIES = {
+  FIRST_MATCH: "first_match",
+  WEIGHTED_SCORE: "weighted_score",
+  ALL_MATCHES: "all_matches",
+};
+
+// Rule modes - shadow rules are evaluated and reported but never decide
+export const RULE_MODES = {
+  LIVE: "live",
+  SHADOW: "shadow",
+};
+
+// Compound condition operators
+export const COMPOUND_OPERATORS = ["AND", "OR", "NOT"];
+
 // Supported comparison operators
-const OPERATORS = {
+export const OPERATORS = {
   eq: (a, b) => a === b,
   neq: (a, b) => a !== b,
   gt: (a, b) => a > b,
@@ -46,52 +114,109 @@ const OPERATORS = {
       return false;
     }
   },
+  // Ranges and collections (missing or wrongly typed values never match)
+  between: (a, b) =>
+    typeof a === "number" && Array.isArray(b) && a >= b[0] && a <= b[1],
+  contains: (a, b) =>
+    (Array.isArray(a) || typeof a === "string") && a.includes(b),
+  contains_any: (a, b) =>
+    Array.isArray(a) && Array.isArray(b) && b.some((v) => a.includes(v)),
+  contains_all: (a, b) =>
+    Array.isArray(a) && Array.isArray(b) && b.every((v) => a.includes(v)),
+  // Strings
+  starts_with: (a, b) =>
+    typeof a === "string" && typeof b === "string" && a.startsWith(b),
+  ends_with: (a, b) =>
+    typeof a === "string" && typeof b === "string" && a.endsWith(b),
+  eq_ci: (a, b) =>
+    typeof a === "string" &&
+    typeof b === "string" &&
+    a.toLowerCase() === b.toLowerCase(),
+  // Length of a string or array
+  length_eq: (a, b) => hasLength(a) && a.length === b,
+  length_gte: (a, b) => hasLength(a) && a.length >= b,
+  length_lte: (a, b) => hasLength(a) && a.length <= b,
+  // Dates (ISO 8601 strings or epoch ms) and durations ("30d")
+  before: (a, b) => OPERATOR_FACTORIES.before(b)(a),
+  after: (a, b) => OPERATOR_FACTORIES.after(b)(a),
+  within_last: (a, b, now) => isWithinLast(a, b, now?.getTime()),
+  // IP address inside a CIDR block (or any of a list of blocks)
+  cidr_match: (a, b) => matchesCidr(a, b),
 };
 
+/**
+ * Check for a value with a meaningful length (string or array)
+ */
+function hasLength(value) {
+  return typeof value === "string" || Array.isArray(value);
+}
+
+// Names of all comparison operators (used by schema validation)
+// in_list needs the engine's named lists and is compiled separately
+export const OPERATOR_NAMES = [...Object.keys(OPERATORS), "in_list"];
+
+/**
+ * Content hash used to identify a ruleset (history, decision meta)
+ */
+export function hashContent(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Hash of a rules file together with the files it includes
+ * Without includes this is the plain content hash.
+ */
+export function hashRuleset(content, includedContents = []) {
+  return hashContent([content, ...includedContents].join("\n"));
+}
+
 /**
  * RuleEngine class - evaluates requests against configured rules
  */
 export class RuleEngine {
-  constructor(configPath) {
+  /**
+   * options.clock - () => Date, injectable for deterministic tests of
+   * time-bounded and scheduled rules (defaults to the system clock)
+   */
+  constructor(configPath, options = {}) {
     this.configPath = configPath;
+    this.clock = options.clock || (() => new Date());
     this.rules = [];
+    this.shadowRules = [];
+    this.strategy = STRATEGIES.FIRST_MATCH;
+    this.outcomes = compileOutcomes(null);
+    this.tests = [];
+    this.velocity = {};
+    this.features = compileFeatures(null);
+    this.inputValidator = compileInputValidator(null);
     this.defaults = {};
     this.aiConfig = {};
     this.metadata = {};
+    this.configContent = null;
+    this.configHash = null;
+    // Resolved config of the last load; included files ({ path, content })
+    // and, per resolved rule, the file that declares it
+    this.config = null;
+    this.includes = [];
+    this.ruleFiles = [];
+
+    // Named lists (in_list), resolved relative to the rules file
+    this.lists = new ListRegistry(path.dirname(configPath || "."));
   }
 
   /**
    * Load rules from YAML configuration file
-   * Called at startup and can be called again for hot-reload
+   * Called at startup and can be called again for hot-reload.
+   * The file is fully validated first - on any error nothing is swapped
+   * and a RuleValidationError listing every problem is thrown.
    */
   loadRules() {
     try {
       const configContent = fs.readFileSync(this.configPath, "utf8");
-      const config = yaml.load(configContent);
-
-      // Extract and sort rules by priority (descending)
-      // this.rules = (config.rules || [])
-      //   .filter((rule) => rule.enabled !== false)
-      //   .sort((a, b) => (b.priority || 0) - (a.priority || 0));
-
-      this.rules = (config.rules || [])
-        .filter(
-          (rule) =>
-            rule.id &&
-            rule.condition &&
-            Object.values(OUTCOMES).includes(rule.outcome) &&
-            rule.enabled !== false
-        )
-        .sort((a, b) => (b.priority || 0) - (a.priority || 0));
-
-      this.defaults = config.defaults || {
-        no_match_outcome: OUTCOMES.GREY_ZONE,
-      };
-      this.aiConfig = config.ai_config || {};
-      this.metadata = config.metadata || {};
+      this.loadContent(configContent);
 
       console.log(
-        `[RuleEngine] Loaded ${this.rules.length} active rules from ${this.configPath}`
+        `[RuleEngine] Loaded ${this.rules.length} active rules (${this.shadowRules.length} shadow) from ${this.configPath}`
       );
       return true;
     } catch (error) {
@@ -100,84 +225,290 @@ export class RuleEngine {
     }
   }
 
+  /**
+   * Validate and activate raw YAML content (used by loadRules and rollback)
+   * options.includes - [{ path, content }] to read included files from
+   * instead of the disk (a history snapshot, or a pending rule edit)
+   */
+  loadContent(configContent, options = {}) {
+    const result = validateRulesContent(
+      configContent,
+      this.resolveOptions(options.includes)
+    );
+
+    if (!result.valid) {
+      throw new RuleValidationError(result.errors);
+    }
+
+    // List files are part of the config - read them all before swapping
+    const lists = this.lists.read(result.config.lists);
+    if (lists.errors.length > 0) {
+      throw new RuleValidationError(lists.errors);
+    }
+
+    for (const warning of result.warnings) {
+      console.warn(`[RuleEngine] ${warning.path}: ${warning.message}`);
+    }
+
+    this.lists.activate(result.config.lists, lists.lists);
+    this.applyConfig(result.config);
+    this.configContent = configContent;
+    this.configHash = hashRuleset(
+      configContent,
+      result.files.map((file) => file.content)
+    );
+    this.config = result.config;
+    this.includes = result.files;
+    this.ruleFiles = result.ruleFiles;
+  }
+
+  /**
+   * Resolver options for this engine's rules file, optionally reading
+   * included files from a snapshot instead of the disk
+   */
+  resolveOptions(includes) {
+    if (!includes) {
+      return { filePath: this.configPath };
+    }
+
+    const contents = new Map(includes.map((file) => [file.path, file.content]));
+    return {
+      filePath: this.configPath,
+      readFile: (file) => {
+        if (!contents.has(file)) {
+          throw Object.assign(new Error(`${file} is not in the snapshot`), { code: "ENOENT" });
+        }
+        return contents.get(file);
+      },
+    };
+  }
+
+  /**
+   * Paths of the rules file and the files it included at the last load
+   */
+  watchedFiles() {
+    return [this.configPath, ...this.includes.map((file) => file.path)];
+  }
+
+  /**
+   * Hash of the rules file and the files it included at the last load,
+   * as currently on disk (used to detect changes)
+   */
+  hashFromDisk() {
+    const read = (file) => fs.readFileSync(file, "utf8");
+    return hashRuleset(
+      read(this.configPath),
+      this.includes.map((file) => read(file.path))
+    );
+  }
+
+  /**
+   * Swap in an already validated config
+   */
+  applyConfig(config) {
+    // Extract and sort rules by priority (descending), compiling each
+    // condition into a predicate once instead of walking it per request
+    const compiled = config.rules
+      .filter((rule) => rule.enabled !== false)
+      .sort((a, b) => (b.priority || 0) - (a.priority || 0))
+      .map((rule) => ({
+        ...rule,
+        predicate: compileCondition(rule.condition, { lists: this.lists }),
+        isActiveAt: compileActivation(rule),
+        renderReason: compileReason(rule),
+      }));
+
+    // Shadow rules are evaluated alongside but can never win
+    this.rules = compiled.filter((rule) => rule.mode !== RULE_MODES.SHADOW);
+    this.shadowRules = compiled.filter(
+      (rule) => rule.mode === RULE_MODES.SHADOW
+    );
+
+    this.strategy = config.strategy || STRATEGIES.FIRST_MATCH;
+    this.outcomes = compileOutcomes(config.outcomes);
+    this.tests = config.tests || [];
+    this.velocity = config.velocity || {};
+    this.features = compileFeatures(config.features);
+    this.inputValidator = compileInputValidator(config.input_validation);
+    this.defaults = {
+      no_match_outcome: OUTCOMES.GREY_ZONE,
+      ...config.defaults,
+    };
+    this.aiConfig = config.ai_config || {};
+    this.metadata = config.metadata || {};
+  }
+
+  /**
+   * Validate candidate YAML content without activating it (dry run)
+   * options.includes - as for loadContent
+   */
+  validateContent(content, options = {}) {
+    const result = validateRulesContent(content, this.resolveOptions(options.includes));
+    const { config, warnings } = result;
+    const errors = result.valid
+      ? this.lists.read(config.lists).errors
+      : result.errors;
+    const valid = errors.length === 0;
+
+    return {
+      valid,
+      errors,
+      warnings,
+      rulesCount: valid ? config.rules.length : null,
+    };
+  }
+
+  /**
+   * Resolved config of YAML content, or null if it is invalid (for diffs)
+   * options.includes - as for loadContent
+   */
+  resolveContent(content, options = {}) {
+    return validateRulesContent(content, this.resolveOptions(options.includes)).config;
+  }
+
   /**
    * Get nested value from object using dot notation
    * Example: getValue({a: {b: 1}}, 'a.b') => 1
    */
   getValue(obj, path) {
-    return path.split(".").reduce((current, key) => {
-      return current && current[key] !== undefined ? current[key] : undefined;
-    }, obj);
+    return compilePath(path)(obj);
   }
 
   /**
    * Evaluate a single condition against input data
    * Returns true if condition matches, false otherwise
+   *
+   * Loaded rules use predicates precompiled in applyConfig; this entry point
+   * compiles on the fly and is meant for ad-hoc conditions only.
+   *
+   * When a trace array is passed, every comparison that uses a field
+   * reference pushes its resolved values onto it.
    */
-  evaluateCondition(condition, input) {
-    // Handle compound conditions (AND/OR)
-    if (condition.operator) {
-      if (!Array.isArray(condition.operands)) {
-        return false;
-      }
-      const results = condition.operands.map((op) =>
-        this.evaluateCondition(op, input)
-      );
-
-      if (condition.operator === "AND") {
-        return results.every((r) => r === true);
-      } else if (condition.operator === "OR") {
-        return results.some((r) => r === true);
-      }
-      return false;
-    }
-
-    // Handle simple field comparison
-    const { field, op, value } = condition;
-    const actualValue = this.getValue(input, field);
+  evaluateCondition(condition, input, trace = null) {
+    return compileCondition(condition, { lists: this.lists })(input, trace, this.clock());
+  }
 
-    // Get comparison function
-    const compareFn = OPERATORS[op];
-    if (!compareFn) {
-      console.warn(`[RuleEngine] Unknown operator: ${op}`);
-      return false;
-    }
+  /**
+   * Evaluate one rule and build its evaluation path entry
+   */
+  evaluateRule(rule, input, now) {
+    const resolvedValues = [];
+    const matches = rule.predicate(input, resolvedValues, now);
 
-    try {
-      return compareFn(actualValue, value);
-    } catch (error) {
-      console.warn(`[RuleEngine] Error evaluating condition: ${error.message}`);
-      return false;
-    }
+    return {
+      matches,
+      pathEntry: {
+        ruleId: rule.id,
+        ruleName: rule.name,
+        matched: matches,
+        ...(resolvedValues.length > 0 && { resolvedValues }),
+      },
+    };
   }
 
   /**
    * Main evaluation method - processes input against all rules
-   * Returns: { outcome, matchedRule, evaluationPath }
+   * options.collectMatches - also return matchedRuleIds: every active live
+   *   rule whose condition held, including rules the strategy never reached
+   * options.now - evaluation time (defaults to a reading of the clock)
+   * Returns: { outcome, matchedRule, reason, evaluationPath, shadowResults?,
+   *            matchedRuleIds? }
    */
-  evaluate(input) {
+  evaluate(input, options = {}) {
     const startTime = Date.now();
-    const evaluationPath = [];
 
     // Validate input structure
     if (!input || typeof input !== "object") {
       return {
         outcome: this.defaults.no_match_outcome,
         matchedRule: null,
+        reason: null,
         evaluationPath: ["INVALID_INPUT"],
         evaluationTimeMs: Date.now() - startTime,
       };
     }
 
+    // One clock reading per request so every rule sees the same instant
+    const now = options.now || this.clock();
+
+    let result;
+    if (this.strategy === STRATEGIES.WEIGHTED_SCORE) {
+      result = this.evaluateWeighted(input, now);
+    } else if (this.strategy === STRATEGIES.ALL_MATCHES) {
+      result = this.evaluateAllMatches(input, now);
+    } else {
+      result = this.evaluateFirstMatch(input, now);
+    }
+
+    result.reason = this.resolveReason(result, input);
+
+    if (options.collectMatches) {
+      result.matchedRuleIds = this.collectMatches(input, result.evaluationPath, now);
+    }
+
+    // Shadow rules never change the outcome - they are only reported
+    if (this.shadowRules.length > 0) {
+      result.shadowResults = this.evaluateShadow(input, result, now);
+    }
+
+    result.evaluationTimeMs = Date.now() - startTime;
+    return result;
+  }
+
+  /**
+   * Ids of all active live rules whose condition holds - matches already
+   * on the evaluation path, plus the rules evaluation stopped before
+   */
+  collectMatches(input, evaluationPath, now) {
+    const evaluated = new Set(evaluationPath.map((entry) => entry.ruleId));
+    const matchedIds = evaluationPath
+      .filter((entry) => entry.matched)
+      .map((entry) => entry.ruleId);
+
+    for (const rule of this.rules) {
+      if (
+        !evaluated.has(rule.id) &&
+        this.isRuleActive(rule, now) &&
+        rule.predicate(input, null, now)
+      ) {
+        matchedIds.push(rule.id);
+      }
+    }
+
+    return matchedIds;
+  }
+
+  /**
+   * Reason of the rule that decided a result (null if none / undeclared)
+   * Under weighted scoring without a hard rule, the matching rule with the
+   * highest weight stands for the score.
+   */
+  resolveReason(result, input) {
+    let ruleId = result.matchedRule?.id;
+    if (!ruleId && result.score?.breakdown.length > 0) {
+      ruleId = result.score.breakdown.reduce((top, entry) =>
+        entry.weight > top.weight ? entry : top
+      ).ruleId;
+    }
+
+    const rule = ruleId && this.rules.find((candidate) => candidate.id === ruleId);
+    return rule?.renderReason ? rule.renderReason(input) : null;
+  }
+
+  /**
+   * First-match evaluation - highest-priority matching rule decides
+   */
+  evaluateFirstMatch(input, now) {
+    const evaluationPath = [];
+
     // Evaluate rules in priority order
     for (const rule of this.rules) {
-      const matches = this.evaluateCondition(rule.condition, input);
+      if (!this.isRuleActive(rule, now)) {
+        continue;
+      }
 
-      evaluationPath.push({
-        ruleId: rule.id,
-        ruleName: rule.name,
-        matched: matches,
-      });
+      const { matches, pathEntry } = this.evaluateRule(rule, input, now);
+      evaluationPath.push(pathEntry);
 
       if (matches) {
         return {
@@ -188,7 +519,6 @@ export class RuleEngine {
             priority: rule.priority,
           },
           evaluationPath,
-          evaluationTimeMs: Date.now() - startTime,
         };
       }
     }
@@ -198,7 +528,278 @@ export class RuleEngine {
       outcome: this.defaults.no_match_outcome,
       matchedRule: null,
       evaluationPath,
-      evaluationTimeMs: Date.now() - startTime,
+    };
+  }
+
+  /**
+   * All-matches evaluation - the winner is picked exactly as in first_match,
+   * but evaluation continues so every matching rule is listed. A matched
+   * rule whose outcome differs from the winner's is reported as a conflict.
+   */
+  evaluateAllMatches(input, now) {
+    const evaluationPath = [];
+    const matchedRules = [];
+
+    for (const rule of this.rules) {
+      if (!this.isRuleActive(rule, now)) {
+        continue;
+      }
+
+      const { matches, pathEntry } = this.evaluateRule(rule, input, now);
+      evaluationPath.push(pathEntry);
+
+      if (matches) {
+        matchedRules.push({
+          id: rule.id,
+          name: rule.name,
+          priority: rule.priority,
+          outcome: rule.outcome,
+        });
+      }
+    }
+
+    if (matchedRules.length === 0) {
+      return {
+        outcome: this.defaults.no_match_outcome,
+        matchedRule: null,
+        strategy: this.strategy,
+        matchedRules,
+        conflicts: [],
+        evaluationPath,
+      };
+    }
+
+    const [winner, ...others] = matchedRules;
+    const conflicts = others
+      .filter((rule) => rule.outcome !== winner.outcome)
+      .map((rule) => ({
+        winningRuleId: winner.id,
+        winningOutcome: winner.outcome,
+        conflictingRuleId: rule.id,
+        conflictingOutcome: rule.outcome,
+      }));
+
+    return {
+      outcome: winner.outcome,
+      matchedRule: {
+        id: winner.id,
+        name: winner.name,
+        priority: winner.priority,
+      },
+      strategy: this.strategy,
+      matchedRules,
+      conflicts,
+      evaluationPath,
+    };
+  }
+
+  /**
+   * Check a rule's time constraints (rules without any are always active)
+   */
+  isRuleActive(rule, now) {
+    return !rule.isActiveAt || rule.isActiveAt(now);
+  }
+
+  /**
+   * Check whether a rule is hard under the weighted_score strategy
+   * Rules with a terminal outcome (SAFE_DENY by default) are hard unless
+   * they opt out with `hard: false`
+   */
+  isHardRule(rule) {
+    return this.outcomes.get(rule.outcome).terminal && rule.hard !== false;
+  }
+
+  /**
+   * Weight a rule contributes under the weighted_score strategy
+   */
+  getWeight(rule) {
+    return typeof rule.weight === "number" ? rule.weight : 0;
+  }
+
+  /**
+   * Map a score to an outcome using defaults.score_thresholds
+   * With no matching rules at all, defaults.no_match_outcome applies.
+   */
+  scoreToOutcome(total, matchedCount) {
+    const thresholds = this.defaults.score_thresholds;
+
+    if (matchedCount === 0) {
+      return this.defaults.no_match_outcome;
+    }
+    if (total >= thresholds.safe_deny) {
+      return OUTCOMES.SAFE_DENY;
+    }
+    if (total <= thresholds.safe_allow) {
+      return OUTCOMES.SAFE_ALLOW;
+    }
+    return OUTCOMES.GREY_ZONE;
+  }
+
+  /**
+   * Weighted scoring evaluation
+   * Every matching rule adds its weight to the score; the total is mapped
+   * to an outcome using defaults.score_thresholds:
+   *   score >= safe_deny  → SAFE_DENY
+   *   score <= safe_allow → SAFE_ALLOW
+   *   otherwise           → GREY_ZONE
+   * A matching hard rule returns its outcome immediately; if no rule matches
+   * at all, defaults.no_match_outcome applies.
+   */
+  evaluateWeighted(input, now) {
+    const evaluationPath = [];
+    const breakdown = [];
+    const thresholds = this.defaults.score_thresholds;
+    let total = 0;
+
+    const buildScore = () => ({
+      total,
+      thresholds: {
+        safeDeny: thresholds.safe_deny,
+        safeAllow: thresholds.safe_allow,
+      },
+      breakdown,
+    });
+
+    for (const rule of this.rules) {
+      if (!this.isRuleActive(rule, now)) {
+        continue;
+      }
+
+      const { matches, pathEntry } = this.evaluateRule(rule, input, now);
+      evaluationPath.push(pathEntry);
+
+      if (!matches) {
+        continue;
+      }
+
+      if (this.isHardRule(rule)) {
+        return {
+          outcome: rule.outcome,
+          matchedRule: {
+            id: rule.id,
+            name: rule.name,
+            priority: rule.priority,
+          },
+          strategy: this.strategy,
+          score: { ...buildScore(), shortCircuited: true },
+          evaluationPath,
+        };
+      }
+
+      const weight = this.getWeight(rule);
+      total += weight;
+      breakdown.push({ ruleId: rule.id, ruleName: rule.name, weight });
+    }
+
+    return {
+      outcome: this.scoreToOutcome(total, breakdown.length),
+      matchedRule: null,
+      strategy: this.strategy,
+      score: { ...buildScore(), shortCircuited: false },
+      evaluationPath,
+    };
+  }
+
+  /**
+   * Evaluate shadow rules against the live result
+   *
+   * For every shadow rule, reports whether it matched and what the outcome
+   * would have been had it been live (`wouldDecide`):
+   * - first_match: the shadow rule wins if it matched and outranks the live
+   *   winner (ties go to the live rule)
+   * - weighted_score: its weight is added to the live score (or, for a hard
+   *   rule, it decides outright) unless a live hard rule already decided
+   */
+  evaluateShadow(input, liveResult, now) {
+    return this.shadowRules.map((rule) => {
+      const matched = this.isRuleActive(rule, now) && rule.predicate(input, null, now);
+      const wouldDecide = matched
+        ? this.counterfactualOutcome(rule, liveResult)
+        : liveResult.outcome;
+
+      return {
+        ruleId: rule.id,
+        ruleName: rule.name,
+        matched,
+        ruleOutcome: rule.outcome,
+        liveOutcome: liveResult.outcome,
+        wouldDecide,
+        disagrees: wouldDecide !== liveResult.outcome,
+      };
+    });
+  }
+
+  /**
+   * Outcome the live result would have had if a matching shadow rule were live
+   */
+  counterfactualOutcome(rule, liveResult) {
+    if (this.strategy === STRATEGIES.WEIGHTED_SCORE) {
+      if (liveResult.score.shortCircuited) {
+        return liveResult.outcome;
+      }
+      if (this.isHardRule(rule)) {
+        return rule.outcome;
+      }
+      return this.scoreToOutcome(
+        liveResult.score.total + this.getWeight(rule),
+        liveResult.score.breakdown.length + 1
+      );
+    }
+
+    const livePriority = liveResult.matchedRule?.priority || 0;
+    if (!liveResult.matchedRule || (rule.priority || 0) > livePriority) {
+      return rule.outcome;
+    }
+    return liveResult.outcome;
+  }
+
+  /**
+   * Add the configured derived features to an input (under `derived`)
+   */
+  deriveFeatures(input, now = this.clock()) {
+    return this.features.compute(input, now);
+  }
+
+  /**
+   * Explain mode - evaluate normally, then trace every condition node of
+   * every rule (field, operator, expected, actual, result)
+   *
+   * `reached` tells whether live evaluation actually got to the rule
+   * (first_match stops at the winner); `decisive` marks the rule that
+   * produced the outcome. Evaluation and trace use the same `now`, so
+   * they cannot disagree at a time-window boundary.
+   */
+  explain(input, now = this.clock()) {
+    const result = this.evaluate(input, { now });
+    if (!input || typeof input !== "object") {
+      return { ...result, rules: [] };
+    }
+
+    const reached = new Set(
+      result.evaluationPath.map((entry) => entry.ruleId)
+    );
+
+    const explainRule = (rule) => {
+      const active = this.isRuleActive(rule, now);
+      const mode = rule.mode || RULE_MODES.LIVE;
+
+      return {
+        ruleId: rule.id,
+        ruleName: rule.name,
+        priority: rule.priority,
+        outcome: rule.outcome,
+        mode,
+        active,
+        reached: mode === RULE_MODES.SHADOW ? active : reached.has(rule.id),
+        decisive: result.matchedRule?.id === rule.id,
+        trace: explainCondition(rule.condition, input, { lists: this.lists, now }),
+      };
+    };
+
+    return {
+      ...result,
+      strategy: this.strategy,
+      rules: [...this.rules, ...this.shadowRules].map(explainRule),
     };
   }
 
@@ -213,13 +814,27 @@ export class RuleEngine {
    * Get all loaded rules (for debugging/admin endpoints)
    */
   getRules() {
-    return this.rules.map((r) => ({
-      id: r.id,
-      name: r.name,
-      outcome: r.outcome,
-      priority: r.priority,
-      enabled: r.enabled !== false,
-    }));
+    const now = this.clock();
+
+    return [...this.rules, ...this.shadowRules].map((r) => {
+      const active = this.isRuleActive(r, now);
+      let activation = {};
+      if (r.isActiveAt) {
+        const next = active ? null : nextActivation(r, now);
+        activation = { active, nextActivation: next ? next.toISOString() : null };
+      }
+
+      return {
+        id: r.id,
+        name: r.name,
+        outcome: r.outcome,
+        priority: r.priority,
+        enabled: r.enabled !== false,
+        mode: r.mode || RULE_MODES.LIVE,
+        ...(r.weight !== undefined && { weight: r.weight }),
+        ...activation,
+      };
+    });
   }
 
   /**
@@ -229,7 +844,22 @@ export class RuleEngine {
     return {
       ...this.metadata,
       rulesCount: this.rules.length,
+      shadowRulesCount: this.shadowRules.length,
+      strategy: this.strategy,
+      configHash: this.configHash,
       defaultOutcome: this.defaults.no_match_outcome,
+      outcomes: this.outcomes.list(),
     };
   }
+
+  /**
+   * Re-read the named list files without touching the rules
+   */
+  reloadLists() {
+    const result = this.lists.reload();
+    if (result.success) {
+      console.log(`[RuleEngine] Reloaded ${result.lists.length} named lists`);
+    }
+    return result;
+  }
 }
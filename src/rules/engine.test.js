@@ -0,0 +1,355 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { RuleEngine } from "./engine.js";
+
+/**
+ * Engine loaded from YAML content (no rules file)
+ */
+function engineFor(content) {
+  const engine = new RuleEngine(null);
+  engine.loadContent(content);
+  return engine;
+}
+
+const WEIGHTED = `
+strategy: "weighted_score"
+defaults:
+  score_thresholds: { safe_deny: 50, safe_allow: 10 }
+rules:
+  - id: "BLOCKED"
+    name: "Blocked source"
+    priority: 100
+    condition: { field: "signals.blocked", op: "eq", value: true }
+    outcome: "SAFE_DENY"
+  - id: "SOFT_DENY"
+    name: "Soft deny"
+    hard: false
+    weight: 5
+    condition: { field: "signals.flagged", op: "eq", value: true }
+    outcome: "SAFE_DENY"
+  - id: "HIGH_RISK"
+    name: "High risk"
+    weight: 40
+    condition: { field: "signals.risk_score", op: "gt", value: 70 }
+    outcome: "GREY_ZONE"
+  - id: "NEW_ACCOUNT"
+    name: "New account"
+    weight: 15
+    condition: { field: "signals.account_age_days", op: "lt", value: 7 }
+    outcome: "GREY_ZONE"
+  - id: "VERIFIED"
+    name: "Verified"
+    weight: -10
+    condition: { field: "signals.is_verified", op: "eq", value: true }
+    outcome: "SAFE_ALLOW"
+`;
+
+test("weighted_score sums the weights of matching rules into the outcome", () => {
+  const engine = engineFor(WEIGHTED);
+
+  const deny = engine.evaluate({ signals: { risk_score: 80, account_age_days: 2 } });
+  assert.equal(deny.outcome, "SAFE_DENY");
+  assert.equal(deny.matchedRule, null);
+  assert.equal(deny.score.total, 55);
+  assert.deepEqual(deny.score.breakdown.map((entry) => [entry.ruleId, entry.weight]), [
+    ["HIGH_RISK", 40],
+    ["NEW_ACCOUNT", 15],
+  ]);
+  assert.deepEqual(deny.score.thresholds, { safeDeny: 50, safeAllow: 10 });
+  assert.equal(deny.score.shortCircuited, false);
+
+  // 40 - 10 = 30: between the thresholds
+  const grey = engine.evaluate({ signals: { risk_score: 80, is_verified: true } });
+  assert.equal(grey.outcome, "GREY_ZONE");
+  assert.equal(grey.score.total, 30);
+
+  // Negative weights pull the score down
+  const allow = engine.evaluate({ signals: { account_age_days: 2, is_verified: true } });
+  assert.equal(allow.outcome, "SAFE_ALLOW");
+  assert.equal(allow.score.total, 5);
+});
+
+test("thresholds are inclusive", () => {
+  const engine = engineFor(WEIGHTED);
+  const atDeny = engine.evaluate({
+    signals: { risk_score: 80, flagged: true, account_age_days: 2, is_verified: true },
+  });
+  assert.equal(atDeny.score.total, 50);
+  assert.equal(atDeny.outcome, "SAFE_DENY");
+
+  const atAllow = engine.evaluate({ signals: { flagged: true, account_age_days: 2, is_verified: true } });
+  assert.equal(atAllow.score.total, 10);
+  assert.equal(atAllow.outcome, "SAFE_ALLOW");
+});
+
+test("a hard rule short-circuits the score; hard: false only adds weight", () => {
+  const engine = engineFor(WEIGHTED);
+
+  const hard = engine.evaluate({ signals: { blocked: true, is_verified: true } });
+  assert.equal(hard.outcome, "SAFE_DENY");
+  assert.equal(hard.matchedRule.id, "BLOCKED");
+  assert.equal(hard.score.shortCircuited, true);
+  assert.deepEqual(hard.evaluationPath.map((entry) => entry.ruleId), ["BLOCKED"]);
+
+  const soft = engine.evaluate({ signals: { flagged: true, risk_score: 80 } });
+  assert.equal(soft.matchedRule, null);
+  assert.equal(soft.score.total, 45);
+  assert.equal(soft.outcome, "GREY_ZONE");
+});
+
+test("without any matching rule the no-match outcome applies", () => {
+  const engine = engineFor(
+    WEIGHTED.replace("defaults:", 'defaults:\n  no_match_outcome: "SAFE_ALLOW"')
+  );
+  const result = engine.evaluate({ signals: {} });
+  assert.equal(result.outcome, "SAFE_ALLOW");
+  assert.equal(result.score.total, 0);
+  assert.deepEqual(result.score.breakdown, []);
+});
+
+test("the top-weighted matching rule supplies the reason", () => {
+  const engine = engineFor(
+    WEIGHTED.replace(
+      '    name: "High risk"\n',
+      '    name: "High risk"\n    reason_code: "HIGH_RISK_SCORE"\n'
+    )
+  );
+  const result = engine.evaluate({ signals: { risk_score: 80, account_age_days: 2 } });
+  assert.equal(result.reason.code, "HIGH_RISK_SCORE");
+});
+
+const SHADOW = `
+rules:
+  - id: "BIG"
+    name: "Big amount"
+    priority: 50
+    condition: { field: "request.amount", op: "gt", value: 1000 }
+    outcome: "GREY_ZONE"
+  - id: "NEW_LIMIT"
+    name: "Candidate limit"
+    mode: "shadow"
+    priority: 100
+    condition: { field: "request.amount", op: "gt", value: 500 }
+    outcome: "SAFE_DENY"
+  - id: "NEW_LOW"
+    name: "Candidate low priority"
+    mode: "shadow"
+    priority: 10
+    condition: { field: "request.amount", op: "gt", value: 2000 }
+    outcome: "SAFE_ALLOW"
+`;
+
+test("shadow rules are reported with their would-be outcome but never decide", () => {
+  const engine = engineFor(SHADOW);
+  assert.deepEqual(engine.rules.map((rule) => rule.id), ["BIG"]);
+  assert.deepEqual(engine.shadowRules.map((rule) => rule.id), ["NEW_LIMIT", "NEW_LOW"]);
+
+  // No live match: the matching shadow rule would have decided
+  const medium = engine.evaluate({ request: { amount: 700 } });
+  assert.equal(medium.outcome, "GREY_ZONE");
+  assert.equal(medium.matchedRule, null);
+  assert.deepEqual(medium.shadowResults[0], {
+    ruleId: "NEW_LIMIT",
+    ruleName: "Candidate limit",
+    matched: true,
+    ruleOutcome: "SAFE_DENY",
+    liveOutcome: "GREY_ZONE",
+    wouldDecide: "SAFE_DENY",
+    disagrees: true,
+  });
+  assert.equal(medium.shadowResults[1].matched, false);
+  assert.equal(medium.shadowResults[1].disagrees, false);
+
+  // Shadow rules that match but rank below the live winner change nothing
+  const large = engine.evaluate({ request: { amount: 5000 } });
+  assert.equal(large.matchedRule.id, "BIG");
+  assert.deepEqual(
+    large.shadowResults.map((shadow) => [shadow.ruleId, shadow.wouldDecide, shadow.disagrees]),
+    [
+      ["NEW_LIMIT", "SAFE_DENY", true],
+      ["NEW_LOW", "GREY_ZONE", false],
+    ]
+  );
+  assert.deepEqual(large.evaluationPath.map((entry) => entry.ruleId), ["BIG"]);
+});
+
+test("under weighted_score a shadow rule adds its weight to the live score", () => {
+  const engine = engineFor(`${WEIGHTED}
+  - id: "SHADOW_WEIGHT"
+    name: "Candidate weight"
+    mode: "shadow"
+    weight: 20
+    condition: { field: "signals.risk_score", op: "gt", value: 70 }
+    outcome: "GREY_ZONE"
+`);
+
+  // 40 live + 20 shadow = 60 → would deny
+  const [shadow] = engine.evaluate({ signals: { risk_score: 80 } }).shadowResults;
+  assert.equal(shadow.liveOutcome, "GREY_ZONE");
+  assert.equal(shadow.wouldDecide, "SAFE_DENY");
+
+  // A live hard rule already decided: nothing to change
+  const [blocked] = engine.evaluate({ signals: { risk_score: 80, blocked: true } }).shadowResults;
+  assert.equal(blocked.matched, true);
+  assert.equal(blocked.disagrees, false);
+});
+
+test("without shadow rules no shadowResults are returned", () => {
+  assert.equal(engineFor(WEIGHTED).evaluate({ signals: {} }).shadowResults, undefined);
+});
+
+const EXPLAINED = `
+rules:
+  - id: "BIG"
+    name: "Big for the country"
+    priority: 50
+    condition:
+      operator: "AND"
+      operands:
+        - { field: "request.amount", op: "gt", value: { field: "signals.avg", multiply: 3 } }
+        - { field: "request.country", op: "in", value: ["DE", "FR"] }
+    outcome: "SAFE_DENY"
+  - id: "ANY"
+    name: "Anything"
+    priority: 10
+    condition: { field: "request.amount", op: "gt", value: 1 }
+    outcome: "SAFE_ALLOW"
+  - id: "NEVER_REACHED"
+    name: "Lowest"
+    priority: 1
+    condition: { field: "request.amount", op: "gt", value: 0 }
+    outcome: "GREY_ZONE"
+`;
+
+test("explain traces every condition of every rule", () => {
+  const engine = engineFor(EXPLAINED);
+  const explanation = engine.explain({ request: { amount: 500, country: "US" }, signals: { avg: 100 } });
+
+  assert.equal(explanation.outcome, "SAFE_ALLOW");
+  assert.equal(explanation.strategy, "first_match");
+  assert.deepEqual(
+    explanation.rules.map((rule) => [rule.ruleId, rule.reached, rule.decisive]),
+    [
+      ["BIG", true, false],
+      ["ANY", true, true],
+      ["NEVER_REACHED", false, false],
+    ]
+  );
+
+  const [amount, country] = explanation.rules[0].trace.operands;
+  assert.equal(explanation.rules[0].trace.result, false);
+  assert.deepEqual(
+    { expected: amount.expected, actual: amount.actual, result: amount.result },
+    { expected: 300, actual: 500, result: true }
+  );
+  assert.deepEqual(
+    { expected: country.expected, actual: country.actual, result: country.result },
+    { expected: ["DE", "FR"], actual: "US", result: false }
+  );
+
+  // Rules after the winner are traced too, so "why not?" has an answer
+  assert.equal(explanation.rules[2].trace.result, true);
+});
+
+test("explain agrees with evaluate", () => {
+  const engine = engineFor(EXPLAINED);
+  for (const input of [
+    { request: { amount: 500, country: "DE" }, signals: { avg: 100 } },
+    { request: { amount: 200, country: "DE" }, signals: { avg: 100 } },
+    { request: { amount: 0 } },
+  ]) {
+    const explanation = engine.explain(input);
+    assert.equal(explanation.outcome, engine.evaluate(input).outcome);
+    for (const entry of explanation.evaluationPath) {
+      const rule = explanation.rules.find((candidate) => candidate.ruleId === entry.ruleId);
+      assert.equal(rule.trace.result, entry.matched, `${entry.ruleId} for ${JSON.stringify(input)}`);
+    }
+  }
+});
+
+test("explain reads the clock once, so the trace matches the decision at a window edge", () => {
+  // Each reading is a minute later: 11:59:30, 12:00:30, ...
+  let reading = Date.parse("2026-03-01T11:59:30Z");
+  const clock = () => {
+    const now = new Date(reading);
+    reading += 60 * 1000;
+    return now;
+  };
+  const engine = new RuleEngine(null, { clock });
+  engine.loadContent(`
+rules:
+  - id: "PROMO"
+    name: "Promo until noon"
+    active_until: "2026-03-01T12:00:00Z"
+    condition: { field: "request.amount", op: "gt", value: 1 }
+    outcome: "SAFE_ALLOW"
+`);
+
+  const explanation = engine.explain({ request: { amount: 5 } });
+  assert.equal(explanation.outcome, "SAFE_ALLOW");
+  assert.deepEqual(
+    explanation.rules.map((rule) => [rule.ruleId, rule.active, rule.reached, rule.decisive]),
+    [["PROMO", true, true, true]]
+  );
+
+  const now = new Date("2026-03-01T12:00:00Z");
+  assert.equal(engine.explain({ request: { amount: 5 } }, now).rules[0].active, false);
+  assert.equal(engine.explain({ request: { amount: 5 } }, now).outcome, "GREY_ZONE");
+});
+
+const ALL_MATCHES = `
+strategy: "all_matches"
+rules:
+  - id: "DENY_BIG"
+    name: "Big"
+    priority: 100
+    condition: { field: "request.amount", op: "gt", value: 1000 }
+    outcome: "SAFE_DENY"
+  - id: "DENY_RISKY"
+    name: "Risky"
+    priority: 50
+    condition: { field: "signals.risk_score", op: "gt", value: 80 }
+    outcome: "SAFE_DENY"
+  - id: "ALLOW_VERIFIED"
+    name: "Verified"
+    priority: 10
+    condition: { field: "signals.is_verified", op: "eq", value: true }
+    outcome: "SAFE_ALLOW"
+`;
+
+test("all_matches picks the first_match winner and lists every match", () => {
+  const engine = engineFor(ALL_MATCHES);
+  const input = { request: { amount: 5000 }, signals: { risk_score: 90, is_verified: true } };
+  const result = engine.evaluate(input);
+
+  assert.equal(result.outcome, "SAFE_DENY");
+  assert.equal(result.matchedRule.id, "DENY_BIG");
+  assert.deepEqual(result.matchedRules.map((rule) => rule.id), ["DENY_BIG", "DENY_RISKY", "ALLOW_VERIFIED"]);
+  assert.equal(result.evaluationPath.length, 3);
+
+  // Same winner as first_match on the same rules
+  const firstMatch = engineFor(ALL_MATCHES.replace('"all_matches"', '"first_match"'));
+  assert.equal(firstMatch.evaluate(input).matchedRule.id, result.matchedRule.id);
+});
+
+test("only matches with a different outcome are conflicts", () => {
+  const engine = engineFor(ALL_MATCHES);
+
+  const conflicting = engine.evaluate({ request: { amount: 5000 }, signals: { risk_score: 90, is_verified: true } });
+  assert.deepEqual(conflicting.conflicts, [
+    {
+      winningRuleId: "DENY_BIG",
+      winningOutcome: "SAFE_DENY",
+      conflictingRuleId: "ALLOW_VERIFIED",
+      conflictingOutcome: "SAFE_ALLOW",
+    },
+  ]);
+
+  const agreeing = engine.evaluate({ request: { amount: 5000 }, signals: { risk_score: 90 } });
+  assert.deepEqual(agreeing.conflicts, []);
+
+  const none = engine.evaluate({ request: { amount: 1 }, signals: {} });
+  assert.equal(none.outcome, "GREY_ZONE");
+  assert.deepEqual(none.matchedRules, []);
+  assert.deepEqual(none.conflicts, []);
+});
@@ -0,0 +1,203 @@
+/**
+ * ============================================================================
+ * RULE HISTORY - Bounded log of loaded rule configurations
+ * ============================================================================
+ *
+ * Design Decisions:
+ * 1. Keeps the last N configurations in memory (oldest evicted first)
+ * 2. Each entry stores the raw YAML of the rules file and of every file it
+ *    included, so rollback re-validates the exact ruleset
+ * 3. Entries are identified by a monotonically increasing version number
+ *    plus the content hash (same hash = same ruleset)
+ * 4. Diff summary is by rule id: added / removed / modified, computed on
+ *    resolved configs (a change in an included file or a fragment shows
+ *    up on the rules it affects)
+ * 5. Optional persistence to a JSON file, written atomically (tmp + rename)
+ * 6. API edits carry a change record (action, rule id, actor, reason)
+ *
+ * ============================================================================
+ */
+
+import fs from "fs";
+import { parse } from "yaml";
+
+/**
+ * Summarize the differences between two parsed configs
+ */
+export function diffConfigs(previous, next) {
+  const previousRules = new Map(
+    (previous?.rules || []).map((rule) => [rule.id, rule])
+  );
+  const nextRules = new Map((next?.rules || []).map((rule) => [rule.id, rule]));
+
+  const added = [];
+  const removed = [];
+  const modified = [];
+
+  for (const [id, rule] of nextRules) {
+    if (!previousRules.has(id)) {
+      added.push(id);
+    } else if (JSON.stringify(previousRules.get(id)) !== JSON.stringify(rule)) {
+      modified.push(id);
+    }
+  }
+
+  for (const id of previousRules.keys()) {
+    if (!nextRules.has(id)) {
+      removed.push(id);
+    }
+  }
+
+  // Anything outside the rules list (strategy, defaults, ai_config, ...);
+  // fragments and includes already show up in the rules using them
+  const strip = (config) => ({
+    ...config,
+    rules: undefined,
+    metadata: undefined,
+    conditions: undefined,
+    include: undefined,
+  });
+  const settingsChanged =
+    previous !== null &&
+    JSON.stringify(strip(previous)) !== JSON.stringify(strip(next));
+
+  return { added, removed, modified, settingsChanged };
+}
+
+/**
+ * RuleHistory class - stores recent rule configurations for rollback
+ */
+export class RuleHistory {
+  /**
+   * config.resolve - (content, includes) => resolved config, for diffs
+   * (defaults to parsing the content alone)
+   */
+  constructor(config = {}) {
+    this.limit = config.limit || 20;
+    this.persistPath = config.persistPath || null;
+    this.resolve = config.resolve || ((content) => parse(content));
+    this.entries = [];
+    this.nextVersion = 1;
+
+    if (this.persistPath) {
+      this.restore();
+    }
+  }
+
+  /**
+   * Record a newly activated configuration
+   * Re-loading the same content as the latest entry is not recorded again.
+   * Returns the entry for the active configuration.
+   */
+  record({
+    content,
+    includes = [],
+    hash,
+    rulesCount,
+    source,
+    rolledBackFrom = null,
+    change = null,
+  }) {
+    const latest = this.latest();
+    if (latest && latest.hash === hash) {
+      return latest;
+    }
+
+    const entry = {
+      version: this.nextVersion++,
+      hash,
+      loadedAt: new Date().toISOString(),
+      source,
+      rulesCount,
+      diff: diffConfigs(
+        latest ? this.resolve(latest.content, latest.includes) : null,
+        this.resolve(content, includes)
+      ),
+      ...(rolledBackFrom !== null && { rolledBackFrom }),
+      ...(change !== null && { change }),
+      content,
+      includes,
+    };
+
+    this.entries.push(entry);
+    if (this.entries.length > this.limit) {
+      this.entries.splice(0, this.entries.length - this.limit);
+    }
+
+    this.persist();
+    return entry;
+  }
+
+  /**
+   * Most recently recorded entry (the active configuration)
+   */
+  latest() {
+    return this.entries[this.entries.length - 1] || null;
+  }
+
+  /**
+   * Find an entry by version number
+   */
+  get(version) {
+    return this.entries.find((entry) => entry.version === version) || null;
+  }
+
+  /**
+   * List entries newest first, without the raw content
+   */
+  list() {
+    return this.entries
+      .map(({ content, includes = [], ...entry }) => ({
+        ...entry,
+        includedFiles: includes.map((file) => file.path),
+      }))
+      .reverse();
+  }
+
+  /**
+   * Write history to disk (tmp file + rename so readers never see half a file)
+   */
+  persist() {
+    if (!this.persistPath) {
+      return;
+    }
+
+    try {
+      const tmpPath = `${this.persistPath}.tmp`;
+      fs.writeFileSync(
+        tmpPath,
+        JSON.stringify(
+          { nextVersion: this.nextVersion, entries: this.entries },
+          null,
+          2
+        )
+      );
+      fs.renameSync(tmpPath, this.persistPath);
+    } catch (error) {
+      console.error(`[RuleHistory] Failed to persist history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load history previously written by persist()
+   */
+  restore() {
+    if (!fs.existsSync(this.persistPath)) {
+      return;
+    }
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.persistPath, "utf8"));
+      this.entries = (saved.entries || []).slice(-this.limit);
+      this.nextVersion =
+        saved.nextVersion ||
+        Math.max(0, ...this.entries.map((entry) => entry.version)) + 1;
+
+      console.log(
+        `[RuleHistory] Restored ${this.entries.length} entries from ${this.persistPath}`
+      );
+    } catch (error) {
+      console.error(`[RuleHistory] Failed to restore history: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,190 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { RuleHistory, diffConfigs } from "./history.js";
+import { RuleEngine } from "./engine.js";
+import { DecisionService } from "../decisionService.js";
+
+const rule = (id, value) => ({
+  id,
+  outcome: "SAFE_DENY",
+  condition: { field: "request.amount", op: "gt", value },
+});
+
+/**
+ * A rules file including teams/payments.yaml, in a fresh tmp dir
+ */
+function tmpRuleset() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rules-history-"));
+  const main = path.join(dir, "rules.yaml");
+  const team = path.join(dir, "teams", "payments.yaml");
+  fs.mkdirSync(path.dirname(team));
+  fs.writeFileSync(
+    main,
+    `include: "teams/payments.yaml"
+rules:
+  - id: "MAIN_001"
+    name: "Small amounts"
+    outcome: "SAFE_ALLOW"
+    condition: { $ref: "small" }
+`
+  );
+  fs.writeFileSync(team, teamContent(10));
+  return { dir, main, team, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+function teamContent(limit) {
+  return `conditions:
+  small: { field: "request.amount", op: "lt", value: ${limit} }
+rules:
+  - id: "PAY_001"
+    name: "Large amounts"
+    outcome: "SAFE_DENY"
+    condition: { field: "request.amount", op: "gt", value: 1000 }
+`;
+}
+
+test("diffConfigs reports added, removed, modified and settings changes", () => {
+  assert.deepEqual(
+    diffConfigs(
+      { strategy: "first_match", rules: [rule("A", 1), rule("B", 1)] },
+      { strategy: "all_matches", rules: [rule("B", 2), rule("C", 1)] }
+    ),
+    { added: ["C"], removed: ["A"], modified: ["B"], settingsChanged: true }
+  );
+  assert.deepEqual(diffConfigs(null, { rules: [rule("A", 1)] }), {
+    added: ["A"],
+    removed: [],
+    modified: [],
+    settingsChanged: false,
+  });
+});
+
+test("fragment and include changes show up on the rules, not as settings", () => {
+  const diff = diffConfigs(
+    { include: ["a.yaml"], conditions: { x: 1 }, rules: [rule("A", 1)] },
+    { include: ["b.yaml"], conditions: { x: 2 }, rules: [rule("A", 1)] }
+  );
+  assert.equal(diff.settingsChanged, false);
+  assert.deepEqual(diff.modified, []);
+});
+
+test("history keeps the last N entries with increasing versions", () => {
+  const history = new RuleHistory({ limit: 2 });
+  for (const value of [1, 2, 3]) {
+    history.record({ content: `rules:\n  - id: "A"\n    value: ${value}\n`, hash: `h${value}`, source: "test" });
+  }
+  assert.deepEqual(history.list().map((entry) => entry.version), [3, 2]);
+  assert.equal(history.get(1), null);
+  assert.equal(history.latest().hash, "h3");
+  assert.deepEqual(history.latest().diff.modified, ["A"]);
+});
+
+test("entries snapshot included files and diff the resolved rulesets", (t) => {
+  const { main, team, cleanup } = tmpRuleset();
+  t.after(cleanup);
+  const engine = new RuleEngine(main);
+  engine.loadRules();
+  const history = new RuleHistory({
+    resolve: (content, includes) => engine.resolveContent(content, { includes }),
+  });
+
+  history.record({
+    content: engine.configContent,
+    includes: engine.includes,
+    hash: engine.configHash,
+    source: "startup",
+  });
+  // Only the included file changes: the rule using its fragment is modified
+  fs.writeFileSync(team, teamContent(20));
+  engine.loadRules();
+  const entry = history.record({
+    content: engine.configContent,
+    includes: engine.includes,
+    hash: engine.configHash,
+    source: "watch",
+  });
+
+  assert.deepEqual(entry.diff, { added: [], removed: [], modified: ["MAIN_001"], settingsChanged: false });
+  assert.deepEqual(entry.includes, [{ path: team, content: teamContent(20) }]);
+  assert.deepEqual(history.list()[0].includedFiles, [team]);
+  assert.equal(history.list()[0].includes, undefined);
+  assert.equal(history.list()[0].content, undefined);
+});
+
+test("history persists and restores entries", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rules-history-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const persistPath = path.join(dir, "history.json");
+
+  const first = new RuleHistory({ persistPath });
+  first.record({
+    content: "rules: []\n",
+    includes: [{ path: "/x.yaml", content: "rules: []\n" }],
+    hash: "h1",
+    rulesCount: 0,
+    source: "startup",
+  });
+  first.record({ content: "rules: [] # two\n", hash: "h2", rulesCount: 0, source: "api" });
+
+  const restored = new RuleHistory({ persistPath });
+  assert.deepEqual(restored.entries, first.entries);
+  assert.equal(restored.record({ content: "rules: []\n", source: "api" }).version, 3);
+});
+
+test("rollback restores included files as they were, without touching the disk", (t) => {
+  const { main, team, cleanup } = tmpRuleset();
+  t.after(cleanup);
+  const service = new DecisionService({ version: "v1", rulesConfigPath: main });
+  t.after(() => service.stop());
+
+  const small = (amount) =>
+    service.ruleEngine.evaluate({ request: { amount } }).matchedRule?.id;
+  assert.equal(small(15), undefined);
+
+  fs.writeFileSync(team, teamContent(20));
+  assert.equal(service.reloadRules("api").success, true);
+  assert.equal(small(15), "MAIN_001");
+
+  const result = service.rollbackRules(1);
+  assert.equal(result.success, true, result.error);
+  assert.equal(small(15), undefined);
+  assert.deepEqual(service.ruleEngine.includes, [{ path: team, content: teamContent(10) }]);
+  assert.equal(fs.readFileSync(team, "utf8"), teamContent(20));
+});
+
+test("rollback activates an earlier version as a new history entry", async (t) => {
+  const { main, cleanup } = tmpRuleset();
+  t.after(cleanup);
+  const service = new DecisionService({ version: "v1", rulesConfigPath: main });
+  t.after(() => service.stop());
+  const original = service.ruleEngine.configHash;
+
+  fs.writeFileSync(main, fs.readFileSync(main, "utf8").replace('"Small amounts"', '"Small"'));
+  assert.equal(service.reloadRules("api").success, true);
+  assert.notEqual(service.ruleEngine.configHash, original);
+
+  const result = service.rollbackRules(1);
+  assert.deepEqual(
+    { version: result.rulesetVersion, hash: result.rulesetHash, rolledBackTo: result.rolledBackTo },
+    { version: 3, hash: original, rolledBackTo: 1 }
+  );
+  const history = service.getRuleHistory();
+  assert.equal(history.activeVersion, 3);
+  const [latest] = history.entries;
+  assert.equal(latest.source, "rollback");
+  assert.equal(latest.rolledBackFrom, 1);
+  assert.deepEqual(latest.diff.modified, ["MAIN_001"]);
+
+  // Decisions report the hash of the ruleset that made them
+  const { meta } = await service.decide({ request: { type: "transaction", amount: 5 } });
+  assert.equal(meta.rulesetHash, original);
+
+  assert.deepEqual(service.rollbackRules(99), {
+    success: false,
+    notFound: true,
+    error: "Ruleset version 99 not found in history",
+  });
+});
@@ -0,0 +1,601 @@
+/**
+ * ============================================================================
+ * RULES LINTER - Static analysis of a rules configuration
+ * ============================================================================
+ *
+ * Finds problems that schema validation cannot see, using the same
+ * condition model as the RuleEngine:
+ *
+ * - unsatisfiable: a rule that can never match
+ *                  (e.g. risk_score gte 40 AND risk_score lt 30)
+ * - shadowed:      a rule that can never win because a higher-priority rule
+ *                  matches every input it matches (first_match/all_matches)
+ * - duplicate:     two rules with the same condition
+ * - numeric_gap:   a hole between numeric ranges of rules that share an
+ *                  outcome and all other conditions (e.g. amount < 100 and
+ *                  amount > 500 both denying), usually a typo in a bound
+ *
+ * Design Decisions:
+ * 1. Conditions are normalized to disjunctive normal form (OR of ANDs) with
+ *    NOT pushed down to the comparisons
+ * 2. Each field is analyzed independently as an interval / value set
+ * 3. The analysis is conservative: a rule is only reported as unsatisfiable
+ *    or shadowed when that is proven. Field references, operators beyond
+ *    comparisons/in/exists and rules too large to normalize are treated as
+ *    "could be anything"
+ * 4. Missing-value semantics match evaluation: gt/lt/eq/in fail on missing
+ *    values, while neq/nin and negated comparisons pass. A negated numeric
+ *    comparison becomes two clauses, NOT(x gt 5) = (x lte 5) OR (x missing),
+ *    so rules written with NOT are compared clause by clause like any other
+ * 5. Numeric gaps are only reported between ranges of rules that agree on
+ *    everything else. Ranges no rule covers at all are normal (they fall
+ *    through to the default outcome) and would only be noise
+ *
+ * ============================================================================
+ */
+
+import { STRATEGIES, RULE_MODES } from "./engine.js";
+import { isFieldReference } from "./compiler.js";
+import { hasActivation } from "./schedule.js";
+import { validateRulesConfig, validateRulesContent } from "./schema.js";
+
+// Give up on a rule whose normal form has more clauses than this
+const MAX_CLAUSES = 256;
+
+// Operator → operator of the negated comparison
+const NEGATIONS = {
+  gt: "lte",
+  gte: "lt",
+  lt: "gte",
+  lte: "gt",
+  eq: "neq",
+  neq: "eq",
+  in: "nin",
+  nin: "in",
+};
+
+const NUMERIC_OPS = ["gt", "gte", "lt", "lte"];
+
+// Operators the analysis understands; anything else is opaque
+const ANALYZED_OPS = [...NUMERIC_OPS, "eq", "neq", "in", "nin", "exists"];
+
+class TooComplexError extends Error {}
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+
+/**
+ * Turn a comparison into a literal, applying negation if needed
+ * Literal: { field, op, value, opaque?, negated? }
+ */
+function toLiteral(condition, negated) {
+  const { field, op, value } = condition;
+
+  // Field references, regexes, dates etc. are not reasoned about statically
+  if (isFieldReference(value) || !ANALYZED_OPS.includes(op)) {
+    return { field, op, value, negated, opaque: true };
+  }
+
+  if (op === "exists") {
+    return { field, op, value: negated ? !value : value };
+  }
+
+  return negated ? { field, op: NEGATIONS[op], value } : { field, op, value };
+}
+
+/**
+ * Normalize a condition into DNF: an array of clauses (arrays of literals)
+ */
+function toClauses(condition, negated = false) {
+  if (!condition.operator) {
+    const literal = toLiteral(condition, negated);
+
+    // NOT(x gt 5) also matches when x is missing - gt never does
+    if (negated && !literal.opaque && NUMERIC_OPS.includes(condition.op)) {
+      return [[literal], [{ field: condition.field, op: "exists", value: false }]];
+    }
+    return [[literal]];
+  }
+
+  if (condition.operator === "NOT") {
+    return toClauses(condition.operands[0], !negated);
+  }
+
+  // De Morgan: a negated AND is an OR of negations and vice versa
+  const isAnd = (condition.operator === "AND") !== negated;
+  const parts = condition.operands.map((operand) => toClauses(operand, negated));
+
+  if (!isAnd) {
+    const clauses = parts.flat();
+    if (clauses.length > MAX_CLAUSES) throw new TooComplexError();
+    return clauses;
+  }
+
+  // AND: cross product of the operands' clauses
+  let clauses = [[]];
+  for (const part of parts) {
+    const next = [];
+    for (const left of clauses) {
+      for (const right of part) {
+        next.push([...left, ...right]);
+      }
+    }
+    if (next.length > MAX_CLAUSES) throw new TooComplexError();
+    clauses = next;
+  }
+  return clauses;
+}
+
+// ============================================================================
+// FIELD DOMAINS
+// ============================================================================
+
+/**
+ * Does a literal pass when its field is missing?
+ */
+function allowsMissing(literal) {
+  if (literal.opaque) return true;
+  if (literal.op === "exists") return literal.value === false;
+  return literal.op === "neq" || literal.op === "nin";
+}
+
+/**
+ * Does a literal require its field to be missing?
+ */
+function requiresMissing(literal) {
+  return literal.op === "exists" && literal.value === false;
+}
+
+/**
+ * Check a concrete value against a literal (for present values)
+ */
+function valueSatisfies(value, literal) {
+  switch (literal.op) {
+    case "gt": return typeof value === "number" && value > literal.value;
+    case "gte": return typeof value === "number" && value >= literal.value;
+    case "lt": return typeof value === "number" && value < literal.value;
+    case "lte": return typeof value === "number" && value <= literal.value;
+    case "eq": return value === literal.value;
+    case "neq": return value !== literal.value;
+    case "in": return literal.value.includes(value);
+    case "nin": return !literal.value.includes(value);
+    case "exists": return literal.value === true;
+    default: return true;
+  }
+}
+
+/**
+ * Build the domain of values a field can take given a clause's literals
+ *
+ * Returns:
+ *   missingOk   - the clause can match with the field missing
+ *   presentOk   - the clause can match with the field present
+ *   candidates  - finite set of possible present values, or null (infinite)
+ *   interval    - { lo, loIncl, hi, hiIncl } bound on present numeric values
+ *   excluded    - values ruled out by neq/nin (infinite domains only)
+ */
+function fieldDomain(literals) {
+  const known = literals.filter((literal) => !literal.opaque);
+
+  const missingOk = known.every(allowsMissing);
+  const interval = { lo: -Infinity, loIncl: false, hi: Infinity, hiIncl: false };
+  const excluded = new Set();
+  let candidates = null;
+  let numeric = false;
+
+  for (const literal of known) {
+    const { op, value } = literal;
+
+    if (NUMERIC_OPS.includes(op)) {
+      numeric = true;
+      if ((op === "gt" || op === "gte") && value >= interval.lo) {
+        const incl = op === "gte";
+        interval.loIncl = value === interval.lo ? interval.loIncl && incl : incl;
+        interval.lo = value;
+      }
+      if ((op === "lt" || op === "lte") && value <= interval.hi) {
+        const incl = op === "lte";
+        interval.hiIncl = value === interval.hi ? interval.hiIncl && incl : incl;
+        interval.hi = value;
+      }
+    } else if (op === "eq" || op === "in") {
+      const values = op === "eq" ? [value] : value;
+      candidates = candidates
+        ? new Set([...candidates].filter((v) => values.includes(v)))
+        : new Set(values);
+    } else if (op === "neq") {
+      excluded.add(value);
+    } else if (op === "nin") {
+      value.forEach((v) => excluded.add(v));
+    }
+  }
+
+  const presentLiterals = known;
+  let presentOk;
+
+  if (known.some(requiresMissing)) {
+    presentOk = false;
+  } else if (candidates) {
+    candidates = new Set(
+      [...candidates].filter((v) =>
+        presentLiterals.every((literal) => valueSatisfies(v, literal))
+      )
+    );
+    presentOk = candidates.size > 0;
+  } else if (numeric) {
+    const { lo, loIncl, hi, hiIncl } = interval;
+    presentOk = lo < hi || (lo === hi && loIncl && hiIncl && !excluded.has(lo));
+  } else {
+    presentOk = true;
+  }
+
+  return { missingOk, presentOk, candidates, interval, numeric, excluded };
+}
+
+/**
+ * Group a clause's literals by field
+ */
+function groupByField(clause) {
+  const groups = new Map();
+  for (const literal of clause) {
+    if (!groups.has(literal.field)) groups.set(literal.field, []);
+    groups.get(literal.field).push(literal);
+  }
+  return groups;
+}
+
+/**
+ * Can any input satisfy this clause?
+ */
+function isClauseSatisfiable(clause) {
+  for (const literals of groupByField(clause).values()) {
+    const domain = fieldDomain(literals);
+    if (!domain.missingOk && !domain.presentOk) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Does every value allowed by a field domain satisfy a literal?
+ */
+function domainImplies(domain, literals, literal) {
+  if (literal.opaque) {
+    return literals.some(
+      (own) => JSON.stringify(own) === JSON.stringify(literal)
+    );
+  }
+
+  if (domain.missingOk && !allowsMissing(literal)) {
+    return false;
+  }
+
+  if (!domain.presentOk) {
+    return true;
+  }
+
+  if (literal.op === "exists") {
+    return literal.value === true;
+  }
+
+  if (domain.candidates) {
+    return [...domain.candidates].every((v) => valueSatisfies(v, literal));
+  }
+
+  const { lo, loIncl, hi, hiIncl } = domain.interval;
+  const point = domain.numeric && lo === hi ? lo : undefined;
+
+  switch (literal.op) {
+    case "gt":
+      return domain.numeric && lo !== -Infinity && (lo > literal.value || (lo === literal.value && !loIncl));
+    case "gte":
+      return domain.numeric && lo !== -Infinity && lo >= literal.value;
+    case "lt":
+      return domain.numeric && hi !== Infinity && (hi < literal.value || (hi === literal.value && !hiIncl));
+    case "lte":
+      return domain.numeric && hi !== Infinity && hi <= literal.value;
+    case "eq":
+      return point !== undefined && point === literal.value;
+    case "in":
+      return point !== undefined && literal.value.includes(point);
+    case "neq":
+      return (
+        domain.excluded.has(literal.value) ||
+        (domain.numeric && !intervalContains(domain.interval, literal.value))
+      );
+    case "nin":
+      return literal.value.every(
+        (v) =>
+          domain.excluded.has(v) ||
+          (domain.numeric && !intervalContains(domain.interval, v))
+      );
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check whether a value lies inside an interval
+ */
+function intervalContains({ lo, loIncl, hi, hiIncl }, value) {
+  if (typeof value !== "number") return false;
+  const aboveLo = value > lo || (value === lo && loIncl);
+  const belowHi = value < hi || (value === hi && hiIncl);
+  return aboveLo && belowHi;
+}
+
+/**
+ * Does clause `inner` imply clause `outer`? (every input matching inner
+ * also matches outer)
+ */
+function clauseImplies(inner, outer) {
+  const innerGroups = groupByField(inner);
+
+  return outer.every((literal) => {
+    const literals = innerGroups.get(literal.field) || [];
+    return domainImplies(fieldDomain(literals), literals, literal);
+  });
+}
+
+/**
+ * Does rule condition A (as clauses) imply rule condition B?
+ * Sufficient check: every satisfiable clause of A implies some clause of B.
+ */
+function conditionImplies(clausesA, clausesB) {
+  return clausesA
+    .filter(isClauseSatisfiable)
+    .every((clause) => clausesB.some((other) => clauseImplies(clause, other)));
+}
+
+// ============================================================================
+// CHECKS
+// ============================================================================
+
+/**
+ * Order-insensitive canonical form of a condition (for duplicate detection)
+ */
+function canonicalize(condition) {
+  if (!condition.operator) {
+    return JSON.stringify({
+      field: condition.field,
+      op: condition.op,
+      value: condition.value,
+    });
+  }
+  const operands = condition.operands.map(canonicalize).sort();
+  return `${condition.operator}(${operands.join(",")})`;
+}
+
+/**
+ * Format an interval for messages, e.g. [30, 40)
+ */
+function formatInterval({ lo, loIncl, hi, hiIncl }) {
+  const left = lo === -Infinity ? "(-∞" : `${loIncl ? "[" : "("}${lo}`;
+  const right = hi === Infinity ? "+∞)" : `${hi}${hiIncl ? "]" : ")"}`;
+  return `${left}, ${right}`;
+}
+
+/**
+ * Complement of a union of intervals over the real line
+ */
+function findGaps(intervals) {
+  const sorted = [...intervals].sort(
+    (a, b) => a.lo - b.lo || (a.loIncl === b.loIncl ? 0 : a.loIncl ? -1 : 1)
+  );
+
+  const gaps = [];
+  let cursor = { value: -Infinity, incl: false }; // covered up to here
+
+  for (const interval of sorted) {
+    const startsAfterCursor =
+      interval.lo > cursor.value ||
+      (interval.lo === cursor.value && !interval.loIncl && !cursor.incl);
+
+    if (startsAfterCursor && interval.lo !== -Infinity) {
+      gaps.push({
+        lo: cursor.value,
+        loIncl: cursor.value !== -Infinity && !cursor.incl,
+        hi: interval.lo,
+        hiIncl: !interval.loIncl,
+      });
+    }
+
+    if (
+      interval.hi > cursor.value ||
+      (interval.hi === cursor.value && interval.hiIncl)
+    ) {
+      cursor = { value: interval.hi, incl: interval.hiIncl };
+    }
+  }
+
+  if (cursor.value !== Infinity) {
+    gaps.push({ lo: cursor.value, loIncl: !cursor.incl, hi: Infinity, hiIncl: false });
+  }
+
+  return gaps;
+}
+
+/**
+ * Lint a parsed rules configuration
+ * Returns: { valid, errors, warnings, findings, summary }
+ * (errors/warnings come from schema validation; findings from analysis)
+ *
+ * options.validation - result of an earlier validation of this config
+ * options.rulePaths  - where each rule was declared (included files)
+ */
+export function lintRulesConfig(config, options = {}) {
+  const validation = options.validation || validateRulesConfig(config);
+  if (!validation.valid) {
+    return { ...validation, findings: [], summary: null };
+  }
+
+  const findings = [];
+  const strategy = config.strategy || STRATEGIES.FIRST_MATCH;
+
+  // Analyze the rules the engine would actually run, in evaluation order
+  const rules = config.rules
+    .map((rule, index) => ({
+      rule,
+      path: options.rulePaths?.[index] ?? `rules[${index}]`,
+    }))
+    .filter(({ rule }) => rule.enabled !== false)
+    .sort((a, b) => (b.rule.priority || 0) - (a.rule.priority || 0));
+
+  for (const entry of rules) {
+    try {
+      entry.clauses = toClauses(entry.rule.condition);
+    } catch (error) {
+      if (!(error instanceof TooComplexError)) throw error;
+      entry.clauses = null;
+      findings.push({
+        type: "too_complex",
+        severity: "info",
+        ruleId: entry.rule.id,
+        path: `${entry.path}.condition`,
+        message: `Condition expands to more than ${MAX_CLAUSES} clauses and was not analyzed`,
+      });
+    }
+  }
+
+  // Unsatisfiable rules
+  for (const entry of rules) {
+    if (entry.clauses && !entry.clauses.some(isClauseSatisfiable)) {
+      entry.unsatisfiable = true;
+      findings.push({
+        type: "unsatisfiable",
+        severity: "error",
+        ruleId: entry.rule.id,
+        path: `${entry.path}.condition`,
+        message: `Rule ${entry.rule.id} can never match - its conditions contradict each other`,
+      });
+    }
+  }
+
+  // Shadowed rules (only meaningful when a single rule wins)
+  if (strategy !== STRATEGIES.WEIGHTED_SCORE) {
+    const live = rules.filter(
+      ({ rule, clauses, unsatisfiable }) =>
+        (rule.mode || RULE_MODES.LIVE) === RULE_MODES.LIVE &&
+        clauses &&
+        !unsatisfiable
+    );
+
+    live.forEach((entry, i) => {
+      const shadowedBy = live.slice(0, i).find(
+        (higher) =>
+          // A scheduled rule is not always there to win
+          !hasActivation(higher.rule) &&
+          (higher.rule.priority || 0) > (entry.rule.priority || 0) &&
+          conditionImplies(entry.clauses, higher.clauses)
+      );
+
+      if (shadowedBy) {
+        const sameOutcome = shadowedBy.rule.outcome === entry.rule.outcome;
+        findings.push({
+          type: "shadowed",
+          severity: "warning",
+          ruleId: entry.rule.id,
+          path: entry.path,
+          message:
+            `Rule ${entry.rule.id} can never win: every input it matches is matched first by ` +
+            `${shadowedBy.rule.id} (priority ${shadowedBy.rule.priority || 0})` +
+            (sameOutcome ? " with the same outcome - it is redundant" : ""),
+          details: { shadowedBy: shadowedBy.rule.id, sameOutcome },
+        });
+      }
+    });
+  }
+
+  // Duplicate conditions
+  const byCondition = new Map();
+  for (const entry of rules) {
+    const key = canonicalize(entry.rule.condition);
+    const first = byCondition.get(key);
+    if (first) {
+      findings.push({
+        type: "duplicate",
+        severity: "warning",
+        ruleId: entry.rule.id,
+        path: `${entry.path}.condition`,
+        message: `Rule ${entry.rule.id} has the same condition as ${first.rule.id}`,
+        details: { duplicateOf: first.rule.id },
+      });
+    } else {
+      byCondition.set(key, entry);
+    }
+  }
+
+  // Numeric gaps - holes between the ranges of otherwise identical rules
+  const coverage = new Map();
+  for (const entry of rules) {
+    if (!entry.clauses || entry.unsatisfiable) continue;
+
+    for (const clause of entry.clauses.filter(isClauseSatisfiable)) {
+      for (const [field, literals] of groupByField(clause)) {
+        const domain = fieldDomain(literals);
+        if (!domain.numeric || !domain.presentOk || domain.candidates) continue;
+
+        const others = clause
+          .filter((literal) => literal.field !== field)
+          .map((literal) => JSON.stringify(literal))
+          .sort();
+        const key = JSON.stringify([entry.rule.outcome, field, others]);
+        if (!coverage.has(key)) {
+          coverage.set(key, { field, outcome: entry.rule.outcome, intervals: [], ruleIds: new Set() });
+        }
+        const group = coverage.get(key);
+        group.intervals.push(domain.interval);
+        group.ruleIds.add(entry.rule.id);
+      }
+    }
+  }
+
+  for (const { field, outcome, intervals, ruleIds } of coverage.values()) {
+    if (ruleIds.size < 2) continue;
+
+    // Only holes between covered ranges, not the open ends
+    const gaps = findGaps(intervals).filter(
+      (gap) => gap.lo !== -Infinity && gap.hi !== Infinity
+    );
+    for (const gap of gaps) {
+      findings.push({
+        type: "numeric_gap",
+        severity: "info",
+        field,
+        message:
+          `Rules ${[...ruleIds].join(", ")} (${outcome}) leave ${field} in ${formatInterval(gap)} ` +
+          "uncovered - check the bounds",
+        details: { gap: formatInterval(gap), outcome, ruleIds: [...ruleIds] },
+      });
+    }
+  }
+
+  const summary = { errors: 0, warnings: 0, info: 0 };
+  for (const finding of findings) {
+    if (finding.severity === "error") summary.errors++;
+    else if (finding.severity === "warning") summary.warnings++;
+    else summary.info++;
+  }
+
+  return { ...validation, findings, summary };
+}
+
+/**
+ * Parse, resolve and lint raw YAML content in one step
+ * options.filePath - the rules file; included files resolve relative to it
+ */
+export function lintRulesContent(content, options = {}) {
+  const { config, valid, errors, warnings, rulePaths } = validateRulesContent(
+    content,
+    options
+  );
+  if (!valid) {
+    return { valid, errors, warnings, findings: [], summary: null };
+  }
+  return lintRulesConfig(config, {
+    validation: { valid, errors, warnings },
+    rulePaths,
+  });
+}
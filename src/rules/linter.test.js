@@ -0,0 +1,142 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { lintRulesConfig, lintRulesContent } from "./linter.js";
+
+const RULES_PATH = fileURLToPath(new URL("../../config/rules.yaml", import.meta.url));
+
+const rule = (id, priority, condition, outcome = "SAFE_DENY") => ({
+  id,
+  name: id,
+  priority,
+  condition,
+  outcome,
+});
+const NOT = (operand) => ({ operator: "NOT", operands: [operand] });
+const AND = (...operands) => ({ operator: "AND", operands });
+const OR = (...operands) => ({ operator: "OR", operands });
+const amount = (op, value) => ({ field: "request.amount", op, value });
+const country = (op, value) => ({ field: "request.country", op, value });
+
+/**
+ * Findings of one type as "ruleId" strings
+ */
+const found = (rules, type, config = {}) =>
+  lintRulesConfig({ ...config, rules })
+    .findings.filter((finding) => finding.type === type)
+    .map((finding) => finding.ruleId);
+
+test("the shipped rules file lints clean", () => {
+  const content = fs.readFileSync(RULES_PATH, "utf8");
+  const result = lintRulesContent(content, { filePath: RULES_PATH });
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.findings, []);
+});
+
+test("contradictory conditions are unsatisfiable", () => {
+  const rules = [
+    rule("R1", 1, AND({ field: "signals.risk_score", op: "gte", value: 40 }, { field: "signals.risk_score", op: "lt", value: 30 })),
+    rule("R2", 1, AND(NOT(amount("lt", 5)), amount("lt", 3))),
+    rule("R3", 1, AND(country("in", ["US", "CA"]), country("eq", "DE"))),
+    rule("R4", 1, OR(amount("gt", 5), amount("lt", 3))),
+  ];
+  assert.deepEqual(found(rules, "unsatisfiable"), ["R1", "R2", "R3"]);
+});
+
+test("a narrower lower-priority rule is shadowed", () => {
+  const rules = [
+    rule("HIGH", 10, amount("gt", 100)),
+    rule("LOW", 1, AND(amount("gt", 500), country("eq", "US"))),
+    rule("FREE", 1, amount("gt", 50)),
+  ];
+  assert.deepEqual(found(rules, "shadowed"), ["LOW"]);
+  assert.deepEqual(found(rules, "shadowed", { strategy: "weighted_score" }), []);
+});
+
+test("shadowing is detected through NOT on either side", () => {
+  // NOT(amount lt 100) matches amounts >= 100 and a missing amount
+  assert.deepEqual(found([rule("H", 10, NOT(amount("lt", 100))), rule("L", 1, amount("gt", 500))], "shadowed"), ["L"]);
+  assert.deepEqual(
+    found([rule("H", 10, NOT(country("in", ["US"]))), rule("L", 1, NOT(country("in", ["US", "CA"])))], "shadowed"),
+    ["L"]
+  );
+  // The lower rule's missing-amount case is covered by a separate clause
+  assert.deepEqual(
+    found(
+      [
+        rule("H", 10, OR(amount("gte", 100), { field: "request.amount", op: "exists", value: false })),
+        rule("L", 1, NOT(amount("lt", 500))),
+      ],
+      "shadowed"
+    ),
+    ["L"]
+  );
+});
+
+test("NOT does not hide inputs the higher rule misses", () => {
+  // L also matches a missing amount, H never does
+  assert.deepEqual(found([rule("H", 10, amount("gt", 1)), rule("L", 1, NOT(amount("lte", 5)))], "shadowed"), []);
+  // L matches CA, H does not
+  assert.deepEqual(
+    found([rule("H", 10, NOT(country("in", ["US", "CA"]))), rule("L", 1, NOT(country("in", ["US"])))], "shadowed"),
+    []
+  );
+});
+
+test("scheduled and shadow-mode rules neither shadow nor are shadowed", () => {
+  const rules = [
+    { ...rule("SCHEDULED", 10, amount("gt", 100)), schedule: { hours: { start: "09:00", end: "17:00" } } },
+    rule("LOW", 1, amount("gt", 500)),
+    { ...rule("TRIAL", 0, amount("gt", 900)), mode: "shadow" },
+  ];
+  assert.deepEqual(found(rules, "shadowed"), []);
+});
+
+test("duplicate conditions ignore operand order", () => {
+  const rules = [
+    rule("A", 10, AND(amount("gt", 1), country("eq", "US"))),
+    rule("B", 5, AND(country("eq", "US"), amount("gt", 1)), "GREY_ZONE"),
+  ];
+  assert.deepEqual(found(rules, "duplicate"), ["B"]);
+});
+
+test("numeric gaps are only reported between otherwise identical rules", () => {
+  const gaps = (rules) =>
+    lintRulesConfig({ rules })
+      .findings.filter((finding) => finding.type === "numeric_gap")
+      .map((finding) => finding.details.gap);
+
+  // Same outcome and other conditions - the hole looks like a typo
+  assert.deepEqual(
+    gaps([
+      rule("LOW", 1, AND(amount("lt", 100), country("eq", "US"))),
+      rule("HIGH", 1, AND(amount("gt", 500), country("eq", "US"))),
+    ]),
+    ["[100, 500]"]
+  );
+
+  // Different outcomes, different other conditions, or a single rule
+  assert.deepEqual(gaps([rule("LOW", 1, amount("lt", 100)), rule("HIGH", 1, amount("gt", 500), "GREY_ZONE")]), []);
+  assert.deepEqual(
+    gaps([rule("LOW", 1, AND(amount("lt", 100), country("eq", "US"))), rule("HIGH", 1, AND(amount("gt", 500), country("eq", "DE")))]),
+    []
+  );
+  assert.deepEqual(gaps([rule("ONLY", 1, OR(amount("lt", 100), amount("gt", 500)))]), []);
+  // Open ends are never reported
+  assert.deepEqual(gaps([rule("A", 1, amount("gt", 100)), rule("B", 1, amount("gt", 500))]), []);
+});
+
+test("oversized conditions are skipped with an info finding", () => {
+  const wide = OR(...Array.from({ length: 20 }, (_, i) => amount("eq", i)));
+  const result = lintRulesConfig({ rules: [rule("BIG", 1, AND(wide, wide))] });
+  assert.deepEqual(result.findings.map((finding) => finding.type), ["too_complex"]);
+  assert.deepEqual(result.summary, { errors: 0, warnings: 0, info: 1 });
+});
+
+test("invalid configs return schema errors without findings", () => {
+  const result = lintRulesConfig({ rules: [rule("R1", 1, amount("gt", "x"))] });
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.findings, []);
+  assert.equal(result.summary, null);
+});
@@ -0,0 +1,225 @@
+/**
+ * ============================================================================
+ * REFERENCE LISTS - Named lists loaded from files, used by `in_list`
+ * ============================================================================
+ *
+ * Declared in rules.yaml:
+ *
+ *   lists:
+ *     high_risk_countries:
+ *       path: "lists/high_risk_countries.txt"   # relative to rules.yaml
+ *       ignore_case: true
+ *     blocked_ip_ranges:
+ *       path: "lists/blocked_ip_ranges.txt"
+ *       type: "cidr"
+ *
+ * and used in conditions:
+ *
+ *   - field: "request.country"
+ *     op: "in_list"
+ *     value: "high_risk_countries"
+ *
+ * List files hold one entry per line; blank lines and "# comments" are
+ * ignored.
+ *
+ * Design Decisions:
+ * 1. Entries live in a Set (O(1) lookup); cidr lists use a net.BlockList
+ * 2. Predicates look lists up by name at evaluation time, so lists can be
+ *    reloaded from disk without recompiling the rules
+ * 3. All files are read before anything is swapped - a missing or invalid
+ *    file never leaves a partially reloaded set of lists
+ * 4. Each list reports a content hash as its version
+ *
+ * ============================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import { hashContent } from "./engine.js";
+import { buildCidrMatcher } from "./operators.js";
+
+// Supported list types
+export const LIST_TYPES = {
+  VALUES: "values",
+  CIDR: "cidr",
+};
+
+const LIST_KEYS = ["path", "type", "ignore_case"];
+
+/**
+ * Parse list file content into entries
+ */
+function parseEntries(content) {
+  return content
+    .split("\n")
+    .map((line) => line.replace(/#.*$/, "").trim())
+    .filter((line) => line !== "");
+}
+
+/**
+ * Build an in-memory list from its definition and file content
+ * Returns { list } or { error }
+ */
+function buildList(name, definition, filePath, content) {
+  const entries = parseEntries(content);
+  const type = definition.type || LIST_TYPES.VALUES;
+  let has;
+
+  if (type === LIST_TYPES.CIDR) {
+    const matcher = buildCidrMatcher(entries);
+    if (!matcher) {
+      return { error: `List "${name}" contains an invalid CIDR block` };
+    }
+    has = matcher;
+  } else if (definition.ignore_case) {
+    const set = new Set(entries.map((entry) => entry.toLowerCase()));
+    has = (value) =>
+      (typeof value === "string" || typeof value === "number") &&
+      set.has(String(value).toLowerCase());
+  } else {
+    const set = new Set(entries);
+    has = (value) =>
+      (typeof value === "string" || typeof value === "number") &&
+      set.has(String(value));
+  }
+
+  return {
+    list: {
+      name,
+      type,
+      path: filePath,
+      size: entries.length,
+      version: hashContent(content).slice(0, 12),
+      loadedAt: new Date().toISOString(),
+      has,
+    },
+  };
+}
+
+/**
+ * Validate the lists: section of a rules config
+ */
+export function validateListDefinitions(lists, errors) {
+  if (lists === null || typeof lists !== "object" || Array.isArray(lists)) {
+    errors.push({ path: "lists", message: "lists must be a mapping of name → definition" });
+    return;
+  }
+
+  for (const [name, definition] of Object.entries(lists)) {
+    const listPath = `lists.${name}`;
+    if (definition === null || typeof definition !== "object" || Array.isArray(definition)) {
+      errors.push({ path: listPath, message: "List definition must be a mapping" });
+      continue;
+    }
+
+    for (const key of Object.keys(definition)) {
+      if (!LIST_KEYS.includes(key)) {
+        errors.push({ path: `${listPath}.${key}`, message: `Unknown key "${key}"` });
+      }
+    }
+
+    if (typeof definition.path !== "string" || definition.path === "") {
+      errors.push({ path: `${listPath}.path`, message: "List file path is required" });
+    }
+
+    if (
+      definition.type !== undefined &&
+      !Object.values(LIST_TYPES).includes(definition.type)
+    ) {
+      errors.push({
+        path: `${listPath}.type`,
+        message: `Invalid list type "${definition.type}" (expected one of ${Object.values(LIST_TYPES).join(", ")})`,
+      });
+    }
+
+    if (
+      definition.ignore_case !== undefined &&
+      typeof definition.ignore_case !== "boolean"
+    ) {
+      errors.push({ path: `${listPath}.ignore_case`, message: "ignore_case must be a boolean" });
+    }
+  }
+}
+
+/**
+ * ListRegistry class - the named lists of one RuleEngine
+ */
+export class ListRegistry {
+  /**
+   * baseDir - directory list paths are resolved against (the rules file's)
+   */
+  constructor(baseDir) {
+    this.baseDir = baseDir;
+    this.definitions = {};
+    this.lists = new Map();
+  }
+
+  /**
+   * Read every list file for a set of definitions without activating them
+   * Returns { lists: Map, errors: [{ path, message }] }
+   */
+  read(definitions = {}) {
+    const lists = new Map();
+    const errors = [];
+
+    for (const [name, definition] of Object.entries(definitions)) {
+      const filePath = path.resolve(this.baseDir, definition.path);
+
+      let content;
+      try {
+        content = fs.readFileSync(filePath, "utf8");
+      } catch (error) {
+        errors.push({
+          path: `lists.${name}.path`,
+          message: `Cannot read list file ${filePath}: ${error.code || error.message}`,
+        });
+        continue;
+      }
+
+      const { list, error } = buildList(name, definition, filePath, content);
+      if (error) {
+        errors.push({ path: `lists.${name}`, message: error });
+      } else {
+        lists.set(name, list);
+      }
+    }
+
+    return { lists, errors };
+  }
+
+  /**
+   * Swap in lists produced by read()
+   */
+  activate(definitions, lists) {
+    this.definitions = definitions || {};
+    this.lists = lists;
+  }
+
+  /**
+   * Re-read the current definitions from disk (independent of the rules)
+   * On any error the previous lists stay active.
+   */
+  reload() {
+    const { lists, errors } = this.read(this.definitions);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+    this.lists = lists;
+    return { success: true, lists: this.getStatus() };
+  }
+
+  /**
+   * Check whether a value is in a named list (unknown list → no match)
+   */
+  has(name, value) {
+    const list = this.lists.get(name);
+    return list ? list.has(value) : false;
+  }
+
+  /**
+   * Sizes and versions of the loaded lists (for /status)
+   */
+  getStatus() {
+    return [...this.lists.values()].map(({ has, ...info }) => info);
+  }
+}
@@ -0,0 +1,131 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ListRegistry, validateListDefinitions } from "./lists.js";
+import { RuleEngine } from "./engine.js";
+
+/**
+ * Temp dir with a rules file using three lists
+ */
+function tmpRulesWithLists(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rule-lists-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, "lists"));
+  const write = (name, content) => fs.writeFileSync(path.join(dir, "lists", name), content);
+
+  write("countries.txt", "# high risk\nxx\nYY  # trailing comment\n\n");
+  write("ranges.txt", "10.0.0.0/8\n2001:db8::/32\n");
+  write("users.txt", "u-1\n42\n");
+  fs.writeFileSync(
+    path.join(dir, "rules.yaml"),
+    `
+lists:
+  countries: { path: "lists/countries.txt", ignore_case: true }
+  ranges: { path: "lists/ranges.txt", type: "cidr" }
+  users: { path: "lists/users.txt" }
+rules:
+  - id: "COUNTRY"
+    name: "High risk country"
+    condition: { field: "request.country", op: "in_list", value: "countries" }
+    outcome: "SAFE_DENY"
+  - id: "RANGE"
+    name: "Blocked range"
+    condition: { field: "request.ip", op: "in_list", value: "ranges" }
+    outcome: "SAFE_DENY"
+  - id: "USER"
+    name: "Blocked user"
+    condition: { field: "request.user_id", op: "in_list", value: "users" }
+    outcome: "SAFE_DENY"
+`
+  );
+  return { dir, write };
+}
+
+test("in_list matches values, case-insensitive values and CIDR blocks", (t) => {
+  const { dir } = tmpRulesWithLists(t);
+  const engine = new RuleEngine(path.join(dir, "rules.yaml"));
+  engine.loadRules();
+  const decidedBy = (request) => engine.evaluate({ request }).matchedRule?.id ?? null;
+
+  assert.equal(decidedBy({ country: "yy" }), "COUNTRY");
+  assert.equal(decidedBy({ country: "ZZ" }), null);
+  assert.equal(decidedBy({ ip: "10.1.2.3" }), "RANGE");
+  assert.equal(decidedBy({ ip: "2001:db8::1" }), "RANGE");
+  assert.equal(decidedBy({ ip: "11.0.0.1" }), null);
+  // Case matters without ignore_case; numbers compare as strings
+  assert.equal(decidedBy({ user_id: "U-1" }), null);
+  assert.equal(decidedBy({ user_id: 42 }), "USER");
+  // Objects and missing values never match
+  assert.equal(decidedBy({ user_id: { id: "u-1" } }), null);
+  assert.equal(decidedBy({}), null);
+
+  const status = engine.lists.getStatus();
+  assert.deepEqual(status.map((list) => [list.name, list.type, list.size]), [
+    ["countries", "values", 2],
+    ["ranges", "cidr", 2],
+    ["users", "values", 2],
+  ]);
+  assert.match(status[0].version, /^[0-9a-f]{12}$/);
+});
+
+test("lists reload without recompiling rules, and keep the old lists on error", (t) => {
+  const { dir, write } = tmpRulesWithLists(t);
+  const engine = new RuleEngine(path.join(dir, "rules.yaml"));
+  engine.loadRules();
+  const predicate = engine.rules[0].predicate;
+  const version = engine.lists.getStatus()[0].version;
+
+  write("countries.txt", "ZZ\n");
+  assert.equal(engine.reloadLists().success, true);
+  assert.equal(engine.rules[0].predicate, predicate);
+  assert.notEqual(engine.lists.getStatus()[0].version, version);
+  assert.equal(engine.evaluate({ request: { country: "zz" } }).matchedRule?.id, "COUNTRY");
+
+  // One bad file: nothing is swapped
+  write("countries.txt", "AA\n");
+  write("ranges.txt", "not-a-cidr\n");
+  const failed = engine.reloadLists();
+  assert.equal(failed.success, false);
+  assert.deepEqual(failed.errors.map((error) => error.path), ["lists.ranges"]);
+  assert.equal(engine.lists.has("countries", "ZZ"), true);
+  assert.equal(engine.lists.has("countries", "AA"), false);
+});
+
+test("a missing list file fails the rules load", (t) => {
+  const { dir } = tmpRulesWithLists(t);
+  fs.rmSync(path.join(dir, "lists", "users.txt"));
+  const engine = new RuleEngine(path.join(dir, "rules.yaml"));
+  assert.throws(() => engine.loadRules(), /lists\.users\.path/);
+});
+
+test("an unknown list name never matches", () => {
+  const registry = new ListRegistry(os.tmpdir());
+  assert.equal(registry.has("nope", "x"), false);
+});
+
+test("list definitions are validated", () => {
+  const errors = [];
+  validateListDefinitions(
+    {
+      no_path: {},
+      bad_type: { path: "a.txt", type: "regex" },
+      bad_case: { path: "a.txt", ignore_case: "yes" },
+      typo: { path: "a.txt", ignorecase: true },
+      not_mapping: "a.txt",
+    },
+    errors
+  );
+  assert.deepEqual(errors.map((error) => error.path), [
+    "lists.no_path.path",
+    "lists.bad_type.type",
+    "lists.bad_case.ignore_case",
+    "lists.typo.ignorecase",
+    "lists.not_mapping",
+  ]);
+
+  const notMapping = [];
+  validateListDefinitions(["a.txt"], notMapping);
+  assert.deepEqual(notMapping.map((error) => error.path), ["lists"]);
+});
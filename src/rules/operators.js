@@ -0,0 +1,150 @@
+/**
+ * ============================================================================
+ * OPERATOR HELPERS - Parsing and matching for date, duration and CIDR values
+ * ============================================================================
+ *
+ * Shared by the OPERATORS table (engine.js), load-time validation
+ * (schema.js) and the compiler, which uses the factories below to parse a
+ * condition's value once instead of on every evaluation.
+ *
+ * Design Decisions:
+ * 1. Missing or wrongly typed input values never match - every helper
+ *    returns null/false instead of throwing
+ * 2. Dates are ISO 8601 strings, epoch milliseconds or YAML timestamps
+ * 3. CIDR matching uses node's net.BlockList (IPv4 and IPv6)
+ * 4. within_last is relative to the evaluation time the engine passes in
+ *    (its injectable clock), falling back to the system clock
+ *
+ * ============================================================================
+ */
+
+import net from "net";
+
+// Duration units for within_last, e.g. "15m", "24h", "30d"
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+const DURATION_PATTERN = /^(\d+(?:\.\d+)?)(ms|s|m|h|d|w)$/;
+
+/**
+ * Convert a date-like value to epoch milliseconds (null if not a date)
+ */
+export function toTimestamp(value) {
+  if (value instanceof Date) {
+    const time = value.getTime();
+    return Number.isNaN(time) ? null : time;
+  }
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value === "string" && value !== "") {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+  }
+  return null;
+}
+
+/**
+ * Parse a duration like "30d" into milliseconds (null if invalid)
+ */
+export function parseDuration(value) {
+  const match = typeof value === "string" && DURATION_PATTERN.exec(value);
+  return match ? Number(match[1]) * DURATION_UNITS[match[2]] : null;
+}
+
+/**
+ * Check that a date-like value lies within the last `duration` before now
+ */
+export function isWithinLast(value, duration, now = Date.now()) {
+  const time = toTimestamp(value);
+  const ms = parseDuration(duration);
+  if (time === null || ms === null) {
+    return false;
+  }
+  return time <= now && time >= now - ms;
+}
+
+/**
+ * Build a matcher (ip) => boolean for one CIDR block or a list of them
+ * A bare address counts as a single-host block. Returns null if any
+ * block is invalid.
+ */
+export function buildCidrMatcher(blocks) {
+  const list = Array.isArray(blocks) ? blocks : [blocks];
+  const blockList = new net.BlockList();
+
+  for (const block of list) {
+    if (typeof block !== "string") {
+      return null;
+    }
+
+    const [address, prefix, ...rest] = block.split("/");
+    const family = net.isIP(address);
+    const maxPrefix = family === 4 ? 32 : 128;
+    const bits = prefix === undefined ? maxPrefix : Number(prefix);
+
+    if (
+      family === 0 ||
+      rest.length > 0 ||
+      !Number.isInteger(bits) ||
+      bits < 0 ||
+      bits > maxPrefix
+    ) {
+      return null;
+    }
+
+    blockList.addSubnet(address, bits, family === 4 ? "ipv4" : "ipv6");
+  }
+
+  return (ip) => {
+    const family = typeof ip === "string" ? net.isIP(ip) : 0;
+    if (family === 0) {
+      return false;
+    }
+    return blockList.check(ip, family === 4 ? "ipv4" : "ipv6");
+  };
+}
+
+/**
+ * Check whether an IP address falls inside the given CIDR block(s)
+ */
+export function matchesCidr(ip, blocks) {
+  const matcher = buildCidrMatcher(blocks);
+  return matcher ? matcher(ip) : false;
+}
+
+/**
+ * Factories that precompile an operator's literal value
+ * Each takes the condition value and returns (actual, now) => boolean,
+ * where now is the evaluation time (a Date, may be omitted).
+ */
+export const OPERATOR_FACTORIES = {
+  before: (value) => {
+    const limit = toTimestamp(value);
+    return (actual) => {
+      const time = toTimestamp(actual);
+      return limit !== null && time !== null && time < limit;
+    };
+  },
+  after: (value) => {
+    const limit = toTimestamp(value);
+    return (actual) => {
+      const time = toTimestamp(actual);
+      return limit !== null && time !== null && time > limit;
+    };
+  },
+  within_last: (value) => {
+    const ms = parseDuration(value);
+    return (actual, now) => {
+      const time = toTimestamp(actual);
+      const current = now ? now.getTime() : Date.now();
+      return ms !== null && time !== null && time <= current && time >= current - ms;
+    };
+  },
+  cidr_match: (value) => buildCidrMatcher(value) || (() => false),
+};
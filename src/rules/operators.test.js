@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  toTimestamp,
+  parseDuration,
+  isWithinLast,
+  matchesCidr,
+  buildCidrMatcher,
+  OPERATOR_FACTORIES,
+} from "./operators.js";
+import { RuleEngine } from "./engine.js";
+
+const NOW = new Date("2025-06-01T12:00:00Z");
+
+test("toTimestamp accepts ISO strings, epoch ms and Dates", () => {
+  assert.equal(toTimestamp("2025-06-01T12:00:00Z"), NOW.getTime());
+  assert.equal(toTimestamp(NOW.getTime()), NOW.getTime());
+  assert.equal(toTimestamp(NOW), NOW.getTime());
+  assert.equal(toTimestamp("not a date"), null);
+  assert.equal(toTimestamp(""), null);
+  assert.equal(toTimestamp(Infinity), null);
+  assert.equal(toTimestamp(undefined), null);
+});
+
+test("parseDuration understands every unit", () => {
+  assert.equal(parseDuration("250ms"), 250);
+  assert.equal(parseDuration("15m"), 15 * 60 * 1000);
+  assert.equal(parseDuration("1.5h"), 90 * 60 * 1000);
+  assert.equal(parseDuration("2w"), 14 * 24 * 60 * 60 * 1000);
+  assert.equal(parseDuration("15"), null);
+  assert.equal(parseDuration("-1d"), null);
+  assert.equal(parseDuration(60), null);
+});
+
+test("isWithinLast is inclusive at both ends and rejects the future", () => {
+  const now = NOW.getTime();
+  assert.equal(isWithinLast("2025-06-01T11:00:00Z", "1h", now), true);
+  assert.equal(isWithinLast("2025-06-01T10:59:59Z", "1h", now), false);
+  assert.equal(isWithinLast(now, "1h", now), true);
+  assert.equal(isWithinLast(now + 1, "1h", now), false);
+  assert.equal(isWithinLast("yesterday", "1h", now), false);
+});
+
+test("within_last factory uses the evaluation time passed in", () => {
+  const recent = OPERATOR_FACTORIES.within_last("24h");
+  assert.equal(recent("2025-05-31T13:00:00Z", NOW), true);
+  assert.equal(recent("2025-05-31T11:00:00Z", NOW), false);
+  assert.equal(recent("2025-05-31T13:00:00Z", new Date("2025-06-03T00:00:00Z")), false);
+  // Without an evaluation time it falls back to the system clock
+  assert.equal(recent(new Date(Date.now() - 1000)), true);
+});
+
+test("before/after compare against a fixed instant", () => {
+  assert.equal(OPERATOR_FACTORIES.before("2025-01-01")("2024-12-31T23:59:59Z"), true);
+  assert.equal(OPERATOR_FACTORIES.before("2025-01-01")("2025-01-01T00:00:00Z"), false);
+  assert.equal(OPERATOR_FACTORIES.after("2025-01-01")("2025-01-02"), true);
+  assert.equal(OPERATOR_FACTORIES.after("garbage")("2025-01-02"), false);
+});
+
+test("CIDR matching for IPv4, IPv6 and single hosts", () => {
+  assert.equal(matchesCidr("10.1.2.3", "10.0.0.0/8"), true);
+  assert.equal(matchesCidr("11.1.2.3", "10.0.0.0/8"), false);
+  assert.equal(matchesCidr("2001:db8::1", ["10.0.0.0/8", "2001:db8::/32"]), true);
+  assert.equal(matchesCidr("192.168.1.1", "192.168.1.1"), true);
+  assert.equal(matchesCidr("not-an-ip", "10.0.0.0/8"), false);
+  assert.equal(buildCidrMatcher("10.0.0.0/33"), null);
+  assert.equal(buildCidrMatcher(["10.0.0.0/8", 42]), null);
+});
+
+test("the engine evaluates within_last at its clock time", () => {
+  let now = NOW;
+  const engine = new RuleEngine(null, { clock: () => now });
+  engine.loadContent(`
+rules:
+  - id: "NEW_ACCOUNT"
+    name: "Account opened in the last day"
+    condition: { field: "request.account_created", op: "within_last", value: "24h" }
+    outcome: "GREY_ZONE"
+`);
+  const input = { request: { account_created: "2025-05-31T13:00:00Z" } };
+
+  assert.equal(engine.evaluate(input).matchedRule?.id, "NEW_ACCOUNT");
+  assert.equal(engine.explain(input).rules[0].trace.result, true);
+
+  now = new Date("2025-06-01T14:00:00Z");
+  assert.equal(engine.evaluate(input).matchedRule, null);
+  assert.equal(engine.explain(input).rules[0].trace.result, false);
+  assert.equal(engine.evaluateCondition({ field: "request.account_created", op: "within_last", value: "1d" }, input), false);
+});
@@ -0,0 +1,198 @@
+/**
+ * ============================================================================
+ * OUTCOME TAXONOMY - The rule outcomes a rules file may use, and what they mean
+ * ============================================================================
+ *
+ * Declared in rules.yaml (optional - the built-in taxonomy applies otherwise):
+ *
+ *   outcomes:
+ *     CHALLENGE:
+ *       decision: "CHALLENGE"   # final decision returned (default: the name)
+ *       terminal: false         # true: ends evaluation; never sent to AI or flagged
+ *       ai_overridable: false   # AI is consulted and may replace the decision
+ *       severity: 30            # orders decisions, least → most severe
+ *       # shown to the AI
+ *       description: "Approve after step-up verification (e.g. 2FA)"
+ *     RATE_LIMIT:
+ *       decision: "RATE_LIMIT"
+ *       terminal: true
+ *       severity: 70
+ *
+ * Design Decisions:
+ * 1. A declared `outcomes:` section replaces the built-in set entirely
+ * 2. Terminal outcomes are absolute: a weighted_score rule with one
+ *    short-circuits the score, and the AI never sees the request
+ * 3. Non-terminal outcomes that are not AI-overridable keep their decision,
+ *    but a confident, more severe AI opinion (when present) escalates them
+ *    to the review decision - the decision of the least severe
+ *    AI-overridable outcome
+ * 4. ERROR is reserved for system failures and cannot be declared
+ *
+ * ============================================================================
+ */
+
+const OUTCOME_KEYS = ["decision", "terminal", "ai_overridable", "severity", "description"];
+const NAME_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const RESERVED_DECISIONS = ["ERROR"];
+
+// Taxonomy used when a rules file declares no outcomes: section
+// (the built-in OUTCOMES of engine.js)
+export const DEFAULT_OUTCOME_DEFINITIONS = {
+  SAFE_ALLOW: {
+    decision: "ALLOW",
+    terminal: false,
+    ai_overridable: false,
+    severity: 0,
+    description: "Approve the request",
+  },
+  GREY_ZONE: {
+    decision: "REVIEW",
+    terminal: false,
+    ai_overridable: true,
+    severity: 50,
+    description: "Route to manual review",
+  },
+  SAFE_DENY: {
+    decision: "DENY",
+    terminal: true,
+    ai_overridable: false,
+    severity: 100,
+    description: "Reject the request",
+  },
+};
+
+/**
+ * Validate the outcomes: section of a rules config
+ */
+export function validateOutcomeDefinitions(outcomes, errors) {
+  if (
+    outcomes === null ||
+    typeof outcomes !== "object" ||
+    Array.isArray(outcomes) ||
+    Object.keys(outcomes).length === 0
+  ) {
+    errors.push({ path: "outcomes", message: "outcomes must be a non-empty mapping of name → definition" });
+    return;
+  }
+
+  for (const [name, definition] of Object.entries(outcomes)) {
+    const path = `outcomes.${name}`;
+
+    if (!NAME_PATTERN.test(name)) {
+      errors.push({ path, message: `Outcome names must be UPPER_SNAKE_CASE, got "${name}"` });
+    }
+
+    if (definition === null || typeof definition !== "object" || Array.isArray(definition)) {
+      errors.push({ path, message: "Outcome definition must be a mapping" });
+      continue;
+    }
+
+    for (const key of Object.keys(definition)) {
+      if (!OUTCOME_KEYS.includes(key)) {
+        errors.push({ path: `${path}.${key}`, message: `Unknown key "${key}"` });
+      }
+    }
+
+    const decision = definition.decision ?? name;
+    if (typeof decision !== "string" || !NAME_PATTERN.test(decision)) {
+      errors.push({
+        path: `${path}.decision`,
+        message: `decision must be UPPER_SNAKE_CASE, got "${decision}"`,
+      });
+    } else if (RESERVED_DECISIONS.includes(decision)) {
+      errors.push({ path: `${path}.decision`, message: `"${decision}" is reserved` });
+    }
+
+    for (const key of ["terminal", "ai_overridable"]) {
+      if (definition[key] !== undefined && typeof definition[key] !== "boolean") {
+        errors.push({ path: `${path}.${key}`, message: `${key} must be a boolean` });
+      }
+    }
+
+    if (definition.terminal === true && definition.ai_overridable === true) {
+      errors.push({ path, message: "A terminal outcome cannot be AI-overridable" });
+    }
+
+    if (typeof definition.severity !== "number") {
+      errors.push({ path: `${path}.severity`, message: "severity must be a number" });
+    }
+  }
+}
+
+/**
+ * Compile an outcomes section (or the built-in one) into a taxonomy:
+ *   names          - declared outcome names
+ *   get(outcome)   → { decision, terminal, aiOverridable, severity, description }
+ *   decisions      - final decisions, least → most severe
+ *   reviewDecision - decision used when the AI flags a non-overridable outcome
+ *   severityOf(decision)
+ *   list()         → [{ outcome, ...metadata }] for status and metrics
+ */
+export function compileOutcomes(section) {
+  const definitions = section || DEFAULT_OUTCOME_DEFINITIONS;
+
+  const outcomes = new Map(
+    Object.entries(definitions).map(([name, definition]) => [
+      name,
+      {
+        decision: definition.decision ?? name,
+        terminal: definition.terminal === true,
+        aiOverridable: definition.ai_overridable === true,
+        severity: definition.severity,
+        description: definition.description ?? null,
+      },
+    ])
+  );
+
+  // A decision shared by several outcomes takes the highest severity
+  const decisionsByName = new Map();
+  for (const meta of outcomes.values()) {
+    const known = decisionsByName.get(meta.decision);
+    if (!known || meta.severity > known.severity) {
+      decisionsByName.set(meta.decision, {
+        name: meta.decision,
+        severity: meta.severity,
+        description: meta.description ?? known?.description ?? null,
+      });
+    }
+  }
+  const decisions = [...decisionsByName.values()].sort((a, b) => a.severity - b.severity);
+
+  const overridable = [...outcomes.values()]
+    .filter((meta) => meta.aiOverridable)
+    .sort((a, b) => a.severity - b.severity);
+
+  return {
+    names: [...outcomes.keys()],
+    decisions,
+    reviewDecision: overridable[0]?.decision ?? null,
+
+    has(outcome) {
+      return outcomes.has(outcome);
+    },
+
+    /**
+     * Metadata for an outcome; an undeclared one is treated as a
+     * non-terminal outcome deciding itself
+     */
+    get(outcome) {
+      return (
+        outcomes.get(outcome) || {
+          decision: outcome,
+          terminal: false,
+          aiOverridable: false,
+          severity: 0,
+          description: null,
+        }
+      );
+    },
+
+    severityOf(decision) {
+      return decisionsByName.get(decision)?.severity ?? 0;
+    },
+
+    list() {
+      return [...outcomes].map(([outcome, meta]) => ({ outcome, ...meta }));
+    },
+  };
+}
@@ -0,0 +1,118 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { parse } from "yaml";
+import {
+  compileOutcomes,
+  validateOutcomeDefinitions,
+  DEFAULT_OUTCOME_DEFINITIONS,
+} from "./outcomes.js";
+
+const RULES_PATH = fileURLToPath(new URL("../../config/rules.yaml", import.meta.url));
+const SOURCE_PATH = fileURLToPath(new URL("./outcomes.js", import.meta.url));
+
+const rulesFile = fs.readFileSync(RULES_PATH, "utf8");
+
+/**
+ * A commented-out outcomes: example, parsed
+ * (lines from `<prefix>outcomes:` up to the first line without the prefix)
+ */
+function commentedExample(text, prefix) {
+  const lines = text.split("\n");
+  const start = lines.indexOf(`${prefix}outcomes:`);
+  const end = lines.findIndex((line, index) => index > start && !line.startsWith(prefix));
+  return parse(lines.slice(start, end).map((line) => line.slice(prefix.length)).join("\n")).outcomes;
+}
+
+// The extended taxonomy rules.yaml shows as an example
+const extended = commentedExample(rulesFile, "# ");
+
+test("rules.yaml ships the built-in taxonomy", () => {
+  assert.equal(parse(rulesFile).outcomes, undefined);
+});
+
+test("the header example matches the rules.yaml example", () => {
+  const example = commentedExample(fs.readFileSync(SOURCE_PATH, "utf8"), " *   ");
+  assert.ok(Object.keys(example).length > 0);
+
+  for (const [name, definition] of Object.entries(example)) {
+    const actual = compileOutcomes(extended).get(name);
+    const documented = compileOutcomes({ [name]: definition }).get(name);
+    assert.ok(extended[name], `${name} is not in the rules.yaml example`);
+    for (const key of ["decision", "terminal", "aiOverridable", "severity"]) {
+      assert.equal(documented[key], actual[key], `${name}.${key}`);
+    }
+  }
+});
+
+test("the built-in taxonomy orders decisions and picks the review decision", () => {
+  const outcomes = compileOutcomes(null);
+  assert.deepEqual(outcomes.names, Object.keys(DEFAULT_OUTCOME_DEFINITIONS));
+  assert.deepEqual(outcomes.decisions.map((decision) => decision.name), ["ALLOW", "REVIEW", "DENY"]);
+  assert.equal(outcomes.reviewDecision, "REVIEW");
+  assert.equal(outcomes.get("SAFE_DENY").terminal, true);
+});
+
+test("the extended example compiles as documented", () => {
+  const errors = [];
+  validateOutcomeDefinitions(extended, errors);
+  assert.deepEqual(errors, []);
+  const outcomes = compileOutcomes(extended);
+  assert.deepEqual(outcomes.decisions.map((decision) => decision.name), [
+    "ALLOW",
+    "CHALLENGE",
+    "REVIEW",
+    "HOLD",
+    "RATE_LIMIT",
+    "DENY",
+  ]);
+  assert.equal(outcomes.get("CHALLENGE").terminal, false);
+  assert.equal(outcomes.get("RATE_LIMIT").terminal, true);
+  assert.equal(outcomes.severityOf("HOLD"), 60);
+});
+
+test("undeclared outcomes decide themselves, non-terminal", () => {
+  assert.deepEqual(compileOutcomes(null).get("CUSTOM"), {
+    decision: "CUSTOM",
+    terminal: false,
+    aiOverridable: false,
+    severity: 0,
+    description: null,
+  });
+});
+
+test("a decision shared by several outcomes takes the highest severity", () => {
+  const outcomes = compileOutcomes({
+    SOFT_DENY: { decision: "DENY", severity: 80 },
+    HARD_DENY: { decision: "DENY", terminal: true, severity: 100 },
+  });
+  assert.equal(outcomes.severityOf("DENY"), 100);
+  assert.equal(outcomes.reviewDecision, null);
+});
+
+test("definitions are validated", () => {
+  const errors = [];
+  validateOutcomeDefinitions(
+    {
+      lower: { decision: "LOWER", severity: 1 },
+      BAD_FLAGS: { terminal: "yes", severity: 1 },
+      BOTH: { terminal: true, ai_overridable: true, severity: 1 },
+      RESERVED: { decision: "ERROR", severity: 1 },
+      NO_SEVERITY: { decision: "HOLD", colour: "red" },
+    },
+    errors
+  );
+  assert.deepEqual(errors.map((error) => error.path), [
+    "outcomes.lower",
+    "outcomes.BAD_FLAGS.terminal",
+    "outcomes.BOTH",
+    "outcomes.RESERVED.decision",
+    "outcomes.NO_SEVERITY.colour",
+    "outcomes.NO_SEVERITY.severity",
+  ]);
+
+  const empty = [];
+  validateOutcomeDefinitions({}, empty);
+  assert.deepEqual(empty.map((error) => error.path), ["outcomes"]);
+});
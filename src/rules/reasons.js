@@ -0,0 +1,182 @@
+/**
+ * ============================================================================
+ * REASONS - Reason codes, messages and actions attached to decisions
+ * ============================================================================
+ *
+ * A rule may declare:
+ *   reason_code: "LIMIT_EXCEEDED"                        # stable, UPPER_SNAKE
+ *   message: "Amount {{request.amount | number}} above 1,000,000"
+ *   actions:                                             # free-form metadata
+ *     require_2fa: true
+ *     notify_team: "fraud-ops"
+ *
+ * Placeholders are field paths in {{ }}, optionally with a format:
+ *   {{path}}          value as is
+ *   {{path | number}} number with thousands separators
+ * A missing value renders as "unknown".
+ *
+ * AI-driven decisions get codes from the AI's risk factors, mapped by
+ * keyword in rules.yaml:
+ *   ai_config:
+ *     reason_codes:
+ *       AMOUNT_ANOMALY: ["amount", "spend"]
+ *
+ * Design Decisions:
+ * 1. Messages are compiled per rule at load time, like conditions
+ * 2. Only the winning rule's reason is returned - under weighted_score
+ *    (no single winner) the matching rule with the highest weight
+ * 3. Risk factors that match no keyword get AI_OTHER_RISK, as does a
+ *    decision without any risk factors, so every AI-driven decision
+ *    carries at least one code
+ *
+ * ============================================================================
+ */
+
+import { compilePath } from "./compiler.js";
+
+const CODE_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*([^}|\s]+)\s*(?:\|\s*([a-z]+)\s*)?\}\}/g;
+const MISSING_VALUE = "unknown";
+
+// Code for risk factors no keyword matched
+export const AI_FALLBACK_REASON_CODE = "AI_OTHER_RISK";
+
+const FORMATS = {
+  number: (value) =>
+    typeof value === "number" ? value.toLocaleString("en-US") : String(value),
+};
+
+/**
+ * Check whether a value is a non-array object
+ */
+function isMapping(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Validate a rule's reason_code / message / actions
+ */
+export function validateReason(rule, path, errors) {
+  if (rule.reason_code !== undefined && !CODE_PATTERN.test(String(rule.reason_code))) {
+    errors.push({
+      path: `${path}.reason_code`,
+      message: `reason_code must be UPPER_SNAKE_CASE, got "${rule.reason_code}"`,
+    });
+  }
+
+  if (rule.message !== undefined) {
+    if (typeof rule.message !== "string") {
+      errors.push({ path: `${path}.message`, message: "message must be a string" });
+    } else {
+      for (const [, , format] of rule.message.matchAll(PLACEHOLDER_PATTERN)) {
+        if (format !== undefined && !FORMATS[format]) {
+          errors.push({
+            path: `${path}.message`,
+            message: `Unknown format "${format}" (expected one of ${Object.keys(FORMATS).join(", ")})`,
+          });
+        }
+      }
+    }
+  }
+
+  if (rule.actions !== undefined && !isMapping(rule.actions)) {
+    errors.push({
+      path: `${path}.actions`,
+      message: "actions must be a mapping (e.g. require_2fa: true)",
+    });
+  }
+}
+
+/**
+ * Compile a message template into (input) => string
+ */
+export function compileMessage(template) {
+  const getters = new Map(
+    [...template.matchAll(PLACEHOLDER_PATTERN)].map(([, path]) => [path, compilePath(path)])
+  );
+
+  return (input) =>
+    template.replace(PLACEHOLDER_PATTERN, (text, path, format) => {
+      const value = getters.get(path)(input);
+      if (value === undefined || value === null) {
+        return MISSING_VALUE;
+      }
+      return (FORMATS[format] || String)(value);
+    });
+}
+
+/**
+ * Compile a rule's reason into (input) => { code, message, actions },
+ * or null when the rule declares none of them
+ */
+export function compileReason(rule) {
+  if (
+    rule.reason_code === undefined &&
+    rule.message === undefined &&
+    rule.actions === undefined
+  ) {
+    return null;
+  }
+
+  const render = rule.message !== undefined ? compileMessage(rule.message) : null;
+
+  return (input) => ({
+    code: rule.reason_code ?? null,
+    message: render ? render(input) : null,
+    actions: rule.actions || {},
+  });
+}
+
+/**
+ * Validate ai_config.reason_codes (code → list of keywords)
+ */
+export function validateAIReasonCodes(section, errors) {
+  const path = "ai_config.reason_codes";
+
+  if (!isMapping(section)) {
+    errors.push({ path, message: "reason_codes must be a mapping of code → keywords" });
+    return;
+  }
+
+  for (const [code, keywords] of Object.entries(section)) {
+    if (!CODE_PATTERN.test(code)) {
+      errors.push({
+        path: `${path}.${code}`,
+        message: `Reason code must be UPPER_SNAKE_CASE, got "${code}"`,
+      });
+    }
+    if (
+      !Array.isArray(keywords) ||
+      keywords.length === 0 ||
+      keywords.some((keyword) => typeof keyword !== "string" || keyword === "")
+    ) {
+      errors.push({
+        path: `${path}.${code}`,
+        message: "Keywords must be a non-empty list of strings",
+      });
+    }
+  }
+}
+
+/**
+ * Map AI risk factors to reason codes (unique, in risk factor order)
+ * A factor gets the first code with a keyword it contains (case-insensitive).
+ * Never empty: no risk factors at all yields the fallback code.
+ */
+export function deriveAIReasonCodes(riskFactors, mapping = {}) {
+  const entries = Object.entries(mapping).map(([code, keywords]) => [
+    code,
+    keywords.map((keyword) => keyword.toLowerCase()),
+  ]);
+  const codes = new Set();
+
+  for (const factor of riskFactors) {
+    const text = String(factor).toLowerCase();
+    const match = entries.find(([, keywords]) =>
+      keywords.some((keyword) => text.includes(keyword))
+    );
+    codes.add(match ? match[0] : AI_FALLBACK_REASON_CODE);
+  }
+
+  return codes.size > 0 ? [...codes] : [AI_FALLBACK_REASON_CODE];
+}
@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  validateReason,
+  compileMessage,
+  compileReason,
+  validateAIReasonCodes,
+  deriveAIReasonCodes,
+  AI_FALLBACK_REASON_CODE,
+} from "./reasons.js";
+
+const MAPPING = {
+  AMOUNT_ANOMALY: ["amount", "spend"],
+  NEW_ACCOUNT: ["new account", "recently created"],
+};
+
+test("messages render placeholders, formats and missing values", () => {
+  const render = compileMessage("Amount {{request.amount | number}} from {{ request.country }} via {{request.channel}}");
+  assert.equal(
+    render({ request: { amount: 1234567, country: "DE" } }),
+    "Amount 1,234,567 from DE via unknown"
+  );
+});
+
+test("compileReason returns null without any reason fields", () => {
+  assert.equal(compileReason({ id: "R1" }), null);
+
+  const reason = compileReason({ id: "R1", reason_code: "LIMIT_EXCEEDED", message: "Over {{request.amount}}" });
+  assert.deepEqual(reason({ request: { amount: 5 } }), {
+    code: "LIMIT_EXCEEDED",
+    message: "Over 5",
+    actions: {},
+  });
+});
+
+test("reason fields are validated", () => {
+  const errors = [];
+  validateReason(
+    { reason_code: "limit-exceeded", message: "{{request.amount | money}}", actions: ["notify"] },
+    "rules[0]",
+    errors
+  );
+  assert.deepEqual(errors.map((error) => error.path), [
+    "rules[0].reason_code",
+    "rules[0].message",
+    "rules[0].actions",
+  ]);
+});
+
+test("AI reason code mappings are validated", () => {
+  const errors = [];
+  validateAIReasonCodes({ lower_case: ["x"], EMPTY: [], NOT_STRINGS: [1] }, errors);
+  assert.deepEqual(errors.map((error) => error.path), [
+    "ai_config.reason_codes.lower_case",
+    "ai_config.reason_codes.EMPTY",
+    "ai_config.reason_codes.NOT_STRINGS",
+  ]);
+});
+
+test("risk factors map to unique codes in order, case-insensitively", () => {
+  assert.deepEqual(
+    deriveAIReasonCodes(
+      ["Unusual SPEND pattern", "Recently created account", "Amount far above average"],
+      MAPPING
+    ),
+    ["AMOUNT_ANOMALY", "NEW_ACCOUNT"]
+  );
+});
+
+test("unmatched risk factors and empty lists get the fallback code", () => {
+  assert.deepEqual(deriveAIReasonCodes(["odd device"], MAPPING), [AI_FALLBACK_REASON_CODE]);
+  assert.deepEqual(deriveAIReasonCodes(["odd device", "big amount"], MAPPING), [
+    AI_FALLBACK_REASON_CODE,
+    "AMOUNT_ANOMALY",
+  ]);
+  assert.deepEqual(deriveAIReasonCodes([], MAPPING), [AI_FALLBACK_REASON_CODE]);
+  assert.deepEqual(deriveAIReasonCodes([]), [AI_FALLBACK_REASON_CODE]);
+});
@@ -0,0 +1,330 @@
+/**
+ * ============================================================================
+ * RULES RESOLVER - Condition fragments ($ref) and included rules files
+ * ============================================================================
+ *
+ * A rules file may declare reusable condition fragments and reference them
+ * anywhere a condition node is expected:
+ *
+ *   conditions:
+ *     low_risk:
+ *       field: "signals.risk_score"
+ *       op: "lt"
+ *       value: 20
+ *     verified:
+ *       field: "signals.is_verified"
+ *       op: "eq"
+ *       value: true
+ *
+ *   rules:
+ *     - id: "ALLOW_001"
+ *       condition:
+ *         operator: "AND"
+ *         operands:
+ *           - $ref: "verified"
+ *           - $ref: "low_risk"
+ *
+ * and pull in rules owned elsewhere (paths relative to the including file):
+ *
+ *   include:
+ *     - "teams/payments.yaml"
+ *
+ * Included files may only contain rules, conditions and include. Their
+ * rules join the main list, their fragments the shared library.
+ *
+ * Design Decisions:
+ * 1. Everything is resolved before validation, so the engine, linter and
+ *    test runner see the same plain rule model as for a single file
+ * 2. Include and $ref cycles are errors, reported with the full cycle
+ * 3. Errors in included files are prefixed with the file, e.g.
+ *    "teams/payments.yaml: rules[0].condition.op"
+ * 4. A file may be included only once; fragment names are global
+ *
+ * ============================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import { parseRulesContent } from "./schema.js";
+
+// Key of a fragment reference node
+export const REF_KEY = "$ref";
+
+const INCLUDED_FILE_KEYS = ["rules", "conditions", "include"];
+
+/**
+ * Check whether a value is a non-array object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Prefix a path with the file it belongs to (main file: no prefix)
+ */
+function inFile(label, path) {
+  return label ? `${label}: ${path}` : path;
+}
+
+/**
+ * Merge the rules and fragments of all included files (recursively)
+ */
+function loadIncludes(config, { filePath, baseDir, readFile }) {
+  const mainPath = filePath ? path.resolve(filePath) : null;
+  const labelOf = (absolute) =>
+    absolute === mainPath ? path.basename(absolute) : path.relative(baseDir, absolute);
+
+  const errors = [];
+  const files = [];
+  const rules = [];
+  const rulePaths = [];
+  const ruleFiles = [];
+  const fragments = {};
+  const fragmentFiles = {};
+  const includedFrom = new Map();
+
+  const visit = (fileConfig, label, file, dir, stack) => {
+    if (fileConfig.conditions !== undefined) {
+      if (!isPlainObject(fileConfig.conditions)) {
+        errors.push({
+          path: inFile(label, "conditions"),
+          message: "conditions must be a mapping of name → condition",
+        });
+      } else {
+        for (const [name, fragment] of Object.entries(fileConfig.conditions)) {
+          if (Object.hasOwn(fragments, name)) {
+            errors.push({
+              path: inFile(label, `conditions.${name}`),
+              message: `Fragment "${name}" is already defined in ${fragmentFiles[name] || "the main rules file"}`,
+            });
+            continue;
+          }
+          fragments[name] = fragment;
+          fragmentFiles[name] = label;
+        }
+      }
+    }
+
+    if (Array.isArray(fileConfig.rules)) {
+      fileConfig.rules.forEach((rule, index) => {
+        rules.push(rule);
+        rulePaths.push(inFile(label, `rules[${index}]`));
+        ruleFiles.push(file);
+      });
+    } else if (label && fileConfig.rules !== undefined) {
+      errors.push({ path: inFile(label, "rules"), message: "rules must be an array" });
+    }
+
+    if (fileConfig.include === undefined) {
+      return;
+    }
+
+    const entries = Array.isArray(fileConfig.include)
+      ? fileConfig.include
+      : [fileConfig.include];
+    if (entries.some((entry) => typeof entry !== "string" || entry === "")) {
+      errors.push({
+        path: inFile(label, "include"),
+        message: "include must be a file path or a list of file paths",
+      });
+      return;
+    }
+
+    entries.forEach((entry, i) => {
+      const includePath = inFile(
+        label,
+        Array.isArray(fileConfig.include) ? `include[${i}]` : "include"
+      );
+      const absolute = path.resolve(dir, entry);
+
+      if (stack.includes(absolute)) {
+        const cycle = [...stack.slice(stack.indexOf(absolute)), absolute];
+        errors.push({
+          path: includePath,
+          message: `Include cycle: ${cycle.map(labelOf).join(" → ")}`,
+        });
+        return;
+      }
+      if (includedFrom.has(absolute)) {
+        errors.push({
+          path: includePath,
+          message: `"${entry}" is already included from ${includedFrom.get(absolute) || "the main rules file"}`,
+        });
+        return;
+      }
+      includedFrom.set(absolute, label);
+
+      let content;
+      try {
+        content = readFile(absolute);
+      } catch (error) {
+        errors.push({
+          path: includePath,
+          message: `Cannot read included file "${entry}": ${error.code || error.message}`,
+        });
+        return;
+      }
+      files.push({ path: absolute, content });
+
+      const childLabel = labelOf(absolute);
+      const parsed = parseRulesContent(content);
+      if (parsed.errors.length > 0) {
+        errors.push(
+          ...parsed.errors.map((error) => ({ ...error, path: inFile(childLabel, error.path) }))
+        );
+        return;
+      }
+      if (!isPlainObject(parsed.config)) {
+        errors.push({ path: inFile(childLabel, "$"), message: "Included file must be a YAML mapping" });
+        return;
+      }
+      for (const key of Object.keys(parsed.config)) {
+        if (!INCLUDED_FILE_KEYS.includes(key)) {
+          errors.push({
+            path: inFile(childLabel, key),
+            message: `Unknown key "${key}" (included files may only contain ${INCLUDED_FILE_KEYS.join(", ")})`,
+          });
+        }
+      }
+
+      visit(parsed.config, childLabel, absolute, path.dirname(absolute), [...stack, absolute]);
+    });
+  };
+
+  visit(config, null, mainPath, baseDir, mainPath ? [mainPath] : []);
+
+  return { errors, files, rules, rulePaths, ruleFiles, fragments, fragmentFiles };
+}
+
+/**
+ * Replace $ref nodes in a condition with the fragments they name
+ * `stack` holds the fragments being expanded, to detect cycles.
+ */
+function expandRefs(node, path, context, stack = []) {
+  if (!isPlainObject(node)) {
+    return node;
+  }
+
+  if (Object.hasOwn(node, REF_KEY)) {
+    const name = node[REF_KEY];
+
+    if (Object.keys(node).length > 1) {
+      context.errors.push({ path, message: `${REF_KEY} cannot be combined with other keys` });
+      return node;
+    }
+    if (typeof name !== "string" || !Object.hasOwn(context.fragments, name)) {
+      context.errors.push({
+        path: `${path}.${REF_KEY}`,
+        message: `Unknown condition fragment "${name}" (declare it under conditions:)`,
+      });
+      return node;
+    }
+    if (stack.includes(name)) {
+      context.errors.push({
+        path: `${path}.${REF_KEY}`,
+        message: `Fragment cycle: ${[...stack.slice(stack.indexOf(name)), name].join(" → ")}`,
+      });
+      return node;
+    }
+
+    context.used.add(name);
+    return expandRefs(
+      context.fragments[name],
+      inFile(context.fragmentFiles[name], `conditions.${name}`),
+      context,
+      [...stack, name]
+    );
+  }
+
+  if (Array.isArray(node.operands)) {
+    return {
+      ...node,
+      operands: node.operands.map((operand, i) =>
+        expandRefs(operand, `${path}.operands[${i}]`, context, stack)
+      ),
+    };
+  }
+
+  return node;
+}
+
+/**
+ * Resolve includes and fragments of a parsed rules config
+ * options.filePath - the rules file (includes resolve relative to it)
+ * options.readFile - injectable file reader (defaults to fs)
+ *
+ * Returns: { config, errors, warnings, files, rulePaths, ruleFiles, fragmentPaths }
+ *   files     - included files read ({ path, content }), for hashing
+ *               and history snapshots
+ *   rulePaths - per resolved rule, where it was declared
+ *               ("rules[2]" or "teams/payments.yaml: rules[0]")
+ *   ruleFiles - per resolved rule, the absolute path of the file that
+ *               declares it (null for the main file without a filePath)
+ *   fragmentPaths - per fragment, where it was declared
+ */
+export function resolveRulesConfig(config, options = {}) {
+  if (!isPlainObject(config)) {
+    return {
+      config,
+      errors: [],
+      warnings: [],
+      files: [],
+      rulePaths: [],
+      ruleFiles: [],
+      fragmentPaths: {},
+    };
+  }
+
+  const { filePath } = options;
+  const readFile = options.readFile || ((file) => fs.readFileSync(file, "utf8"));
+  const baseDir = filePath ? path.dirname(path.resolve(filePath)) : process.cwd();
+
+  const loaded = loadIncludes(config, { filePath, baseDir, readFile });
+  const context = {
+    fragments: loaded.fragments,
+    fragmentFiles: loaded.fragmentFiles,
+    errors: loaded.errors,
+    used: new Set(),
+  };
+
+  const fragmentPaths = {};
+  const conditions = {};
+  for (const name of Object.keys(loaded.fragments)) {
+    fragmentPaths[name] = inFile(loaded.fragmentFiles[name], `conditions.${name}`);
+    conditions[name] = expandRefs({ [REF_KEY]: name }, fragmentPaths[name], context);
+  }
+  context.used.clear();
+
+  // A main file without a rules array is left for the schema to report
+  const rules = Array.isArray(config.rules)
+    ? loaded.rules.map((rule, i) =>
+        isPlainObject(rule) && rule.condition !== undefined
+          ? { ...rule, condition: expandRefs(rule.condition, `${loaded.rulePaths[i]}.condition`, context) }
+          : rule
+      )
+    : config.rules;
+
+  const warnings = Object.keys(loaded.fragments)
+    .filter((name) => !context.used.has(name))
+    .map((name) => ({
+      path: fragmentPaths[name],
+      message: `Condition fragment "${name}" is never referenced`,
+    }));
+
+  // A broken fragment is reported once per use - keep the first
+  const seen = new Set();
+  const errors = context.errors.filter((error) => {
+    const key = `${error.path}\n${error.message}`;
+    return seen.has(key) ? false : seen.add(key);
+  });
+
+  return {
+    config: { ...config, rules, conditions },
+    errors,
+    warnings,
+    files: loaded.files,
+    rulePaths: loaded.rulePaths,
+    ruleFiles: loaded.ruleFiles,
+    fragmentPaths,
+  };
+}
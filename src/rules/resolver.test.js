@@ -0,0 +1,177 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { parse } from "yaml";
+import { resolveRulesConfig } from "./resolver.js";
+
+const MAIN = path.resolve("/rules/rules.yaml");
+
+/**
+ * Resolve a main config against an in-memory set of included files
+ * (paths relative to the main file's directory)
+ */
+function resolve(main, files = {}) {
+  const contents = new Map(
+    Object.entries(files).map(([file, content]) => [path.resolve("/rules", file), content])
+  );
+  return resolveRulesConfig(parse(main), {
+    filePath: MAIN,
+    readFile: (file) => {
+      if (!contents.has(file)) {
+        throw Object.assign(new Error(`no ${file}`), { code: "ENOENT" });
+      }
+      return contents.get(file);
+    },
+  });
+}
+
+test("fragments are expanded wherever they are referenced", () => {
+  const result = resolve(`
+conditions:
+  low_risk: { field: "signals.risk_score", op: "lt", value: 20 }
+  safe:
+    operator: "AND"
+    operands:
+      - $ref: "low_risk"
+      - { field: "signals.is_verified", op: "eq", value: true }
+rules:
+  - id: "R1"
+    condition: { $ref: "safe" }
+`);
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.warnings, []);
+  assert.deepEqual(result.config.rules[0].condition, {
+    operator: "AND",
+    operands: [
+      { field: "signals.risk_score", op: "lt", value: 20 },
+      { field: "signals.is_verified", op: "eq", value: true },
+    ],
+  });
+});
+
+test("unknown, combined and unused fragments are reported", () => {
+  const result = resolve(`
+conditions:
+  unused: { field: "a", op: "eq", value: 1 }
+  used: { field: "b", op: "eq", value: 1 }
+rules:
+  - id: "R1"
+    condition:
+      operator: "OR"
+      operands:
+        - $ref: "missing"
+        - { $ref: "used", field: "c" }
+`);
+  assert.deepEqual(result.errors.map((error) => error.path), [
+    "rules[0].condition.operands[0].$ref",
+    "rules[0].condition.operands[1]",
+  ]);
+  assert.deepEqual(result.warnings.map((warning) => warning.path), [
+    "conditions.unused",
+    "conditions.used",
+  ]);
+});
+
+test("fragment cycles are errors naming the cycle", () => {
+  const result = resolve(`
+conditions:
+  a: { operator: "NOT", operands: [{ $ref: "b" }] }
+  b: { operator: "NOT", operands: [{ $ref: "a" }] }
+rules:
+  - id: "R1"
+    condition: { $ref: "a" }
+`);
+  assert.ok(result.errors.length > 0);
+  assert.ok(
+    result.errors.some((error) => error.message === "Fragment cycle: a → b → a"),
+    JSON.stringify(result.errors)
+  );
+});
+
+test("included rules join the list and remember their file", () => {
+  const result = resolve(
+    `
+include:
+  - "teams/payments.yaml"
+rules:
+  - id: "MAIN_001"
+    condition: { $ref: "big" }
+`,
+    {
+      "teams/payments.yaml": `
+conditions:
+  big: { field: "request.amount", op: "gt", value: 1000 }
+include: "shared/base.yaml"
+rules:
+  - id: "PAY_001"
+    condition: { $ref: "big" }
+`,
+      "teams/shared/base.yaml": `
+rules:
+  - id: "BASE_001"
+    condition: { field: "request.type", op: "eq", value: "refund" }
+`,
+    }
+  );
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.config.rules.map((rule) => rule.id), ["MAIN_001", "PAY_001", "BASE_001"]);
+  assert.deepEqual(result.rulePaths, [
+    "rules[0]",
+    "teams/payments.yaml: rules[0]",
+    "teams/shared/base.yaml: rules[0]",
+  ]);
+  assert.deepEqual(result.ruleFiles, [
+    MAIN,
+    path.resolve("/rules/teams/payments.yaml"),
+    path.resolve("/rules/teams/shared/base.yaml"),
+  ]);
+  assert.deepEqual(result.files.map((file) => file.path), result.ruleFiles.slice(1));
+  assert.equal(result.config.rules[0].condition.field, "request.amount");
+});
+
+test("include cycles are errors naming the cycle", () => {
+  const result = resolve(`include: "a.yaml"\nrules: []\n`, {
+    "a.yaml": `include: "b.yaml"\n`,
+    "b.yaml": `include: "rules.yaml"\n`,
+  });
+  assert.deepEqual(result.errors, [
+    { path: "b.yaml: include", message: "Include cycle: rules.yaml → a.yaml → b.yaml → rules.yaml" },
+  ]);
+});
+
+test("a file included twice, a missing file and foreign keys are errors", () => {
+  const result = resolve(
+    `
+include: ["a.yaml", "b.yaml", "missing.yaml"]
+rules: []
+`,
+    {
+      "a.yaml": `include: "b.yaml"\n`,
+      "b.yaml": `strategy: "all_matches"\nrules: []\n`,
+    }
+  );
+  assert.deepEqual(result.errors.map((error) => error.path), [
+    "b.yaml: strategy",
+    "include[1]",
+    "include[2]",
+  ]);
+  assert.match(result.errors[1].message, /already included from a\.yaml/);
+  assert.match(result.errors[2].message, /ENOENT/);
+});
+
+test("fragment names are global across files", () => {
+  const result = resolve(
+    `
+include: "a.yaml"
+conditions:
+  dup: { field: "a", op: "eq", value: 1 }
+rules:
+  - id: "R1"
+    condition: { $ref: "dup" }
+`,
+    { "a.yaml": `conditions:\n  dup: { field: "b", op: "eq", value: 2 }\n` }
+  );
+  assert.deepEqual(result.errors, [
+    { path: "a.yaml: conditions.dup", message: 'Fragment "dup" is already defined in the main rules file' },
+  ]);
+});
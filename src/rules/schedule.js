@@ -0,0 +1,264 @@
+/**
+ * ============================================================================
+ * RULE SCHEDULES - Time-bounded and recurring rule activation
+ * ============================================================================
+ *
+ * A rule may declare:
+ *   active_from:  "2025-11-28T00:00:00Z"   # inactive before this instant
+ *   active_until: "2025-12-01T00:00:00Z"   # inactive from this instant on
+ *   schedule:
+ *     days: ["mon", "tue", "wed", "thu", "fri"]   # default: every day
+ *     hours: { start: "09:00", end: "17:00" }     # end exclusive; may wrap midnight
+ *     timezone: "Europe/Berlin"                   # default: UTC
+ *
+ * Design Decisions:
+ * 1. Activation is compiled per rule at load time; rules without any time
+ *    constraint get no check at all on the hot path
+ * 2. Timezones use Intl (no date library); days and hours are matched
+ *    against the local wall clock of the rule's timezone
+ * 3. The current time is always passed in, so callers can inject a clock
+ *
+ * ============================================================================
+ */
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const SCHEDULE_KEYS = ["days", "hours", "timezone"];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Formatters are expensive to build - one per timezone
+const formatterCache = new Map();
+
+/**
+ * Get (cached) formatter that yields weekday/hour/minute in a timezone
+ */
+function getFormatter(timezone) {
+  let formatter = formatterCache.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    });
+    formatterCache.set(timezone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Local weekday (0 = Sunday) and minute of day for an instant in a timezone
+ */
+function getLocalTime(date, timezone) {
+  const parts = {};
+  for (const part of getFormatter(timezone).formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  return {
+    day: DAY_NAMES.indexOf(parts.weekday.slice(0, 3).toLowerCase()),
+    minute: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+/**
+ * "HH:MM" → minute of day
+ */
+function parseTime(value) {
+  const [, hours, minutes] = TIME_PATTERN.exec(value);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Parse a timestamp (an ISO string, or a Date when built in code)
+ */
+function parseInstant(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Check whether a rule declares any time constraint
+ */
+export function hasActivation(rule) {
+  return (
+    rule.active_from !== undefined ||
+    rule.active_until !== undefined ||
+    rule.schedule !== undefined
+  );
+}
+
+/**
+ * Compile a rule's time constraints into a function (date) => boolean
+ * Returns null when the rule is always active.
+ */
+export function compileActivation(rule) {
+  if (!hasActivation(rule)) {
+    return null;
+  }
+
+  const from = rule.active_from !== undefined ? parseInstant(rule.active_from) : null;
+  const until =
+    rule.active_until !== undefined ? parseInstant(rule.active_until) : null;
+
+  const schedule = rule.schedule || null;
+  const timezone = schedule?.timezone || "UTC";
+  const days = schedule?.days
+    ? new Set(schedule.days.map((day) => DAY_NAMES.indexOf(day.toLowerCase())))
+    : null;
+  const start = schedule?.hours ? parseTime(schedule.hours.start) : null;
+  const end = schedule?.hours ? parseTime(schedule.hours.end) : null;
+
+  return (date) => {
+    if (from && date < from) return false;
+    if (until && date >= until) return false;
+    if (!schedule) return true;
+
+    const local = getLocalTime(date, timezone);
+    if (days && !days.has(local.day)) return false;
+    if (start === null) return true;
+
+    // Window that wraps midnight, e.g. 22:00-06:00
+    return start <= end
+      ? local.minute >= start && local.minute < end
+      : local.minute >= start || local.minute < end;
+  };
+}
+
+/**
+ * Find the next instant (at or after `now`) when a rule becomes active
+ * Returns null if it never will (active_until passed, or no match within
+ * the search horizon). Steps from window start to window start, so it
+ * takes a handful of iterations rather than scanning every minute.
+ */
+export function nextActivation(rule, now) {
+  const isActive = compileActivation(rule);
+  if (!isActive) {
+    return now;
+  }
+
+  const from = rule.active_from !== undefined ? parseInstant(rule.active_from) : null;
+  const until =
+    rule.active_until !== undefined ? parseInstant(rule.active_until) : null;
+  const timezone = rule.schedule?.timezone || "UTC";
+  const windowStart = rule.schedule?.hours ? parseTime(rule.schedule.hours.start) : 0;
+
+  let candidate = from && from > now ? new Date(from) : new Date(now);
+
+  // 8 days of window starts, plus slack for DST shifts
+  for (let i = 0; i < 16; i++) {
+    if (until && candidate >= until) {
+      return null;
+    }
+    if (isActive(candidate)) {
+      return candidate;
+    }
+
+    // Jump to the next local window start
+    const local = getLocalTime(candidate, timezone);
+    let minutes = (windowStart - local.minute + 1440) % 1440;
+    if (minutes === 0) {
+      minutes = 1440;
+    }
+    candidate = new Date(
+      Math.floor(candidate.getTime() / 60000) * 60000 + minutes * 60000
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Validate a rule's time constraints, reporting problems with YAML paths
+ */
+export function validateActivation(rule, path, errors) {
+  const from =
+    rule.active_from !== undefined ? parseInstant(rule.active_from) : undefined;
+  const until =
+    rule.active_until !== undefined ? parseInstant(rule.active_until) : undefined;
+
+  if (from === null) {
+    errors.push({
+      path: `${path}.active_from`,
+      message: `Invalid timestamp "${rule.active_from}"`,
+    });
+  }
+  if (until === null) {
+    errors.push({
+      path: `${path}.active_until`,
+      message: `Invalid timestamp "${rule.active_until}"`,
+    });
+  }
+  if (from && until && from >= until) {
+    errors.push({
+      path: `${path}.active_until`,
+      message: "active_until must be later than active_from",
+    });
+  }
+
+  const schedule = rule.schedule;
+  if (schedule === undefined) {
+    return;
+  }
+
+  const schedulePath = `${path}.schedule`;
+  if (schedule === null || typeof schedule !== "object" || Array.isArray(schedule)) {
+    errors.push({ path: schedulePath, message: "schedule must be a mapping" });
+    return;
+  }
+
+  for (const key of Object.keys(schedule)) {
+    if (!SCHEDULE_KEYS.includes(key)) {
+      errors.push({ path: `${schedulePath}.${key}`, message: `Unknown key "${key}"` });
+    }
+  }
+
+  if (schedule.days !== undefined) {
+    if (!Array.isArray(schedule.days) || schedule.days.length === 0) {
+      errors.push({
+        path: `${schedulePath}.days`,
+        message: "days must be a non-empty array",
+      });
+    } else {
+      schedule.days.forEach((day, i) => {
+        if (typeof day !== "string" || !DAY_NAMES.includes(day.toLowerCase())) {
+          errors.push({
+            path: `${schedulePath}.days[${i}]`,
+            message: `Invalid day "${day}" (expected one of ${DAY_NAMES.join(", ")})`,
+          });
+        }
+      });
+    }
+  }
+
+  if (schedule.hours !== undefined) {
+    for (const key of ["start", "end"]) {
+      const value = schedule.hours?.[key];
+      if (typeof value !== "string" || !TIME_PATTERN.test(value)) {
+        errors.push({
+          path: `${schedulePath}.hours.${key}`,
+          message: `Expected "HH:MM", got "${value}"`,
+        });
+      }
+    }
+    if (
+      TIME_PATTERN.test(schedule.hours?.start) &&
+      schedule.hours.start === schedule.hours.end
+    ) {
+      errors.push({
+        path: `${schedulePath}.hours`,
+        message: "start and end must differ",
+      });
+    }
+  }
+
+  if (schedule.timezone !== undefined) {
+    try {
+      getFormatter(schedule.timezone);
+    } catch {
+      errors.push({
+        path: `${schedulePath}.timezone`,
+        message: `Unknown timezone "${schedule.timezone}"`,
+      });
+    }
+  }
+}
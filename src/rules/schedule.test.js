@@ -0,0 +1,137 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compileActivation, nextActivation, validateActivation } from "./schedule.js";
+import { RuleEngine } from "./engine.js";
+
+const at = (iso) => new Date(iso);
+
+/**
+ * Activation check for a rule with only the given time constraints
+ */
+const activation = (constraints) => compileActivation({ id: "R", ...constraints });
+
+test("rules without time constraints compile to no check", () => {
+  assert.equal(compileActivation({ id: "R" }), null);
+  assert.deepEqual(nextActivation({ id: "R" }, at("2025-01-01T00:00:00Z")), at("2025-01-01T00:00:00Z"));
+});
+
+test("active_from is inclusive and active_until exclusive", () => {
+  const isActive = activation({
+    active_from: "2025-11-28T00:00:00Z",
+    active_until: "2025-12-01T00:00:00Z",
+  });
+  assert.equal(isActive(at("2025-11-27T23:59:59.999Z")), false);
+  assert.equal(isActive(at("2025-11-28T00:00:00Z")), true);
+  assert.equal(isActive(at("2025-11-30T23:59:59.999Z")), true);
+  assert.equal(isActive(at("2025-12-01T00:00:00Z")), false);
+});
+
+test("hours start inclusive, end exclusive", () => {
+  const isActive = activation({ schedule: { hours: { start: "09:00", end: "17:00" } } });
+  assert.equal(isActive(at("2025-06-02T08:59:00Z")), false);
+  assert.equal(isActive(at("2025-06-02T09:00:00Z")), true);
+  assert.equal(isActive(at("2025-06-02T16:59:00Z")), true);
+  assert.equal(isActive(at("2025-06-02T17:00:00Z")), false);
+});
+
+test("an overnight window wraps midnight", () => {
+  const isActive = activation({ schedule: { hours: { start: "22:00", end: "06:00" } } });
+  assert.equal(isActive(at("2025-06-02T21:59:00Z")), false);
+  assert.equal(isActive(at("2025-06-02T22:00:00Z")), true);
+  assert.equal(isActive(at("2025-06-02T23:59:00Z")), true);
+  assert.equal(isActive(at("2025-06-03T00:00:00Z")), true);
+  assert.equal(isActive(at("2025-06-03T05:59:00Z")), true);
+  assert.equal(isActive(at("2025-06-03T06:00:00Z")), false);
+  assert.equal(isActive(at("2025-06-03T12:00:00Z")), false);
+});
+
+test("days are matched on the local weekday of the timezone", () => {
+  // Friday 23:30 UTC is already Saturday in Tokyo
+  const weekdays = { days: ["mon", "tue", "wed", "thu", "fri"] };
+  const instant = at("2025-06-06T23:30:00Z");
+  assert.equal(activation({ schedule: weekdays })(instant), true);
+  assert.equal(activation({ schedule: { ...weekdays, timezone: "Asia/Tokyo" } })(instant), false);
+});
+
+test("local hours follow the DST shift", () => {
+  // Europe/Berlin moves from UTC+1 to UTC+2 on 2025-03-30
+  const isActive = activation({
+    schedule: { hours: { start: "09:00", end: "17:00" }, timezone: "Europe/Berlin" },
+  });
+  assert.equal(isActive(at("2025-03-29T07:59:00Z")), false);
+  assert.equal(isActive(at("2025-03-29T08:00:00Z")), true);
+  assert.equal(isActive(at("2025-03-29T15:59:00Z")), true);
+  assert.equal(isActive(at("2025-03-29T16:00:00Z")), false);
+
+  assert.equal(isActive(at("2025-03-31T06:59:00Z")), false);
+  assert.equal(isActive(at("2025-03-31T07:00:00Z")), true);
+  assert.equal(isActive(at("2025-03-31T14:59:00Z")), true);
+  assert.equal(isActive(at("2025-03-31T15:00:00Z")), false);
+});
+
+test("nextActivation finds the next window start across weekends and DST", () => {
+  const rule = {
+    id: "R",
+    schedule: {
+      days: ["mon", "tue", "wed", "thu", "fri"],
+      hours: { start: "09:00", end: "17:00" },
+      timezone: "Europe/Berlin",
+    },
+  };
+  // Friday after hours (CET) -> Monday 09:00 CEST
+  assert.deepEqual(nextActivation(rule, at("2025-03-28T18:00:00Z")), at("2025-03-31T07:00:00Z"));
+  // Inside the window it is now
+  assert.deepEqual(nextActivation(rule, at("2025-03-31T10:00:00Z")), at("2025-03-31T10:00:00Z"));
+});
+
+test("nextActivation honours active_from and returns null after active_until", () => {
+  const rule = {
+    id: "R",
+    active_from: "2025-11-28T00:00:00Z",
+    active_until: "2025-12-01T00:00:00Z",
+  };
+  assert.deepEqual(nextActivation(rule, at("2025-11-01T00:00:00Z")), at("2025-11-28T00:00:00Z"));
+  assert.equal(nextActivation(rule, at("2025-12-01T00:00:00Z")), null);
+});
+
+test("validation reports bad timestamps, days, hours and timezones", () => {
+  const errors = [];
+  validateActivation(
+    {
+      active_from: "2025-12-01T00:00:00Z",
+      active_until: "2025-11-01T00:00:00Z",
+      schedule: { days: ["funday"], hours: { start: "9:00", end: "17:00" }, timezone: "Mars/Base", extra: 1 },
+    },
+    "rules[0]",
+    errors
+  );
+  assert.deepEqual(errors.map((error) => error.path), [
+    "rules[0].active_until",
+    "rules[0].schedule.extra",
+    "rules[0].schedule.days[0]",
+    "rules[0].schedule.hours.start",
+    "rules[0].schedule.timezone",
+  ]);
+});
+
+test("the engine evaluates schedules against its injected clock", () => {
+  let now = at("2025-06-02T21:00:00Z");
+  const engine = new RuleEngine(null, { clock: () => now });
+  engine.loadContent(`
+rules:
+  - id: "NIGHT_001"
+    name: "Night review"
+    condition: { field: "request.amount", op: "gt", value: 100 }
+    outcome: "GREY_ZONE"
+    schedule:
+      hours: { start: "22:00", end: "06:00" }
+`);
+  const input = { request: { amount: 500 } };
+
+  assert.equal(engine.evaluate(input).matchedRule, null);
+  assert.equal(engine.getRules()[0].nextActivation, "2025-06-02T22:00:00.000Z");
+
+  now = at("2025-06-02T22:00:00Z");
+  assert.equal(engine.evaluate(input).matchedRule.id, "NIGHT_001");
+  assert.equal(engine.getRules()[0].active, true);
+});
@@ -0,0 +1,757 @@
+/**
+ * ============================================================================
+ * RULES SCHEMA - Strict validation of rules configuration
+ * ============================================================================
+ *
+ * Design Decisions:
+ * 1. Validate the whole file up front - a bad config is never partially applied
+ * 2. Collect every problem instead of stopping at the first one
+ * 3. Each problem carries its YAML path (e.g. rules[2].condition.operands[0].op)
+ * 4. Type checks are per operator, so "gte" with a string fails at load time
+ *    instead of silently never matching at evaluation time
+ * 5. Unknown keys are errors (with a "did you mean" hint), so a typo such as
+ *    `enabeld: false` cannot pass validation and be silently ignored
+ *
+ * ============================================================================
+ */
+
+import { parseDocument } from "yaml";
+import {
+  OUTCOMES,
+  STRATEGIES,
+  RULE_MODES,
+  COMPOUND_OPERATORS,
+  OPERATOR_NAMES,
+} from "./engine.js";
+import { validateActivation } from "./schedule.js";
+import { validateReason, validateAIReasonCodes } from "./reasons.js";
+import { validateOutcomeDefinitions } from "./outcomes.js";
+import { resolveRulesConfig } from "./resolver.js";
+import { toTimestamp, parseDuration, buildCidrMatcher } from "./operators.js";
+import { validateListDefinitions } from "./lists.js";
+import {
+  validateVelocityDefinitions,
+  VELOCITY_NAMESPACE,
+} from "../velocity/tracker.js";
+import { validateInputValidationConfig } from "../validation/inputSchemas.js";
+import {
+  validateFeatureDefinitions,
+  FEATURES_NAMESPACE,
+} from "../features/pipeline.js";
+
+// Operators whose value may be a field reference instead of a literal
+const REFERENCE_OPERATORS = [
+  "eq", "neq", "gt", "gte", "lt", "lte",
+  "contains", "starts_with", "ends_with", "eq_ci",
+  "before", "after",
+];
+
+// Keys allowed on a field reference value
+const FIELD_REFERENCE_KEYS = ["field", "ratio", "multiply", "add"];
+
+// Keys allowed at the top level of a (resolved) rules file
+const ROOT_KEYS = [
+  "version", "metadata", "strategy", "outcomes", "defaults", "ai_config",
+  "lists", "velocity", "features", "input_validation",
+  "conditions", "include", "rules", "tests",
+];
+
+// Keys allowed on a rule
+const RULE_KEYS = [
+  "id", "name", "description", "condition", "outcome",
+  "priority", "weight", "enabled", "hard", "mode",
+  "active_from", "active_until", "schedule",
+  "reason_code", "message", "actions",
+];
+
+// Keys allowed on condition nodes and under defaults
+const COMPOUND_KEYS = ["operator", "operands"];
+const COMPARISON_KEYS = ["field", "op", "value"];
+const DEFAULTS_KEYS = ["no_match_outcome", "score_thresholds"];
+
+/**
+ * Thrown by RuleEngine.loadRules when a config fails validation
+ */
+export class RuleValidationError extends Error {
+  constructor(errors) {
+    super(
+      `Invalid rules configuration (${errors.length} error${
+        errors.length === 1 ? "" : "s"
+      }): ${errors.map((e) => `${e.path}: ${e.message}`).join("; ")}`
+    );
+    this.name = "RuleValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check for a plain (non-array) object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Edit distance between two short strings (for "did you mean" hints)
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Report keys of an object that are not in the allowed list
+ */
+function validateKeys(object, allowed, path, errors) {
+  for (const key of Object.keys(object)) {
+    if (allowed.includes(key)) {
+      continue;
+    }
+    const suggestion = allowed.find((candidate) => editDistance(key, candidate) <= 2);
+    errors.push({
+      path: path ? `${path}.${key}` : key,
+      message: suggestion
+        ? `Unknown key "${key}" (did you mean "${suggestion}"?)`
+        : `Unknown key "${key}" (expected one of ${allowed.join(", ")})`,
+    });
+  }
+}
+
+/**
+ * Check for a value that can be compared with eq/neq
+ */
+function isScalar(value) {
+  return (
+    value === null ||
+    ["string", "number", "boolean"].includes(typeof value)
+  );
+}
+
+/**
+ * Validate a field reference used as a condition value
+ */
+function validateFieldReference(ref, path, errors) {
+  for (const key of Object.keys(ref)) {
+    if (!FIELD_REFERENCE_KEYS.includes(key)) {
+      errors.push({ path: `${path}.${key}`, message: `Unknown key "${key}"` });
+    }
+  }
+
+  if (!ref.field) {
+    errors.push({ path: `${path}.field`, message: "Field path is required" });
+  }
+
+  if (ref.ratio !== undefined && typeof ref.ratio !== "string") {
+    errors.push({
+      path: `${path}.ratio`,
+      message: "ratio must be a field path string",
+    });
+  }
+
+  for (const key of ["multiply", "add"]) {
+    if (ref[key] !== undefined && typeof ref[key] !== "number") {
+      errors.push({ path: `${path}.${key}`, message: `${key} must be a number` });
+    }
+  }
+}
+
+/**
+ * Check for a non-negative integer (length operators)
+ */
+function isLength(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// Expected value per operator: [description for errors, check]
+const VALUE_TYPES = {
+  eq: ["a scalar value", isScalar],
+  neq: ["a scalar value", isScalar],
+  gt: ["a number", (v) => typeof v === "number"],
+  gte: ["a number", (v) => typeof v === "number"],
+  lt: ["a number", (v) => typeof v === "number"],
+  lte: ["a number", (v) => typeof v === "number"],
+  in: ["an array", Array.isArray],
+  nin: ["an array", Array.isArray],
+  exists: ["a boolean", (v) => typeof v === "boolean"],
+  regex: ["a string", (v) => typeof v === "string"],
+  between: [
+    "a [min, max] pair of numbers",
+    (v) =>
+      Array.isArray(v) &&
+      v.length === 2 &&
+      v.every((n) => typeof n === "number"),
+  ],
+  contains: ["a scalar value", isScalar],
+  contains_any: ["an array", Array.isArray],
+  contains_all: ["an array", Array.isArray],
+  starts_with: ["a string", (v) => typeof v === "string"],
+  ends_with: ["a string", (v) => typeof v === "string"],
+  eq_ci: ["a string", (v) => typeof v === "string"],
+  length_eq: ["a non-negative integer", isLength],
+  length_gte: ["a non-negative integer", isLength],
+  length_lte: ["a non-negative integer", isLength],
+  before: [
+    "a date (ISO 8601 string or epoch milliseconds)",
+    (v) => toTimestamp(v) !== null,
+  ],
+  after: [
+    "a date (ISO 8601 string or epoch milliseconds)",
+    (v) => toTimestamp(v) !== null,
+  ],
+  within_last: [
+    'a duration like "30d" (units: ms, s, m, h, d, w)',
+    (v) => parseDuration(v) !== null,
+  ],
+  in_list: ["a list name", (v) => typeof v === "string" && v !== ""],
+  cidr_match: [
+    'a CIDR block like "10.0.0.0/8" or an array of them',
+    (v) =>
+      (typeof v === "string" || (Array.isArray(v) && v.length > 0)) &&
+      buildCidrMatcher(v) !== null,
+  ],
+};
+
+/**
+ * Validate the value of a simple comparison against its operator
+ */
+function validateComparisonValue(op, value, path, errors) {
+  const isReference = isPlainObject(value) && typeof value.field === "string";
+
+  if (isReference) {
+    if (!REFERENCE_OPERATORS.includes(op)) {
+      errors.push({
+        path,
+        message: `Operator "${op}" does not support field references`,
+      });
+      return;
+    }
+    validateFieldReference(value, path, errors);
+    return;
+  }
+
+  const [expected, check] = VALUE_TYPES[op];
+  if (!check(value)) {
+    errors.push({
+      path,
+      message: `Operator "${op}" requires ${expected}, got ${describeType(value)}`,
+    });
+    return;
+  }
+
+  if (op === "regex") {
+    try {
+      new RegExp(value);
+    } catch (error) {
+      errors.push({ path, message: `Invalid regex: ${error.message}` });
+    }
+  } else if (op === "between" && value[0] > value[1]) {
+    errors.push({
+      path,
+      message: `between range is empty: ${value[0]} is greater than ${value[1]}`,
+    });
+  }
+}
+
+/**
+ * Human-readable type name for error messages
+ */
+function describeType(value) {
+  if (value === undefined) return "nothing";
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Recursively validate a condition node
+ */
+export function validateCondition(condition, path, errors) {
+  if (!isPlainObject(condition)) {
+    errors.push({ path, message: "Condition must be an object" });
+    return;
+  }
+
+  // Compound node
+  if (condition.operator !== undefined) {
+    if (condition.field === undefined && condition.op === undefined) {
+      validateKeys(condition, COMPOUND_KEYS, path, errors);
+    }
+    if (!COMPOUND_OPERATORS.includes(condition.operator)) {
+      errors.push({
+        path: `${path}.operator`,
+        message: `Unknown compound operator "${condition.operator}" (expected ${COMPOUND_OPERATORS.join(", ")})`,
+      });
+    }
+
+    if (condition.field !== undefined || condition.op !== undefined) {
+      errors.push({
+        path,
+        message: "Compound condition cannot also declare field/op",
+      });
+    }
+
+    if (!Array.isArray(condition.operands) || condition.operands.length === 0) {
+      errors.push({
+        path: `${path}.operands`,
+        message: "operands must be a non-empty array",
+      });
+      return;
+    }
+
+    if (condition.operator === "NOT" && condition.operands.length !== 1) {
+      errors.push({
+        path: `${path}.operands`,
+        message: `NOT takes exactly one operand, got ${condition.operands.length}`,
+      });
+    }
+
+    condition.operands.forEach((operand, i) =>
+      validateCondition(operand, `${path}.operands[${i}]`, errors)
+    );
+    return;
+  }
+
+  // Simple comparison
+  validateKeys(condition, COMPARISON_KEYS, path, errors);
+  if (typeof condition.field !== "string" || condition.field === "") {
+    errors.push({
+      path: `${path}.field`,
+      message: "Field path is required",
+    });
+  }
+
+  if (!OPERATOR_NAMES.includes(condition.op)) {
+    errors.push({
+      path: `${path}.op`,
+      message: `Unknown operator "${condition.op}" (expected one of ${OPERATOR_NAMES.join(", ")})`,
+    });
+    return;
+  }
+
+  validateComparisonValue(condition.op, condition.value, `${path}.value`, errors);
+}
+
+/**
+ * Validate a single rule
+ */
+function validateRule(rule, path, outcomes, errors, warnings) {
+  if (!isPlainObject(rule)) {
+    errors.push({ path, message: "Rule must be an object" });
+    return;
+  }
+
+  validateKeys(rule, RULE_KEYS, path, errors);
+
+  if (typeof rule.id !== "string" || rule.id === "") {
+    errors.push({ path: `${path}.id`, message: "Rule id is required" });
+  }
+
+  if (!rule.name) {
+    warnings.push({ path: `${path}.name`, message: "Rule has no name" });
+  }
+
+  if (!outcomes.includes(rule.outcome)) {
+    errors.push({
+      path: `${path}.outcome`,
+      message: `Invalid outcome "${rule.outcome}" (expected one of ${outcomes.join(", ")})`,
+    });
+  }
+
+  for (const key of ["priority", "weight"]) {
+    if (rule[key] !== undefined && typeof rule[key] !== "number") {
+      errors.push({ path: `${path}.${key}`, message: `${key} must be a number` });
+    }
+  }
+
+  for (const key of ["enabled", "hard"]) {
+    if (rule[key] !== undefined && typeof rule[key] !== "boolean") {
+      errors.push({ path: `${path}.${key}`, message: `${key} must be a boolean` });
+    }
+  }
+
+  if (
+    rule.mode !== undefined &&
+    !Object.values(RULE_MODES).includes(rule.mode)
+  ) {
+    errors.push({
+      path: `${path}.mode`,
+      message: `Invalid mode "${rule.mode}" (expected one of ${Object.values(RULE_MODES).join(", ")})`,
+    });
+  }
+
+  validateActivation(rule, path, errors);
+  validateReason(rule, path, errors);
+
+  if (rule.condition === undefined) {
+    errors.push({ path: `${path}.condition`, message: "Condition is required" });
+  } else {
+    validateCondition(rule.condition, `${path}.condition`, errors);
+  }
+}
+
+/**
+ * Check that in_list conditions name a declared list, velocity.<name>
+ * fields a declared counter and derived.<name> fields a declared feature
+ */
+function validateReferences(condition, path, declared, errors) {
+  if (!isPlainObject(condition)) {
+    return;
+  }
+
+  if (Array.isArray(condition.operands)) {
+    condition.operands.forEach((operand, i) =>
+      validateReferences(operand, `${path}.operands[${i}]`, declared, errors)
+    );
+    return;
+  }
+
+  if (
+    condition.op === "in_list" &&
+    typeof condition.value === "string" &&
+    !declared.lists.includes(condition.value)
+  ) {
+    errors.push({
+      path: `${path}.value`,
+      message: `Unknown list "${condition.value}" (declare it under lists:)`,
+    });
+  }
+
+  const prefix = `${VELOCITY_NAMESPACE}.`;
+  if (typeof condition.field === "string" && condition.field.startsWith(prefix)) {
+    const name = condition.field.slice(prefix.length);
+    if (!declared.counters.includes(name)) {
+      errors.push({
+        path: `${path}.field`,
+        message: `Unknown velocity counter "${name}" (declare it under velocity:)`,
+      });
+    }
+  }
+
+  const featurePrefix = `${FEATURES_NAMESPACE}.`;
+  if (typeof condition.field === "string" && condition.field.startsWith(featurePrefix)) {
+    const name = condition.field.slice(featurePrefix.length);
+    if (!declared.features.includes(name)) {
+      errors.push({
+        path: `${path}.field`,
+        message: `Unknown feature "${name}" (declare it under features:)`,
+      });
+    }
+  }
+}
+
+/**
+ * Validate the embedded test cases (tests: section)
+ * Each case: { name?, input, expect: { outcome, rule_id? } }
+ * rule_id: null means "no rule matches"; omitted means "don't care".
+ */
+function validateTests(tests, rules, outcomes, errors) {
+  if (!Array.isArray(tests)) {
+    errors.push({ path: "tests", message: "tests must be an array" });
+    return;
+  }
+
+  const ruleIds = new Set(
+    Array.isArray(rules) ? rules.map((rule) => rule?.id) : []
+  );
+
+  tests.forEach((test, i) => {
+    const path = `tests[${i}]`;
+    if (!isPlainObject(test)) {
+      errors.push({ path, message: "Test case must be an object" });
+      return;
+    }
+
+    if (!isPlainObject(test.input)) {
+      errors.push({ path: `${path}.input`, message: "input must be an object" });
+    }
+
+    if (!isPlainObject(test.expect)) {
+      errors.push({ path: `${path}.expect`, message: "expect must be an object" });
+      return;
+    }
+
+    if (!outcomes.includes(test.expect.outcome)) {
+      errors.push({
+        path: `${path}.expect.outcome`,
+        message: `Invalid outcome "${test.expect.outcome}" (expected one of ${outcomes.join(", ")})`,
+      });
+    }
+
+    const ruleId = test.expect.rule_id;
+    if (ruleId !== undefined && ruleId !== null && !ruleIds.has(ruleId)) {
+      errors.push({
+        path: `${path}.expect.rule_id`,
+        message: `Unknown rule id "${ruleId}"`,
+      });
+    }
+  });
+}
+
+/**
+ * Validate a parsed rules configuration object
+ * Returns: { valid, errors: [{ path, message }], warnings: [...] }
+ */
+export function validateRulesConfig(config) {
+  const errors = [];
+  const warnings = [];
+
+  if (!isPlainObject(config)) {
+    errors.push({ path: "$", message: "Rules file must be a YAML mapping" });
+    return { valid: false, errors, warnings };
+  }
+
+  validateKeys(config, ROOT_KEYS, "", errors);
+
+  const strategy = config.strategy ?? STRATEGIES.FIRST_MATCH;
+  if (!Object.values(STRATEGIES).includes(strategy)) {
+    errors.push({
+      path: "strategy",
+      message: `Unknown evaluation strategy "${strategy}" (expected one of ${Object.values(STRATEGIES).join(", ")})`,
+    });
+  }
+
+  // Outcome taxonomy - rules, tests and defaults are checked against it
+  if (config.outcomes !== undefined) {
+    validateOutcomeDefinitions(config.outcomes, errors);
+  }
+  const outcomes = isPlainObject(config.outcomes)
+    ? Object.keys(config.outcomes)
+    : Object.values(OUTCOMES);
+
+  // Rules
+  if (!Array.isArray(config.rules)) {
+    errors.push({ path: "rules", message: "rules must be an array" });
+  } else {
+    const seenIds = new Map();
+    config.rules.forEach((rule, i) => {
+      const path = `rules[${i}]`;
+      validateRule(rule, path, outcomes, errors, warnings);
+
+      if (rule?.id) {
+        if (seenIds.has(rule.id)) {
+          errors.push({
+            path: `${path}.id`,
+            message: `Duplicate rule id "${rule.id}" (first defined at ${seenIds.get(rule.id)})`,
+          });
+        } else {
+          seenIds.set(rule.id, path);
+        }
+      }
+    });
+  }
+
+  // Defaults
+  const defaults = config.defaults;
+  if (defaults !== undefined) {
+    if (!isPlainObject(defaults)) {
+      errors.push({ path: "defaults", message: "defaults must be a mapping" });
+    } else {
+      validateKeys(defaults, DEFAULTS_KEYS, "defaults", errors);
+      if (
+        defaults.no_match_outcome !== undefined &&
+        !outcomes.includes(defaults.no_match_outcome)
+      ) {
+        errors.push({
+          path: "defaults.no_match_outcome",
+          message: `Invalid outcome "${defaults.no_match_outcome}"`,
+        });
+      }
+    }
+  }
+  if (defaults?.no_match_outcome === undefined && !outcomes.includes(OUTCOMES.GREY_ZONE)) {
+    errors.push({
+      path: "defaults.no_match_outcome",
+      message: `Required when the outcomes do not include ${OUTCOMES.GREY_ZONE}`,
+    });
+  }
+
+  if (strategy === STRATEGIES.WEIGHTED_SCORE) {
+    // Scores map onto the built-in outcomes
+    for (const outcome of Object.values(OUTCOMES)) {
+      if (!outcomes.includes(outcome)) {
+        errors.push({
+          path: "outcomes",
+          message: `weighted_score strategy requires the ${outcome} outcome`,
+        });
+      }
+    }
+
+    const thresholds = defaults?.score_thresholds;
+    for (const key of ["safe_deny", "safe_allow"]) {
+      if (typeof thresholds?.[key] !== "number") {
+        errors.push({
+          path: `defaults.score_thresholds.${key}`,
+          message: "weighted_score strategy requires a numeric threshold",
+        });
+      }
+    }
+    if (
+      typeof thresholds?.safe_deny === "number" &&
+      typeof thresholds?.safe_allow === "number" &&
+      thresholds.safe_allow >= thresholds.safe_deny
+    ) {
+      errors.push({
+        path: "defaults.score_thresholds",
+        message: "safe_allow must be lower than safe_deny",
+      });
+    }
+  }
+
+  // Named lists, velocity counters, derived features and the conditions
+  // that use them
+  if (config.lists !== undefined) {
+    validateListDefinitions(config.lists, errors);
+  }
+  if (config.velocity !== undefined) {
+    validateVelocityDefinitions(config.velocity, errors);
+  }
+  if (config.features !== undefined) {
+    validateFeatureDefinitions(config.features, errors);
+  }
+  if (Array.isArray(config.rules)) {
+    const declared = {
+      lists: isPlainObject(config.lists) ? Object.keys(config.lists) : [],
+      counters: isPlainObject(config.velocity) ? Object.keys(config.velocity) : [],
+      features: isPlainObject(config.features) ? Object.keys(config.features) : [],
+    };
+    config.rules.forEach((rule, i) => {
+      if (isPlainObject(rule)) {
+        validateReferences(rule.condition, `rules[${i}].condition`, declared, errors);
+      }
+    });
+  }
+
+  // Per-request-type input schemas
+  if (config.input_validation !== undefined) {
+    validateInputValidationConfig(config.input_validation, errors);
+  }
+
+  // Embedded test cases
+  if (config.tests !== undefined) {
+    validateTests(config.tests, config.rules, outcomes, errors);
+  }
+
+  // AI config
+  const threshold = config.ai_config?.confidence_threshold;
+  if (
+    threshold !== undefined &&
+    (typeof threshold !== "number" || threshold < 0 || threshold > 1)
+  ) {
+    errors.push({
+      path: "ai_config.confidence_threshold",
+      message: "confidence_threshold must be a number between 0 and 1",
+    });
+  }
+  if (config.ai_config?.reason_codes !== undefined) {
+    validateAIReasonCodes(config.ai_config.reason_codes, errors);
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Parse raw YAML content into a config object
+ * YAML syntax errors are reported in the same { path, message } shape,
+ * with the line/column as the path. Uses the same parser (and YAML 1.2
+ * semantics) as the comment-preserving rule store.
+ */
+export function parseRulesContent(content) {
+  const doc = parseDocument(content);
+  if (doc.errors.length === 0) {
+    return { config: doc.toJS(), errors: [] };
+  }
+
+  return {
+    config: null,
+    errors: doc.errors.map((error) => {
+      const position = error.linePos?.[0];
+      return {
+        path: position ? `line ${position.line}, column ${position.col}` : "$",
+        // The message repeats the position and a source excerpt
+        message: error.message.split(" at line ")[0],
+      };
+    }),
+  };
+}
+
+/**
+ * Point "rules[N]" paths of a resolved config at the file and position the
+ * rule was declared at (see resolver.js)
+ */
+function relabelRulePaths(entries, rulePaths) {
+  const relabel = (text) =>
+    text.replace(/rules\[(\d+)\]/g, (match, index) => rulePaths[index] ?? match);
+
+  return entries.map((entry) => ({
+    ...entry,
+    path: relabel(entry.path),
+    message: relabel(entry.message),
+  }));
+}
+
+/**
+ * Parse, resolve (includes and $ref fragments) and validate raw YAML
+ * content in one step
+ * options.filePath - the rules file; included files resolve relative to it
+ * options.readFile - reader for included files (defaults to the disk)
+ *
+ * The returned config is the resolved one; `files` lists the included
+ * files that were read.
+ */
+export function validateRulesContent(content, options = {}) {
+  const { config, errors } = parseRulesContent(content);
+  if (errors.length > 0) {
+    return { valid: false, config: null, errors, warnings: [], files: [] };
+  }
+
+  const resolved = resolveRulesConfig(config, options);
+  if (resolved.errors.length > 0) {
+    return {
+      valid: false,
+      config: null,
+      errors: resolved.errors,
+      warnings: resolved.warnings,
+      files: resolved.files,
+    };
+  }
+
+  // Fragments are checked where they are declared, not at every use
+  const fragmentErrors = [];
+  for (const [name, fragment] of Object.entries(resolved.config.conditions)) {
+    validateCondition(fragment, resolved.fragmentPaths[name], fragmentErrors);
+  }
+  if (fragmentErrors.length > 0) {
+    return {
+      valid: false,
+      config: null,
+      errors: fragmentErrors,
+      warnings: resolved.warnings,
+      files: resolved.files,
+    };
+  }
+
+  const result = validateRulesConfig(resolved.config);
+  return {
+    ...result,
+    config: resolved.config,
+    errors: relabelRulePaths(result.errors, resolved.rulePaths),
+    warnings: [
+      ...resolved.warnings,
+      ...relabelRulePaths(result.warnings, resolved.rulePaths),
+    ],
+    files: resolved.files,
+    rulePaths: resolved.rulePaths,
+    ruleFiles: resolved.ruleFiles,
+  };
+}
@@ -0,0 +1,136 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { fileURLToPath } from "url";
+import {
+  validateRulesConfig,
+  validateRulesContent,
+  parseRulesContent,
+  RuleValidationError,
+} from "./schema.js";
+
+const RULES_PATH = fileURLToPath(new URL("../../config/rules.yaml", import.meta.url));
+
+const rule = (overrides = {}) => ({
+  id: "R1",
+  name: "Rule",
+  condition: { field: "request.amount", op: "gt", value: 100 },
+  outcome: "SAFE_DENY",
+  ...overrides,
+});
+
+const paths = (result) => result.errors.map((error) => error.path);
+
+test("the shipped rules file is valid", () => {
+  const content = fs.readFileSync(RULES_PATH, "utf8");
+  const result = validateRulesContent(content, { filePath: RULES_PATH });
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.valid, true);
+});
+
+test("a minimal config is valid", () => {
+  const result = validateRulesConfig({ rules: [rule()] });
+  assert.equal(result.valid, true);
+});
+
+test("unknown rule keys are errors with a suggestion", () => {
+  const result = validateRulesConfig({ rules: [rule({ enabeld: false, outcom: "SAFE_DENY" })] });
+  assert.equal(result.valid, false);
+  const typo = result.errors.find((error) => error.path === "rules[0].enabeld");
+  assert.match(typo.message, /did you mean "enabled"/);
+  assert.ok(paths(result).includes("rules[0].outcom"));
+});
+
+test("unknown top-level, defaults and condition keys are errors", () => {
+  const result = validateRulesConfig({
+    strategey: "first_match",
+    defaults: { no_match_outcom: "GREY_ZONE" },
+    rules: [
+      rule({
+        condition: {
+          operator: "AND",
+          operands: [{ field: "request.amount", op: "gt", value: 1, vlaue: 2 }],
+          extra: true,
+        },
+      }),
+    ],
+  });
+  assert.deepEqual(paths(result).sort(), [
+    "defaults.no_match_outcom",
+    "rules[0].condition.extra",
+    "rules[0].condition.operands[0].vlaue",
+    "strategey",
+  ]);
+  assert.match(result.errors.find((e) => e.path === "strategey").message, /did you mean "strategy"/);
+});
+
+test("operator values are type-checked per operator", () => {
+  const result = validateRulesConfig({
+    rules: [
+      rule({ condition: { field: "request.amount", op: "gte", value: "100" } }),
+      rule({ id: "R2", condition: { field: "request.amount", op: "between", value: [10] } }),
+      rule({ id: "R3", condition: { field: "request.amount", op: "nope", value: 1 } }),
+    ],
+  });
+  assert.deepEqual(paths(result), [
+    "rules[0].condition.value",
+    "rules[1].condition.value",
+    "rules[2].condition.op",
+  ]);
+});
+
+test("structural errors are all collected", () => {
+  const result = validateRulesConfig({
+    strategy: "random",
+    rules: [
+      rule({ outcome: "MAYBE" }),
+      rule({ condition: { operator: "NOT", operands: [] } }),
+      rule({ id: "R2", priority: "high", condition: undefined }),
+    ],
+  });
+  assert.deepEqual(paths(result), [
+    "strategy",
+    "rules[0].outcome",
+    "rules[1].condition.operands",
+    "rules[1].id",
+    "rules[2].priority",
+    "rules[2].condition",
+  ]);
+});
+
+test("a missing name is a warning, not an error", () => {
+  const result = validateRulesConfig({ rules: [rule({ name: undefined })] });
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.warnings.map((w) => w.path), ["rules[0].name"]);
+});
+
+test("weighted_score requires ordered numeric thresholds", () => {
+  const result = validateRulesConfig({
+    strategy: "weighted_score",
+    defaults: { score_thresholds: { safe_deny: 10, safe_allow: 20 } },
+    rules: [rule()],
+  });
+  assert.deepEqual(paths(result), ["defaults.score_thresholds"]);
+});
+
+test("embedded tests must reference known outcomes and rules", () => {
+  const result = validateRulesConfig({
+    rules: [rule()],
+    tests: [{ input: {}, expect: { outcome: "NOPE", rule_id: "MISSING" } }],
+  });
+  assert.deepEqual(paths(result), ["tests[0].expect.outcome", "tests[0].expect.rule_id"]);
+});
+
+test("YAML syntax errors carry line and column", () => {
+  const { errors } = parseRulesContent("rules:\n  - id: [unclosed\n");
+  assert.match(errors[0].path, /^line \d+, column \d+$/);
+});
+
+test("RuleValidationError summarizes every error", () => {
+  const error = new RuleValidationError([
+    { path: "a", message: "first" },
+    { path: "b", message: "second" },
+  ]);
+  assert.equal(error.message, "Invalid rules configuration (2 errors): a: first; b: second");
+  assert.equal(error.errors.length, 2);
+});
@@ -0,0 +1,328 @@
+/**
+ * ============================================================================
+ * RULE STATS - Per-rule match counts and decision shares over time
+ * ============================================================================
+ *
+ * Answers questions Prometheus counters can't without a query language at
+ * hand: "which rules haven't fired in 30 days?", "what share of ALLOW
+ * decisions comes from ALLOW_003?".
+ *
+ * Design Decisions:
+ * 1. Counts are kept in hourly buckets, so any window (last 24h, 30d,
+ *    since/until) is a sum over buckets - windows are hour-granular
+ * 2. Buckets older than the retention period are dropped; last-matched
+ *    timestamps are kept for as long as the rule id is known
+ * 3. A rule "matches" whenever its condition held, whether or not it
+ *    decided: under first_match the rules after the winner are still
+ *    checked for stats (engine `collectMatches`). It "produced" a decision
+ *    only when it was the deciding rule and the AI did not replace its
+ *    outcome.
+ * 4. Match rates are per decision for live and shadow rules alike (both
+ *    are evaluated on every request), but shadow rules are reported in
+ *    their own list so they are not read as part of the live ruleset
+ * 5. Optional persistence to a JSON file (tmp + rename, like history.js),
+ *    flushed periodically and on shutdown rather than on every decision
+ * 6. Windows given as a duration end at the stats clock's now
+ * 7. Rules are tracked from the first ruleset they appear in, so a rule
+ *    added yesterday is not mistaken for one that never fires
+ *
+ * ============================================================================
+ */
+
+import fs from "fs";
+import { RULE_MODES } from "./engine.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Share of decisions below which a matching rule is flagged as rare
+export const DEFAULT_RARE_RATE = 0.001;
+
+// Flags attached to rules in the report
+export const RULE_FLAGS = {
+  NEVER_MATCHED: "never_matched",
+  NO_MATCHES_IN_WINDOW: "no_matches_in_window",
+  RARELY_MATCHED: "rarely_matched",
+};
+
+/**
+ * Add n to a counter in a plain-object tally
+ */
+function increment(tally, key, n = 1) {
+  tally[key] = (tally[key] || 0) + n;
+}
+
+/**
+ * RuleStats class - records rule matches per hour and reports on them
+ */
+export class RuleStats {
+  constructor(config = {}) {
+    this.persistPath = config.persistPath || null;
+    this.retentionMs = (config.retentionDays || 90) * DAY_MS;
+    this.clock = config.clock || (() => new Date());
+
+    // rule id → { trackedSince, lastMatchedAt } (ISO strings)
+    this.rules = new Map();
+    // hour start (epoch ms) → { decisions: {decision: n}, rules: {id: {matches, decisions}} }
+    this.buckets = new Map();
+    this.dirty = false;
+    this.timer = null;
+
+    if (this.persistPath) {
+      this.restore();
+      this.timer = setInterval(() => this.persist(), config.flushIntervalMs || 30000);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Start tracking the rules of a newly activated ruleset
+   */
+  trackRules(ids) {
+    const now = this.clock().toISOString();
+    for (const id of ids) {
+      if (!this.rules.has(id)) {
+        this.rules.set(id, { trackedSince: now, lastMatchedAt: null });
+        this.dirty = true;
+      }
+    }
+  }
+
+  /**
+   * Record one decision
+   * matchedRuleIds - live rules whose condition held (engine collectMatches)
+   * shadowResults  - from the rule engine result
+   * decision       - the final decision (ALLOW, DENY, ...)
+   * decidingRuleId - rule that produced the decision, or null
+   */
+  record({ matchedRuleIds, shadowResults, decision, decidingRuleId }) {
+    const now = this.clock();
+    const bucket = this.bucketAt(now.getTime());
+    increment(bucket.decisions, decision);
+
+    const matchedIds = [
+      ...(matchedRuleIds || []),
+      ...(shadowResults || [])
+        .filter((shadow) => shadow.matched)
+        .map((shadow) => shadow.ruleId),
+    ];
+
+    for (const id of matchedIds) {
+      this.countsFor(bucket, id).matches++;
+      this.metaFor(id).lastMatchedAt = now.toISOString();
+    }
+
+    if (decidingRuleId) {
+      increment(this.countsFor(bucket, decidingRuleId).decisions, decision);
+    }
+
+    this.dirty = true;
+  }
+
+  /**
+   * Bucket for the hour containing `time` (created on demand)
+   * Creating a bucket also drops those past the retention period.
+   */
+  bucketAt(time) {
+    const hour = time - (time % HOUR_MS);
+    let bucket = this.buckets.get(hour);
+
+    if (!bucket) {
+      bucket = { decisions: {}, rules: {} };
+      this.buckets.set(hour, bucket);
+      for (const start of this.buckets.keys()) {
+        if (start < hour - this.retentionMs) {
+          this.buckets.delete(start);
+        }
+      }
+    }
+
+    return bucket;
+  }
+
+  /**
+   * A rule's counters within a bucket
+   */
+  countsFor(bucket, id) {
+    bucket.rules[id] ||= { matches: 0, decisions: {} };
+    return bucket.rules[id];
+  }
+
+  /**
+   * A rule's all-time metadata (tracked from now if unknown)
+   */
+  metaFor(id) {
+    if (!this.rules.has(id)) {
+      this.trackRules([id]);
+    }
+    return this.rules.get(id);
+  }
+
+  /**
+   * Build the stats report for a time window
+   * rules    - the active rules ({ id, name, outcome, mode, enabled })
+   * window   - window length in ms, ending now (instead of since/until)
+   * since    - window start (Date, default: oldest retained bucket)
+   * until    - window end (Date, default: now)
+   * rareRate - matching rules whose match rate is below this are flagged
+   */
+  report({ rules, window = null, since = null, until = null, rareRate = DEFAULT_RARE_RATE }) {
+    if (window !== null) {
+      until = this.clock();
+      since = new Date(until.getTime() - window);
+    }
+
+    const from = since ? since.getTime() : -Infinity;
+    const to = until ? until.getTime() : Infinity;
+
+    const decisions = {};
+    const perRule = {};
+    let oldestBucket = null;
+
+    for (const [hour, bucket] of this.buckets) {
+      // A bucket counts if its hour overlaps the window
+      if (hour + HOUR_MS <= from || hour >= to) {
+        continue;
+      }
+      oldestBucket = Math.min(oldestBucket ?? hour, hour);
+
+      for (const [decision, count] of Object.entries(bucket.decisions)) {
+        increment(decisions, decision, count);
+      }
+      for (const [id, counts] of Object.entries(bucket.rules)) {
+        perRule[id] ||= { matches: 0, decisions: {} };
+        perRule[id].matches += counts.matches;
+        for (const [decision, count] of Object.entries(counts.decisions)) {
+          increment(perRule[id].decisions, decision, count);
+        }
+      }
+    }
+
+    const totalDecisions = Object.values(decisions).reduce((sum, n) => sum + n, 0);
+
+    const ruleReports = rules.map((rule) => {
+      const counts = perRule[rule.id] || { matches: 0, decisions: {} };
+      const meta = this.rules.get(rule.id) || { trackedSince: null, lastMatchedAt: null };
+      const matchRate = totalDecisions ? counts.matches / totalDecisions : null;
+
+      const flags = [];
+      if (!meta.lastMatchedAt) {
+        flags.push(RULE_FLAGS.NEVER_MATCHED);
+      } else if (counts.matches === 0) {
+        flags.push(RULE_FLAGS.NO_MATCHES_IN_WINDOW);
+      } else if (matchRate !== null && matchRate < rareRate) {
+        flags.push(RULE_FLAGS.RARELY_MATCHED);
+      }
+
+      return {
+        id: rule.id,
+        name: rule.name,
+        outcome: rule.outcome,
+        mode: rule.mode,
+        enabled: rule.enabled,
+        matches: counts.matches,
+        matchRate,
+        lastMatchedAt: meta.lastMatchedAt,
+        trackedSince: meta.trackedSince,
+        // Share of each final decision this rule produced
+        decisions: Object.fromEntries(
+          Object.entries(counts.decisions).map(([decision, count]) => [
+            decision,
+            { count, share: count / decisions[decision] },
+          ])
+        ),
+        flags,
+      };
+    });
+
+    const flagged = (flag) =>
+      ruleReports.filter((rule) => rule.flags.includes(flag)).map((rule) => rule.id);
+
+    // Without a start, the window begins at the oldest bucket with data
+    const windowStart = since || (oldestBucket !== null ? new Date(oldestBucket) : null);
+
+    const isShadow = (rule) => rule.mode === RULE_MODES.SHADOW;
+
+    return {
+      window: {
+        since: windowStart ? windowStart.toISOString() : null,
+        until: (until || this.clock()).toISOString(),
+      },
+      totals: { decisions: totalDecisions, byDecision: decisions },
+      // matchRate = decisions in which the rule's condition held / all
+      // decisions; shadow rules never decide, so they are listed apart
+      rules: ruleReports.filter((rule) => !isShadow(rule)),
+      shadowRules: ruleReports.filter(isShadow),
+      flagged: {
+        neverMatched: flagged(RULE_FLAGS.NEVER_MATCHED),
+        noMatchesInWindow: flagged(RULE_FLAGS.NO_MATCHES_IN_WINDOW),
+        rarelyMatched: flagged(RULE_FLAGS.RARELY_MATCHED),
+      },
+      rareRate,
+      retentionDays: this.retentionMs / DAY_MS,
+    };
+  }
+
+  /**
+   * Write stats to disk if anything changed (tmp file + rename)
+   */
+  persist() {
+    if (!this.persistPath || !this.dirty) {
+      return;
+    }
+
+    try {
+      const tmpPath = `${this.persistPath}.tmp`;
+      fs.writeFileSync(
+        tmpPath,
+        JSON.stringify({
+          rules: Object.fromEntries(this.rules),
+          buckets: [...this.buckets].map(([hour, bucket]) => ({
+            hour: new Date(hour).toISOString(),
+            ...bucket,
+          })),
+        })
+      );
+      fs.renameSync(tmpPath, this.persistPath);
+      this.dirty = false;
+    } catch (error) {
+      console.error(`[RuleStats] Failed to persist stats: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load stats previously written by persist()
+   */
+  restore() {
+    if (!fs.existsSync(this.persistPath)) {
+      return;
+    }
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.persistPath, "utf8"));
+      const cutoff = this.clock().getTime() - this.retentionMs;
+
+      this.rules = new Map(Object.entries(saved.rules || {}));
+      this.buckets = new Map(
+        (saved.buckets || [])
+          .map(({ hour, ...bucket }) => [Date.parse(hour), bucket])
+          .filter(([hour]) => hour >= cutoff - HOUR_MS)
+      );
+
+      console.log(
+        `[RuleStats] Restored stats for ${this.rules.size} rules (${this.buckets.size} hourly buckets) from ${this.persistPath}`
+      );
+    } catch (error) {
+      console.error(`[RuleStats] Failed to restore stats: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop the flush timer and write pending stats - called on shutdown
+   */
+  close() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.persist();
+  }
+}
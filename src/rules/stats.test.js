@@ -0,0 +1,163 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { RuleStats } from "./stats.js";
+import { RuleEngine } from "./engine.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const RULES = [
+  { id: "DENY_001", name: "Big", outcome: "SAFE_DENY", mode: "live", enabled: true },
+  { id: "ALLOW_001", name: "Small", outcome: "SAFE_ALLOW", mode: "live", enabled: true },
+  { id: "NEW_001", name: "Shadow", outcome: "SAFE_DENY", mode: "shadow", enabled: true },
+];
+
+const FIRST_MATCH = `
+rules:
+  - id: "DENY_001"
+    name: "Big"
+    priority: 100
+    condition: { field: "request.amount", op: "gt", value: 1000 }
+    outcome: "SAFE_DENY"
+  - id: "REVIEW_001"
+    name: "Medium"
+    priority: 50
+    condition: { field: "request.amount", op: "gt", value: 100 }
+    outcome: "GREY_ZONE"
+  - id: "SHADOW_001"
+    name: "Shadow"
+    mode: "shadow"
+    condition: { field: "request.amount", op: "gt", value: 500 }
+    outcome: "SAFE_DENY"
+`;
+
+/**
+ * Stats on a settable clock
+ */
+function createStats(options = {}) {
+  const clock = { now: new Date("2025-06-01T12:30:00Z") };
+  const stats = new RuleStats({ clock: () => clock.now, ...options });
+  stats.trackRules(RULES.map((rule) => rule.id));
+  return { stats, clock };
+}
+
+test("first_match stats count rules after the winner as matches", () => {
+  const engine = new RuleEngine(null);
+  engine.loadContent(FIRST_MATCH);
+  const { stats } = createStats();
+
+  const result = engine.evaluate({ request: { amount: 5000 } }, { collectMatches: true });
+  assert.equal(result.matchedRule.id, "DENY_001");
+  assert.deepEqual(result.evaluationPath.map((entry) => entry.ruleId), ["DENY_001"]);
+  assert.deepEqual(result.matchedRuleIds, ["DENY_001", "REVIEW_001"]);
+  // Not asked for: no extra evaluation
+  assert.equal(engine.evaluate({ request: { amount: 5000 } }).matchedRuleIds, undefined);
+
+  stats.record({
+    matchedRuleIds: result.matchedRuleIds,
+    shadowResults: result.shadowResults,
+    decision: "DENY",
+    decidingRuleId: result.matchedRule.id,
+  });
+  const report = stats.report({ rules: engine.getRules() });
+  const byId = Object.fromEntries(
+    [...report.rules, ...report.shadowRules].map((rule) => [rule.id, rule])
+  );
+  assert.equal(byId.REVIEW_001.matches, 1);
+  assert.deepEqual(byId.REVIEW_001.decisions, {});
+  assert.deepEqual(byId.DENY_001.decisions, { DENY: { count: 1, share: 1 } });
+  assert.equal(byId.SHADOW_001.matches, 1);
+});
+
+test("shadow rules are reported apart from live rules", () => {
+  const { stats } = createStats();
+  stats.record({
+    matchedRuleIds: ["ALLOW_001"],
+    shadowResults: [{ ruleId: "NEW_001", matched: true }],
+    decision: "ALLOW",
+    decidingRuleId: "ALLOW_001",
+  });
+  stats.record({ matchedRuleIds: [], decision: "REVIEW", decidingRuleId: null });
+
+  const report = stats.report({ rules: RULES });
+  assert.deepEqual(report.rules.map((rule) => rule.id), ["DENY_001", "ALLOW_001"]);
+  assert.deepEqual(report.shadowRules.map((rule) => rule.id), ["NEW_001"]);
+  assert.equal(report.shadowRules[0].matchRate, 0.5);
+  assert.deepEqual(report.totals, { decisions: 2, byDecision: { ALLOW: 1, REVIEW: 1 } });
+});
+
+test("window durations end at the stats clock, not the wall clock", () => {
+  const { stats, clock } = createStats();
+  stats.record({ matchedRuleIds: ["ALLOW_001"], decision: "ALLOW", decidingRuleId: "ALLOW_001" });
+  clock.now = new Date("2025-06-03T12:30:00Z");
+  stats.record({ matchedRuleIds: ["DENY_001"], decision: "DENY", decidingRuleId: "DENY_001" });
+
+  const report = stats.report({ rules: RULES, window: 24 * HOUR_MS });
+  assert.deepEqual(report.window, {
+    since: "2025-06-02T12:30:00.000Z",
+    until: "2025-06-03T12:30:00.000Z",
+  });
+  assert.deepEqual(report.totals.byDecision, { DENY: 1 });
+  assert.deepEqual(report.flagged, {
+    neverMatched: ["NEW_001"],
+    noMatchesInWindow: ["ALLOW_001"],
+    rarelyMatched: [],
+  });
+});
+
+test("windows are hour-granular", () => {
+  const { stats, clock } = createStats();
+  stats.record({ matchedRuleIds: ["ALLOW_001"], decision: "ALLOW", decidingRuleId: "ALLOW_001" });
+  clock.now = new Date("2025-06-01T14:10:00Z");
+
+  // 12:00-13:00 overlaps a window starting at 12:45
+  const overlapping = stats.report({ rules: RULES, since: new Date("2025-06-01T12:45:00Z") });
+  assert.equal(overlapping.totals.decisions, 1);
+  const after = stats.report({ rules: RULES, since: new Date("2025-06-01T13:00:00Z") });
+  assert.equal(after.totals.decisions, 0);
+  assert.equal(after.rules[1].matchRate, null);
+});
+
+test("rare matches are flagged against the rate", () => {
+  const { stats } = createStats();
+  for (let i = 0; i < 20; i++) {
+    stats.record({
+      matchedRuleIds: i === 0 ? ["DENY_001", "ALLOW_001"] : ["ALLOW_001"],
+      decision: "ALLOW",
+      decidingRuleId: "ALLOW_001",
+    });
+  }
+  assert.deepEqual(stats.report({ rules: RULES, rareRate: 0.1 }).flagged.rarelyMatched, ["DENY_001"]);
+  assert.deepEqual(stats.report({ rules: RULES, rareRate: 0.01 }).flagged.rarelyMatched, []);
+});
+
+test("buckets past the retention period are dropped", () => {
+  const { stats, clock } = createStats({ retentionDays: 1 });
+  stats.record({ matchedRuleIds: ["ALLOW_001"], decision: "ALLOW", decidingRuleId: "ALLOW_001" });
+  clock.now = new Date("2025-06-03T12:30:00Z");
+  stats.record({ matchedRuleIds: [], decision: "REVIEW", decidingRuleId: null });
+
+  assert.equal(stats.buckets.size, 1);
+  const allowRule = stats.report({ rules: RULES }).rules[1];
+  assert.equal(allowRule.matches, 0);
+  assert.equal(allowRule.lastMatchedAt, "2025-06-01T12:30:00.000Z");
+});
+
+test("stats persist and restore", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rule-stats-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const persistPath = path.join(dir, "stats.json");
+
+  const { stats } = createStats({ persistPath });
+  stats.record({ matchedRuleIds: ["ALLOW_001"], decision: "ALLOW", decidingRuleId: "ALLOW_001" });
+  stats.close();
+
+  const { stats: restored } = createStats({ persistPath });
+  t.after(() => restored.close());
+  assert.deepEqual(
+    restored.report({ rules: RULES }).rules,
+    stats.report({ rules: RULES }).rules
+  );
+});
@@ -0,0 +1,147 @@
+/**
+ * ============================================================================
+ * RULE STORE - Edits individual rules in the YAML rules file
+ * ============================================================================
+ *
+ * Design Decisions:
+ * 1. Edits go through the YAML document model, so comments and layout of
+ *    hand-maintained rules files survive API changes
+ * 2. Mutations are pure (content in → content out); the caller validates
+ *    the result before anything is written or activated
+ * 3. Writes are atomic: tmp file + rename, readers never see half a file
+ * 4. The store edits one file's content; which file owns a rule (the main
+ *    rules file or an included one) is decided by the caller
+ * 5. Read-only rules files (e.g. a mounted ConfigMap) are detected before
+ *    any edit, so callers can refuse the change instead of failing the write
+ *
+ * ============================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import { parseDocument } from "yaml";
+
+/**
+ * RuleStore class - CRUD on the rules list of a rules file
+ */
+export class RuleStore {
+  constructor(configPath) {
+    this.configPath = configPath;
+  }
+
+  /**
+   * Parse content and locate a rule by id
+   * Returns: { doc, index } (index is -1 when not found)
+   */
+  locate(content, id) {
+    const doc = parseDocument(content);
+    const rules = doc.get("rules");
+    const index = rules
+      ? rules.items.findIndex((item) => item.get?.("id") === id)
+      : -1;
+    return { doc, index };
+  }
+
+  /**
+   * List all rules (including disabled ones) as plain objects
+   */
+  list(content) {
+    return parseDocument(content).toJS().rules || [];
+  }
+
+  /**
+   * Get a single rule as a plain object, or null
+   */
+  get(content, id) {
+    return this.list(content).find((rule) => rule.id === id) || null;
+  }
+
+  /**
+   * Append a new rule
+   */
+  create(content, rule) {
+    const { doc, index } = this.locate(content, rule.id);
+    if (index !== -1) {
+      return { conflict: true };
+    }
+
+    if (!doc.has("rules")) {
+      doc.set("rules", doc.createNode([]));
+    }
+    doc.addIn(["rules"], doc.createNode(rule));
+    return { content: doc.toString() };
+  }
+
+  /**
+   * Replace an existing rule entirely
+   */
+  replace(content, id, rule) {
+    const { doc, index } = this.locate(content, id);
+    if (index === -1) {
+      return { notFound: true };
+    }
+
+    const { id: _ignored, ...fields } = rule;
+    doc.setIn(["rules", index], doc.createNode({ id, ...fields }));
+    return { content: doc.toString() };
+  }
+
+  /**
+   * Merge top-level fields into an existing rule (e.g. { enabled: false })
+   * A null value removes the field.
+   */
+  update(content, id, changes) {
+    const { doc, index } = this.locate(content, id);
+    if (index === -1) {
+      return { notFound: true };
+    }
+
+    for (const [key, value] of Object.entries(changes)) {
+      if (key === "id") {
+        continue;
+      }
+      if (value === null) {
+        doc.deleteIn(["rules", index, key]);
+      } else {
+        doc.setIn(["rules", index, key], doc.createNode(value));
+      }
+    }
+    return { content: doc.toString() };
+  }
+
+  /**
+   * Remove a rule
+   */
+  remove(content, id) {
+    const { doc, index } = this.locate(content, id);
+    if (index === -1) {
+      return { notFound: true };
+    }
+
+    doc.deleteIn(["rules", index]);
+    return { content: doc.toString() };
+  }
+
+  /**
+   * Whether a rules file can be written: the file itself and its directory
+   * (the atomic write renames a tmp file into place)
+   */
+  isWritable(filePath = this.configPath) {
+    try {
+      fs.accessSync(filePath, fs.constants.W_OK);
+      fs.accessSync(path.dirname(filePath), fs.constants.W_OK);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Atomically write new content to the rules file (or an included file)
+   */
+  write(content, filePath = this.configPath) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, content, "utf8");
+    fs.renameSync(tmpPath, filePath);
+  }
+}
@@ -0,0 +1,179 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { RuleStore } from "./store.js";
+import { parseRulesContent } from "./schema.js";
+import { DecisionService } from "../decisionService.js";
+
+const CONTENT = `# Payments rules
+strategy: first_match
+
+rules:
+  # Hard limit - agreed with finance
+  - id: "DENY_001"
+    name: "Hard limit"
+    condition:
+      field: "request.amount"
+      op: "gt"
+      value: 1000000
+    outcome: "SAFE_DENY"
+    enabled: true
+
+  - id: "ALLOW_001"
+    name: "Small amounts"
+    condition:
+      field: "request.amount"
+      op: "lt"
+      value: 10
+    outcome: "SAFE_ALLOW"
+`;
+
+const store = new RuleStore("/unused");
+
+test("list and get return plain rule objects", () => {
+  assert.deepEqual(store.list(CONTENT).map((rule) => rule.id), ["DENY_001", "ALLOW_001"]);
+  assert.equal(store.get(CONTENT, "ALLOW_001").condition.value, 10);
+  assert.equal(store.get(CONTENT, "NOPE"), null);
+});
+
+test("update keeps comments and layout of untouched rules", () => {
+  const { content } = store.update(CONTENT, "DENY_001", { enabled: false, name: null });
+
+  assert.match(content, /# Payments rules/);
+  assert.match(content, /# Hard limit - agreed with finance/);
+  assert.equal(store.get(content, "DENY_001").enabled, false);
+  assert.equal(store.get(content, "DENY_001").name, undefined);
+  assert.deepEqual(store.get(content, "ALLOW_001"), store.get(CONTENT, "ALLOW_001"));
+});
+
+test("create appends and refuses a duplicate id", () => {
+  const rule = {
+    id: "GREY_001",
+    condition: { field: "signals.risk_score", op: "gt", value: 50 },
+    outcome: "GREY_ZONE",
+  };
+  const { content } = store.create(CONTENT, rule);
+  assert.deepEqual(store.list(content).map((r) => r.id), ["DENY_001", "ALLOW_001", "GREY_001"]);
+  assert.deepEqual(store.create(content, rule), { conflict: true });
+});
+
+test("replace keeps the id from the URL; remove deletes", () => {
+  const { content } = store.replace(CONTENT, "ALLOW_001", {
+    id: "IGNORED",
+    condition: { field: "request.amount", op: "lt", value: 5 },
+    outcome: "SAFE_ALLOW",
+  });
+  assert.equal(store.get(content, "ALLOW_001").condition.value, 5);
+
+  const removed = store.remove(content, "ALLOW_001").content;
+  assert.deepEqual(store.list(removed).map((r) => r.id), ["DENY_001"]);
+  assert.deepEqual(store.remove(removed, "ALLOW_001"), { notFound: true });
+  assert.deepEqual(store.update(removed, "ALLOW_001", {}), { notFound: true });
+});
+
+test("store and schema parse the file identically", () => {
+  const withDates = `${CONTENT}    active_from: 2024-01-01T00:00:00Z\n`;
+  assert.deepEqual(store.list(withDates), parseRulesContent(withDates).config.rules);
+});
+
+test("write replaces the file atomically", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rule-store-"));
+  const file = path.join(dir, "rules.yaml");
+  try {
+    new RuleStore(file).write(CONTENT);
+    assert.equal(fs.readFileSync(file, "utf8"), CONTENT);
+    assert.deepEqual(fs.readdirSync(dir), ["rules.yaml"]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("a read-only rules file refuses changes without touching the active rules", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rule-store-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "rules.yaml");
+  fs.writeFileSync(file, CONTENT);
+  assert.equal(new RuleStore(file).isWritable(), true);
+  assert.equal(new RuleStore(path.join(dir, "missing", "rules.yaml")).isWritable(), false);
+
+  const service = new DecisionService({ version: "v1", rulesConfigPath: file });
+  t.after(() => service.stop());
+  // Stands in for a read-only mount, which root would otherwise write through
+  service.ruleStore.isWritable = () => false;
+  const hash = service.ruleEngine.configHash;
+
+  const result = service.changeRule(
+    "update",
+    { id: "ALLOW_001", changes: { enabled: false } },
+    { actor: "test", reason: "test" }
+  );
+  assert.equal(result.success, false);
+  assert.equal(result.readOnly, true);
+  assert.match(result.error, /is read-only/);
+  assert.equal(service.ruleEngine.configHash, hash);
+  assert.equal(fs.readFileSync(file, "utf8"), CONTENT);
+});
+
+test("rule changes go to the file that declares the rule", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rule-store-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const main = path.join(dir, "rules.yaml");
+  const team = path.join(dir, "teams", "payments.yaml");
+  fs.mkdirSync(path.dirname(team));
+  fs.writeFileSync(main, `include: "teams/payments.yaml"\n${CONTENT}`);
+  const teamContent = `conditions:
+  big: { field: "request.amount", op: "gt", value: 1000 }
+rules:
+  # Owned by payments
+  - id: "PAY_001"
+    name: "Large payments"
+    outcome: "SAFE_DENY"
+    condition: { $ref: "big" }
+`;
+  fs.writeFileSync(team, teamContent);
+
+  const service = new DecisionService({ version: "v1", rulesConfigPath: main });
+  t.after(() => service.stop());
+  const who = { actor: "test", reason: "test" };
+
+  // Listed resolved, with included rules and no $ref
+  assert.deepEqual(service.listRuleDefinitions().map((rule) => rule.id), ["DENY_001", "ALLOW_001", "PAY_001"]);
+  assert.deepEqual(service.getRuleDefinition("PAY_001").condition, {
+    field: "request.amount",
+    op: "gt",
+    value: 1000,
+  });
+
+  const updated = service.changeRule("update", { id: "PAY_001", changes: { enabled: false } }, who);
+  assert.equal(updated.success, true, updated.error);
+  assert.equal(fs.readFileSync(team, "utf8"), `${teamContent}    enabled: false\n`);
+  assert.equal(fs.readFileSync(main, "utf8"), `include: "teams/payments.yaml"\n${CONTENT}`);
+  assert.equal(service.ruleHistory.latest().change.file, path.join("teams", "payments.yaml"));
+  assert.equal(service.getRuleDefinition("PAY_001").enabled, false);
+
+  // Ids are unique across files; new rules go to the main file
+  const duplicate = service.changeRule("create", { rule: { ...service.getRuleDefinition("PAY_001") } }, who);
+  assert.equal(duplicate.conflict, true);
+  const created = service.changeRule(
+    "create",
+    { rule: { id: "NEW_001", name: "New", outcome: "SAFE_ALLOW", condition: { field: "request.amount", op: "eq", value: 1 } } },
+    who
+  );
+  assert.equal(created.success, true, created.error);
+  assert.match(fs.readFileSync(main, "utf8"), /NEW_001/);
+  assert.doesNotMatch(fs.readFileSync(team, "utf8"), /NEW_001/);
+
+  // Validated against the whole ruleset: the fragment lives in the included file
+  const invalid = service.changeRule(
+    "replace",
+    { id: "ALLOW_001", rule: { name: "Ref", outcome: "SAFE_ALLOW", condition: { $ref: "missing" } } },
+    who
+  );
+  assert.equal(invalid.success, false);
+
+  assert.equal(service.changeRule("remove", { id: "PAY_001" }, who).success, true);
+  assert.doesNotMatch(fs.readFileSync(team, "utf8"), /PAY_001/);
+  assert.equal(service.getRuleDefinition("PAY_001"), null);
+});
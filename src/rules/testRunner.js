@@ -0,0 +1,153 @@
+/**
+ * ============================================================================
+ * RULE TEST RUNNER - Runs the test cases embedded in a rules file
+ * ============================================================================
+ *
+ * A rules file may ship examples next to its rules:
+ *
+ *   tests:
+ *     - name: "Verified low-risk user is allowed"
+ *       input:
+ *         signals: { risk_score: 10, is_verified: true }
+ *       expect:
+ *         outcome: SAFE_ALLOW
+ *         rule_id: ALLOW_001        # null = no rule matches; omit = any
+ *
+ * Design Decisions:
+ * 1. Cases run through RuleEngine.explain, so they exercise the exact
+ *    evaluation path (strategy, priorities, schedules) used in production
+ * 2. A failing case reports the comparisons that diverged: why the expected
+ *    rule did not match, or which rule matched in its place
+ * 3. The runner never throws for a failing case - it returns a report and
+ *    leaves it to the caller (CLI, reload) to decide what failure means
+ *
+ * ============================================================================
+ */
+
+/**
+ * Collect the comparisons responsible for a condition not evaluating to
+ * `wanted` (explain trace in, leaf nodes out)
+ */
+function divergingComparisons(node, wanted) {
+  if (node.result === wanted) {
+    return [];
+  }
+
+  if (!node.operator) {
+    return [node];
+  }
+
+  if (node.operator === "NOT") {
+    return divergingComparisons(node.operands[0], !wanted);
+  }
+
+  // AND/OR: every operand that disagrees contributed to the result
+  return node.operands.flatMap((operand) => divergingComparisons(operand, wanted));
+}
+
+/**
+ * Summarize a rule's explanation for a divergence report
+ */
+function describeRule(ruleExplanation, wanted, message) {
+  return {
+    ruleId: ruleExplanation.ruleId,
+    priority: ruleExplanation.priority,
+    message,
+    comparisons: divergingComparisons(ruleExplanation.trace, wanted),
+  };
+}
+
+/**
+ * Work out which rule conditions made a case diverge from its expectation
+ */
+function findDivergence(explanation, expect) {
+  const byId = new Map(explanation.rules.map((rule) => [rule.ruleId, rule]));
+  const actualRuleId = explanation.matchedRule?.id ?? null;
+  const divergence = [];
+
+  if (expect.rule_id) {
+    const expected = byId.get(expect.rule_id);
+    if (!expected) {
+      divergence.push({
+        ruleId: expect.rule_id,
+        message: "Expected rule is not loaded (disabled or shadow mode)",
+      });
+    } else if (!expected.active) {
+      divergence.push({
+        ruleId: expected.ruleId,
+        message: "Expected rule is not active at this time",
+      });
+    } else if (!expected.trace.result) {
+      divergence.push(
+        describeRule(expected, true, "Expected rule did not match")
+      );
+    }
+  }
+
+  if (actualRuleId && actualRuleId !== expect.rule_id) {
+    divergence.push(
+      describeRule(
+        byId.get(actualRuleId),
+        false,
+        expect.rule_id
+          ? `Rule ${actualRuleId} matched instead`
+          : `Rule ${actualRuleId} matched, expected no match`
+      )
+    );
+  }
+
+  return divergence;
+}
+
+/**
+ * Run a single test case against an engine
+ */
+export function runRuleTest(engine, test, index) {
+  const explanation = engine.explain(engine.deriveFeatures(test.input));
+  const expect = test.expect;
+
+  const actual = {
+    outcome: explanation.outcome,
+    rule_id: explanation.matchedRule?.id ?? null,
+  };
+
+  const outcomeOk = actual.outcome === expect.outcome;
+  const ruleOk = expect.rule_id === undefined || actual.rule_id === expect.rule_id;
+  const passed = outcomeOk && ruleOk;
+
+  return {
+    name: test.name || `tests[${index}]`,
+    passed,
+    expected: expect,
+    actual,
+    ...(!passed && { divergence: findDivergence(explanation, expect) }),
+  };
+}
+
+/**
+ * Run every test case embedded in the engine's loaded config
+ * Returns: { total, passed, failed, results }
+ */
+export function runRuleTests(engine) {
+  const results = engine.tests.map((test, i) => runRuleTest(engine, test, i));
+  const passed = results.filter((result) => result.passed).length;
+
+  return {
+    total: results.length,
+    passed,
+    failed: results.length - passed,
+    results,
+  };
+}
+
+/**
+ * Format a comparison from an explain trace for terminal output
+ * Example: signals.risk_score gte 40 (actual: 35)
+ */
+export function formatComparison(comparison) {
+  const expected = comparison.valueRef
+    ? `${JSON.stringify(comparison.valueRef)} = ${JSON.stringify(comparison.expected)}`
+    : JSON.stringify(comparison.expected);
+  const actual = comparison.missing ? "missing" : JSON.stringify(comparison.actual);
+  return `${comparison.field} ${comparison.op} ${expected} (actual: ${actual})`;
+}
@@ -0,0 +1,138 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { runRuleTests, formatComparison } from "./testRunner.js";
+import { RuleEngine } from "./engine.js";
+import { DecisionService } from "../decisionService.js";
+
+const RULES = `
+rules:
+  - id: "DENY_001"
+    name: "High risk"
+    priority: 100
+    condition:
+      operator: "AND"
+      operands:
+        - { field: "signals.risk_score", op: "gte", value: 40 }
+        - { field: "request.amount", op: "gt", value: { field: "signals.avg_amount", multiply: 3 } }
+    outcome: "SAFE_DENY"
+  - id: "ALLOW_001"
+    name: "Verified"
+    priority: 10
+    condition: { field: "signals.is_verified", op: "eq", value: true }
+    outcome: "SAFE_ALLOW"
+`;
+
+/**
+ * Engine with the rules above and the given embedded tests
+ */
+function engineWithTests(tests) {
+  const engine = new RuleEngine(null);
+  engine.loadContent(`${RULES}tests:\n${tests}`);
+  return engine;
+}
+
+test("passing cases are counted, with the actual outcome and rule", () => {
+  const report = runRuleTests(
+    engineWithTests(`
+  - name: "verified"
+    input: { signals: { is_verified: true } }
+    expect: { outcome: "SAFE_ALLOW", rule_id: "ALLOW_001" }
+  - input: { signals: {} }
+    expect: { outcome: "GREY_ZONE", rule_id: null }
+  - input: { signals: { is_verified: true } }
+    expect: { outcome: "SAFE_ALLOW" }
+`)
+  );
+  assert.deepEqual(
+    { total: report.total, passed: report.passed, failed: report.failed },
+    { total: 3, passed: 3, failed: 0 }
+  );
+  assert.deepEqual(report.results.map((result) => result.name), ["verified", "tests[1]", "tests[2]"]);
+  assert.deepEqual(report.results[0].actual, { outcome: "SAFE_ALLOW", rule_id: "ALLOW_001" });
+  assert.equal(report.results[0].divergence, undefined);
+});
+
+test("a failing case names the comparisons that kept the expected rule from matching", () => {
+  const report = runRuleTests(
+    engineWithTests(`
+  - name: "should deny"
+    input:
+      request: { amount: 200 }
+      signals: { risk_score: 35, avg_amount: 100, is_verified: true }
+    expect: { outcome: "SAFE_DENY", rule_id: "DENY_001" }
+`)
+  );
+  const [result] = report.results;
+  assert.equal(report.failed, 1);
+  assert.equal(result.passed, false);
+  assert.deepEqual(result.actual, { outcome: "SAFE_ALLOW", rule_id: "ALLOW_001" });
+
+  const [expected, instead] = result.divergence;
+  assert.equal(expected.message, "Expected rule did not match");
+  assert.deepEqual(expected.comparisons.map(formatComparison), [
+    "signals.risk_score gte 40 (actual: 35)",
+    'request.amount gt {"field":"signals.avg_amount","multiply":3} = 300 (actual: 200)',
+  ]);
+  assert.equal(instead.ruleId, "ALLOW_001");
+  assert.equal(instead.message, "Rule ALLOW_001 matched instead");
+  assert.deepEqual(instead.comparisons.map(formatComparison), ["signals.is_verified eq true (actual: true)"]);
+});
+
+test("an unexpected match and a rule that is not loaded are reported", () => {
+  const report = runRuleTests(
+    engineWithTests(`
+  - input: { signals: { is_verified: true } }
+    expect: { outcome: "GREY_ZONE", rule_id: null }
+`)
+  );
+  assert.equal(report.results[0].divergence[0].message, "Rule ALLOW_001 matched, expected no match");
+
+  const engine = new RuleEngine(null);
+  engine.loadContent(`${RULES.replace('    priority: 10\n', '    priority: 10\n    enabled: false\n')}tests:
+  - input: { signals: { is_verified: true } }
+    expect: { outcome: "SAFE_ALLOW", rule_id: "ALLOW_001" }
+`);
+  const [divergence] = runRuleTests(engine).results[0].divergence;
+  assert.equal(divergence.message, "Expected rule is not loaded (disabled or shadow mode)");
+});
+
+test("missing fields are shown as missing", () => {
+  assert.equal(
+    formatComparison({ field: "signals.risk_score", op: "gte", expected: 40, missing: true }),
+    "signals.risk_score gte 40 (actual: missing)"
+  );
+});
+
+test("a reload with required tests is refused while a test fails", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rule-tests-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "rules.yaml");
+  const passing = `${RULES}tests:
+  - input: { signals: { is_verified: true } }
+    expect: { outcome: "SAFE_ALLOW", rule_id: "ALLOW_001" }
+`;
+  fs.writeFileSync(file, passing);
+
+  const service = new DecisionService({
+    version: "v1",
+    rulesConfigPath: file,
+    rulesReloadRequireTests: true,
+  });
+  t.after(() => service.stop());
+  const hash = service.ruleEngine.configHash;
+
+  fs.writeFileSync(file, passing.replace('value: true }\n    outcome: "SAFE_ALLOW"', 'value: false }\n    outcome: "SAFE_ALLOW"'));
+  const refused = service.reloadRules("api");
+  assert.equal(refused.success, false);
+  assert.equal(refused.error, "1 of 1 embedded rule tests failed");
+  assert.equal(service.ruleEngine.configHash, hash);
+
+  fs.writeFileSync(file, `${passing}  - input: { signals: {} }\n    expect: { outcome: "GREY_ZONE" }\n`);
+  const accepted = service.reloadRules("api");
+  assert.equal(accepted.success, true, accepted.error);
+  assert.deepEqual(accepted.tests, { total: 2, passed: 2 });
+  assert.notEqual(service.ruleEngine.configHash, hash);
+});
@@ -0,0 +1,141 @@
+/**
+ * ============================================================================
+ * RULES WATCHER - Reloads rules when the rules files change on disk
+ * ============================================================================
+ *
+ * Design Decisions:
+ * 1. Watches the parent DIRECTORY, not the file. Kubernetes ConfigMap
+ *    volumes update by swapping a `..data` symlink; a watch on the file
+ *    itself would stay attached to the old target and never fire again.
+ * 2. Events are debounced - editors and kubelet emit several per update
+ * 3. Content is hashed and compared, so touch/chmod events and our own
+ *    writes (admin API) do not trigger a reload
+ * 4. A failed read (e.g. mid atomic save, the file briefly missing) is
+ *    retried once after the debounce period instead of waiting for
+ *    another event that may never come
+ * 5. The watcher only detects changes; validation and the atomic swap
+ *    (keeping the last good ruleset on failure) belong to the caller
+ * 6. A ruleset spread over included files is watched as a whole: the
+ *    caller supplies `getPaths` and `computeHash`, and every directory
+ *    holding one of the paths is watched. `sync()` re-reads the paths
+ *    after each activation, since the include list can change with it.
+ *
+ * ============================================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import { hashContent } from "./engine.js";
+
+// Re-reads after a failed read before giving up until the next event
+const READ_RETRIES = 1;
+
+/**
+ * RulesWatcher class - debounced change detection for a rules file
+ */
+export class RulesWatcher {
+  constructor(config) {
+    this.configPath = path.resolve(config.configPath);
+    this.debounceMs = config.debounceMs || 500;
+    this.onChange = config.onChange;
+    this.lastHash = config.initialHash || null;
+    this.computeHash =
+      config.computeHash ||
+      (() => hashContent(fs.readFileSync(this.configPath, "utf8")));
+    this.getPaths = config.getPaths || (() => [this.configPath]);
+    this.watchers = new Map(); // directory -> fs.FSWatcher
+    this.started = false;
+    this.timer = null;
+  }
+
+  /**
+   * Start watching
+   */
+  start() {
+    this.started = true;
+    this.sync();
+  }
+
+  /**
+   * Watch exactly the directories of the current paths
+   */
+  sync() {
+    if (!this.started) {
+      return;
+    }
+
+    const dirs = new Set(this.getPaths().map((file) => path.dirname(path.resolve(file))));
+
+    for (const [dir, watcher] of this.watchers) {
+      if (!dirs.has(dir)) {
+        watcher.close();
+        this.watchers.delete(dir);
+      }
+    }
+
+    for (const dir of dirs) {
+      if (this.watchers.has(dir)) {
+        continue;
+      }
+      try {
+        const watcher = fs.watch(dir, () => this.schedule());
+        watcher.on("error", (error) => {
+          console.error(`[RulesWatcher] Watch error: ${error.message}`);
+        });
+        this.watchers.set(dir, watcher);
+        console.log(
+          `[RulesWatcher] Watching ${dir} for changes (debounce ${this.debounceMs}ms)`
+        );
+      } catch (error) {
+        console.error(`[RulesWatcher] Could not watch ${dir}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Stop watching
+   */
+  stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    this.watchers.clear();
+  }
+
+  /**
+   * Debounce a burst of filesystem events into a single check
+   */
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.check(), this.debounceMs);
+  }
+
+  /**
+   * Compare file content with the last seen version and notify on change
+   */
+  check(attempt = 0) {
+    let hash;
+    try {
+      hash = this.computeHash();
+    } catch (error) {
+      // Mid-swap the path can briefly be missing - try again shortly
+      if (attempt < READ_RETRIES) {
+        console.warn(`[RulesWatcher] Could not read rules file, retrying: ${error.message}`);
+        this.timer = setTimeout(() => this.check(attempt + 1), this.debounceMs);
+      } else {
+        console.warn(`[RulesWatcher] Could not read rules file: ${error.message}`);
+      }
+      return;
+    }
+
+    if (hash === this.lastHash) {
+      return;
+    }
+
+    this.lastHash = hash;
+    this.onChange(hash);
+    this.sync();
+  }
+}
@@ -0,0 +1,146 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { RulesWatcher } from "./watcher.js";
+import { hashContent } from "./engine.js";
+
+const DEBOUNCE_MS = 20;
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Wait until a condition holds (or fail after a timeout)
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition");
+    }
+    await sleep(10);
+  }
+}
+
+function tmpRulesFile(content = "rules: []\n") {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rules-watch-"));
+  const file = path.join(dir, "rules.yaml");
+  fs.writeFileSync(file, content);
+  return { dir, file, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+test("a changed file triggers one debounced onChange with the new hash", async () => {
+  const { file, cleanup } = tmpRulesFile();
+  const changes = [];
+  const watcher = new RulesWatcher({
+    configPath: file,
+    debounceMs: DEBOUNCE_MS,
+    initialHash: hashContent("rules: []\n"),
+    onChange: (hash) => changes.push(hash),
+  });
+
+  try {
+    watcher.start();
+    fs.writeFileSync(file, "rules: [] # one\n");
+    fs.writeFileSync(file, "rules: [] # two\n");
+    await waitFor(() => changes.length > 0);
+    await sleep(DEBOUNCE_MS * 3);
+
+    assert.deepEqual(changes, [hashContent("rules: [] # two\n")]);
+  } finally {
+    watcher.stop();
+    cleanup();
+  }
+});
+
+test("unchanged content does not trigger onChange", () => {
+  const changes = [];
+  const watcher = new RulesWatcher({
+    configPath: "/unused/rules.yaml",
+    initialHash: "same",
+    computeHash: () => "same",
+    onChange: (hash) => changes.push(hash),
+  });
+  watcher.check();
+  assert.deepEqual(changes, []);
+});
+
+test("a failed read is retried once after the debounce period", async () => {
+  let reads = 0;
+  const changes = [];
+  const watcher = new RulesWatcher({
+    configPath: "/unused/rules.yaml",
+    debounceMs: DEBOUNCE_MS,
+    initialHash: "old",
+    computeHash: () => {
+      reads++;
+      if (reads === 1) {
+        throw new Error("ENOENT: mid atomic save");
+      }
+      return "new";
+    },
+    onChange: (hash) => changes.push(hash),
+  });
+
+  try {
+    watcher.check();
+    assert.deepEqual(changes, []);
+    await waitFor(() => changes.length > 0);
+    assert.equal(reads, 2);
+    assert.deepEqual(changes, ["new"]);
+  } finally {
+    watcher.stop();
+  }
+});
+
+test("the retry gives up after one more failed read", async () => {
+  let reads = 0;
+  const watcher = new RulesWatcher({
+    configPath: "/unused/rules.yaml",
+    debounceMs: DEBOUNCE_MS,
+    computeHash: () => {
+      reads++;
+      throw new Error("ENOENT");
+    },
+    onChange: () => assert.fail("onChange must not be called"),
+  });
+
+  watcher.check();
+  await sleep(DEBOUNCE_MS * 5);
+  assert.equal(reads, 2);
+  watcher.stop();
+});
+
+test("included files in other directories are watched, and unwatched when dropped", async () => {
+  const { file, cleanup } = tmpRulesFile();
+  const other = tmpRulesFile("rules: []\n");
+  const changes = [];
+  let paths = [file, other.file];
+  const read = () => paths.map((p) => fs.readFileSync(p, "utf8")).join("\n");
+  const watcher = new RulesWatcher({
+    configPath: file,
+    debounceMs: DEBOUNCE_MS,
+    getPaths: () => paths,
+    computeHash: () => hashContent(read()),
+    initialHash: hashContent(read()),
+    onChange: (hash) => changes.push(hash),
+  });
+
+  try {
+    watcher.start();
+    assert.equal(watcher.watchers.size, 2);
+
+    fs.writeFileSync(other.file, "rules: [] # changed\n");
+    await waitFor(() => changes.length > 0);
+    assert.deepEqual(changes, [hashContent(read())]);
+
+    paths = [file];
+    watcher.sync();
+    assert.deepEqual([...watcher.watchers.keys()], [path.dirname(file)]);
+  } finally {
+    watcher.stop();
+    assert.equal(watcher.watchers.size, 0);
+    cleanup();
+    other.cleanup();
+  }
+});
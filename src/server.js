@@ -7,11 +7,21 @@
  *
  * Endpoints:
  * - POST /decide     - Main decision endpoint
+ * - POST /decide/batch - Batch decision endpoint
+ * - POST /decide/explain - Condition-level trace of rule evaluation
  * - GET  /health     - Kubernetes health check
  * - GET  /ready      - Kubernetes readiness check
  * - GET  /metrics    - Prometheus metrics
  * - GET  /status     - Detailed system status
  * - POST /reload     - Hot-reload rules configuration
+ * - POST /reload/lists - Reload named reference lists only
+ * - POST /rules/validate - Dry-run validation of a candidate rules file
+ * - POST /rules/lint     - Static analysis (unreachable/shadowed rules, gaps)
+ * - POST /rules/backtest - Replay recorded inputs against a candidate file
+ * - GET  /rules/history  - Recently loaded rule configurations
+ * - GET  /rules/stats    - Per-rule match counts, decision shares, stale rules
+ * - POST /rules/rollback/:version - Roll back to a previous configuration
+ * - GET/POST/PUT/PATCH/DELETE /rules[/:id] - Admin API for individual rules
  *
  * Design Decisions:
  * 1. Separate health and ready endpoints for K8s lifecycle
@@ -43,6 +53,7 @@ import { readyRoutes } from "./routes/ready.routes.js";
 import metricsRoutes from "./routes/metrics.routes.js";
 import { statusRoutes } from "./routes/status.routes.js";
 import { reloadRoutes } from "./routes/reload.routes.js";
+import { rulesRoutes } from "./routes/rules.routes.js";
 import { loggingMiddleware } from "./middleware/logging.middleware.js";
 import { awarenessMiddleware } from "./middleware/awareness.middleware.js" 
 import { notFoundHandler } from "./middleware/notFound.middleware.js";
@@ -67,12 +78,46 @@ const AI_ENABLED = process.env.AI_ENABLED === "true";
 // const AI_MODEL = process.env.AI_MODEL || "gpt-4o-mini";
 const AI_TIMEOUT_MS = parseInt(process.env.AI_TIMEOUT_MS) || 5000;
 
+// Rules file watching (e.g. Kubernetes ConfigMap updates)
+const RULES_WATCH = process.env.RULES_WATCH === "true";
+const RULES_WATCH_DEBOUNCE_MS =
+  parseInt(process.env.RULES_WATCH_DEBOUNCE_MS) || 500;
+
+// Velocity counter store: memory (default) | redis-local
+const VELOCITY_STORE = process.env.VELOCITY_STORE || "memory";
+// Distinct counter keys the memory store holds before evicting
+const VELOCITY_MAX_KEYS = parseInt(process.env.VELOCITY_MAX_KEYS) || 100000;
+
+// Refuse reloads whose embedded rule tests fail
+const RULES_RELOAD_REQUIRE_TESTS =
+  process.env.RULES_RELOAD_REQUIRE_TESTS === "true";
+
+// Rule history Configuration
+const RULES_HISTORY_LIMIT = parseInt(process.env.RULES_HISTORY_LIMIT) || 20;
+const RULES_HISTORY_PATH = process.env.RULES_HISTORY_PATH || null;
+
+// Rule hit statistics Configuration
+const RULES_STATS_PATH = process.env.RULES_STATS_PATH || null;
+const RULES_STATS_RETENTION_DAYS =
+  parseInt(process.env.RULES_STATS_RETENTION_DAYS) || 90;
+const RULES_STATS_FLUSH_MS = parseInt(process.env.RULES_STATS_FLUSH_MS) || 30000;
+
+// Batch Configuration
+const BATCH_MAX_SIZE = parseInt(process.env.BATCH_MAX_SIZE) || 100;
+
+// Grey-zone AI calls in flight at once, across all requests
+// (BATCH_AI_CONCURRENCY is the former, batch-only name)
+const AI_MAX_CONCURRENCY =
+  parseInt(process.env.AI_MAX_CONCURRENCY) ||
+  parseInt(process.env.BATCH_AI_CONCURRENCY) ||
+  5;
+
 // ============================================================================
 // INITIALIZE SERVICES
 // ============================================================================
 
 const app = express();
-app.use(express.json());
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || "1mb" }));
 
 // Initialize decision service
 const decisionService = new DecisionService({
@@ -84,6 +129,18 @@ const decisionService = new DecisionService({
   // aiApiKey: AI_API_KEY,
   // aiModel: AI_MODEL,
   aiTimeout: AI_TIMEOUT_MS,
+  batchMaxSize: BATCH_MAX_SIZE,
+  aiMaxConcurrency: AI_MAX_CONCURRENCY,
+  rulesHistoryLimit: RULES_HISTORY_LIMIT,
+  rulesHistoryPath: RULES_HISTORY_PATH,
+  rulesStatsPath: RULES_STATS_PATH,
+  rulesStatsRetentionDays: RULES_STATS_RETENTION_DAYS,
+  rulesStatsFlushMs: RULES_STATS_FLUSH_MS,
+  rulesWatch: RULES_WATCH,
+  rulesWatchDebounceMs: RULES_WATCH_DEBOUNCE_MS,
+  rulesReloadRequireTests: RULES_RELOAD_REQUIRE_TESTS,
+  velocityStore: VELOCITY_STORE,
+  velocityMaxKeys: VELOCITY_MAX_KEYS,
 });
 
 //decision from routes.
@@ -159,7 +216,7 @@ app.use(awarenessMiddleware(() => isShuttingDown))
  *
  * Response:
  * {
- *   "decision": { "final": "ALLOW|DENY|REVIEW", ... },
+ *   "decision": { "final": "ALLOW|DENY|REVIEW|<configured decision>", ... },
  *   "ruleEvaluation": { ... },
  *   "aiAnalysis": { ... },  // Only in v2 for grey-zone
  *   "meta": { ... }
@@ -307,6 +364,7 @@ app.use(readyRoutes(() => isShuttingDown, decisionService, ENGINE_VERSION));
 app.use(metricsRoutes);
 app.use(statusRoutes(decisionService));
 app.use(reloadRoutes(decisionService));
+app.use(rulesRoutes(decisionService));
 
 //---------------------------------------
 /**
@@ -351,14 +409,26 @@ const server = app.listen(PORT, () => {
   console.log(`Port:        ${PORT}`);
   console.log(`AI Enabled:  ${AI_ENABLED}`);
   console.log(`Rules Path:  ${RULES_CONFIG_PATH}`);
+  console.log(`Rules Watch: ${RULES_WATCH}`);
+  console.log(`Velocity Store: ${VELOCITY_STORE}`);
   console.log("=".repeat(60));
   console.log("Endpoints:");
   console.log("  POST /decide  - Make a decision");
+  console.log("  POST /decide/batch - Make decisions in bulk");
+  console.log("  POST /decide/explain - Explain rule evaluation");
   console.log("  GET  /health  - Health check");
   console.log("  GET  /ready   - Readiness check");
   console.log("  GET  /metrics - Prometheus metrics");
   console.log("  GET  /status  - System status");
   console.log("  POST /reload  - Reload rules");
+  console.log("  POST /reload/lists - Reload named lists");
+  console.log("  POST /rules/validate - Validate a rules file");
+  console.log("  POST /rules/lint     - Lint a rules file");
+  console.log("  POST /rules/backtest - Backtest a candidate rules file");
+  console.log("  GET  /rules/history  - Rules history");
+  console.log("  GET  /rules/stats    - Rule hit statistics");
+  console.log("  POST /rules/rollback/:version - Roll back rules");
+  console.log("  *    /rules/:id    - Manage individual rules");
   console.log("=".repeat(60));
 });
 
@@ -368,6 +438,7 @@ const server = app.listen(PORT, () => {
 function gracefulShutdown(signal) {
   console.log(`\n${signal} received. Starting graceful shutdown...`);
   isShuttingDown = true;
+  decisionService.stop();
 
   // Give load balancer time to remove us from rotation
   setTimeout(() => {
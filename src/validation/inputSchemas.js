@@ -0,0 +1,177 @@
+/**
+ * ============================================================================
+ * INPUT SCHEMAS - Per-request-type JSON Schema validation of decision inputs
+ * ============================================================================
+ *
+ * Declared in rules.yaml:
+ *
+ *   input_validation:
+ *     coerce: true                 # "95" → 95 where the schema says number
+ *     schemas:
+ *       transaction:               # matched against request.type
+ *         type: object
+ *         required: [request, signals]
+ *         properties: ...
+ *       "*":                       # optional fallback for other types
+ *         ...
+ *
+ * Design Decisions:
+ * 1. Schemas are compiled once when the rules load (Ajv), like conditions
+ * 2. Every violation is collected (allErrors) and reported with a dotted
+ *    field path, e.g. signals.risk_score
+ * 3. Coercion works on a copy - the caller's input object is never changed
+ * 4. The basic shape check (request and signals objects) always runs first,
+ *    schemas or not
+ *
+ * ============================================================================
+ */
+
+import Ajv from "ajv";
+
+const CONFIG_KEYS = ["coerce", "schemas"];
+
+// Schema used for request types without their own schema
+export const FALLBACK_SCHEMA = "*";
+
+/**
+ * Create an Ajv instance with the options used for input schemas
+ */
+function createAjv(coerce) {
+  return new Ajv({ allErrors: true, coerceTypes: coerce === true });
+}
+
+/**
+ * Convert an Ajv error into a { path, message, keyword } violation
+ */
+function toViolation(error) {
+  const segments = error.instancePath
+    .split("/")
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+
+  if (error.keyword === "required") {
+    segments.push(error.params.missingProperty);
+  } else if (error.keyword === "additionalProperties") {
+    segments.push(error.params.additionalProperty);
+  }
+
+  return {
+    path: segments.join(".") || "$",
+    message: error.message,
+    keyword: error.keyword,
+  };
+}
+
+/**
+ * Validate the input_validation: section of a rules config
+ * Schemas are compiled here too, so an invalid schema fails the load.
+ */
+export function validateInputValidationConfig(section, errors) {
+  if (section === null || typeof section !== "object" || Array.isArray(section)) {
+    errors.push({ path: "input_validation", message: "input_validation must be a mapping" });
+    return;
+  }
+
+  for (const key of Object.keys(section)) {
+    if (!CONFIG_KEYS.includes(key)) {
+      errors.push({ path: `input_validation.${key}`, message: `Unknown key "${key}"` });
+    }
+  }
+
+  if (section.coerce !== undefined && typeof section.coerce !== "boolean") {
+    errors.push({ path: "input_validation.coerce", message: "coerce must be a boolean" });
+  }
+
+  const schemas = section.schemas;
+  if (schemas === null || typeof schemas !== "object" || Array.isArray(schemas)) {
+    errors.push({
+      path: "input_validation.schemas",
+      message: "schemas must be a mapping of request type → JSON Schema",
+    });
+    return;
+  }
+
+  const ajv = createAjv(section.coerce);
+  for (const [type, schema] of Object.entries(schemas)) {
+    try {
+      ajv.compile(schema);
+    } catch (error) {
+      errors.push({
+        path: `input_validation.schemas.${type}`,
+        message: `Invalid JSON Schema: ${error.message}`,
+      });
+    }
+  }
+}
+
+/**
+ * Check the shape every decision input must have
+ */
+function checkBasicShape(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return [{ path: "$", message: "Input must be a non-null object", keyword: "type" }];
+  }
+
+  const violations = [];
+  for (const key of ["request", "signals"]) {
+    if (!input[key] || typeof input[key] !== "object" || Array.isArray(input[key])) {
+      violations.push({
+        path: key,
+        message: `Input must contain a "${key}" object`,
+        keyword: "type",
+      });
+    }
+  }
+  return violations;
+}
+
+/**
+ * Compile an input_validation section into a validator
+ * validate(input) → { valid, input, requestType, violations }
+ *   input       - the (possibly coerced) input to evaluate
+ *   requestType - metric label: the schema's type, "other" or "none"
+ */
+export function compileInputValidator(section) {
+  const coerce = section?.coerce === true;
+  const ajv = createAjv(coerce);
+  const validators = new Map(
+    Object.entries(section?.schemas || {}).map(([type, schema]) => [
+      type,
+      ajv.compile(schema),
+    ])
+  );
+
+  return {
+    types: [...validators.keys()],
+
+    validate(input) {
+      const type = input?.request?.type;
+      const hasTypeSchema = typeof type === "string" && validators.has(type);
+      const requestType = hasTypeSchema ? type : type === undefined ? "none" : "other";
+
+      const violations = checkBasicShape(input);
+      if (violations.length > 0) {
+        return { valid: false, input, requestType, violations };
+      }
+
+      const validator = hasTypeSchema
+        ? validators.get(type)
+        : validators.get(FALLBACK_SCHEMA);
+      if (!validator) {
+        return { valid: true, input, requestType, violations };
+      }
+
+      const candidate = coerce ? structuredClone(input) : input;
+      if (validator(candidate)) {
+        return { valid: true, input: candidate, requestType, violations };
+      }
+
+      return {
+        valid: false,
+        input,
+        requestType,
+        violations: validator.errors.map(toViolation),
+      };
+    },
+  };
+}
@@ -0,0 +1,185 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parse } from "yaml";
+import { compileInputValidator, validateInputValidationConfig } from "./inputSchemas.js";
+import { validateRulesContent } from "../rules/schema.js";
+import { DecisionService } from "../decisionService.js";
+
+const TRANSACTION_SCHEMA = {
+  type: "object",
+  required: ["request", "signals"],
+  properties: {
+    request: {
+      type: "object",
+      required: ["amount"],
+      properties: { amount: { type: "number", minimum: 0 } },
+    },
+    signals: {
+      type: "object",
+      properties: { risk_score: { type: "number" } },
+      additionalProperties: false,
+    },
+  },
+};
+
+const RULES_PATH = fileURLToPath(new URL("../../config/rules.yaml", import.meta.url));
+
+const input = (request, signals = {}) => ({ request: { type: "transaction", ...request }, signals });
+
+test("every violation is reported with a dotted field path", () => {
+  const validator = compileInputValidator({ schemas: { transaction: TRANSACTION_SCHEMA } });
+  assert.deepEqual(validator.types, ["transaction"]);
+
+  const result = validator.validate(input({ amount: -1 }, { risk_score: "high", extra: 1 }));
+  assert.equal(result.valid, false);
+  assert.equal(result.requestType, "transaction");
+  assert.deepEqual(
+    result.violations.map((violation) => [violation.path, violation.keyword]),
+    [
+      ["request.amount", "minimum"],
+      ["signals.extra", "additionalProperties"],
+      ["signals.risk_score", "type"],
+    ]
+  );
+
+  const missing = validator.validate(input({}));
+  assert.deepEqual(missing.violations.map((violation) => violation.path), ["request.amount"]);
+});
+
+test("coercion converts a copy and leaves the caller's input untouched", () => {
+  const validator = compileInputValidator({ coerce: true, schemas: { transaction: TRANSACTION_SCHEMA } });
+  const original = input({ amount: "95" }, { risk_score: "12" });
+
+  const result = validator.validate(original);
+  assert.equal(result.valid, true);
+  assert.equal(result.input.request.amount, 95);
+  assert.equal(result.input.signals.risk_score, 12);
+  assert.equal(original.request.amount, "95");
+
+  const strict = compileInputValidator({ schemas: { transaction: TRANSACTION_SCHEMA } });
+  assert.equal(strict.validate(original).valid, false);
+});
+
+test("other request types use the fallback schema, or pass without one", () => {
+  const withFallback = compileInputValidator({
+    schemas: {
+      transaction: TRANSACTION_SCHEMA,
+      "*": { type: "object", required: ["request"], properties: { request: { required: ["type"] } } },
+    },
+  });
+  const other = withFallback.validate({ request: { type: "signup" }, signals: {} });
+  assert.deepEqual([other.valid, other.requestType], [true, "other"]);
+  const untyped = withFallback.validate({ request: {}, signals: {} });
+  assert.deepEqual([untyped.valid, untyped.requestType], [false, "none"]);
+  assert.equal(untyped.violations[0].path, "request.type");
+
+  const noFallback = compileInputValidator({ schemas: { transaction: TRANSACTION_SCHEMA } });
+  assert.equal(noFallback.validate({ request: { type: "signup" }, signals: {} }).valid, true);
+});
+
+test("the basic shape check runs first, with or without schemas", () => {
+  const validator = compileInputValidator(null);
+  assert.deepEqual(validator.types, []);
+  assert.equal(validator.validate({ request: {}, signals: {} }).valid, true);
+
+  assert.deepEqual(validator.validate(null).violations.map((violation) => violation.path), ["$"]);
+  assert.deepEqual(
+    validator.validate({ request: [], signals: "x" }).violations.map((violation) => violation.message),
+    ['Input must contain a "request" object', 'Input must contain a "signals" object']
+  );
+
+  // Schemas are not consulted until the shape is right
+  const withSchema = compileInputValidator({ schemas: { transaction: TRANSACTION_SCHEMA } });
+  const result = withSchema.validate({ request: { type: "transaction" } });
+  assert.deepEqual(result.violations.map((violation) => violation.path), ["signals"]);
+});
+
+test("input_validation sections are validated, invalid schemas included", () => {
+  const errors = [];
+  validateInputValidationConfig(
+    { coerce: "yes", strict: true, schemas: { transaction: { type: "nope" } } },
+    errors
+  );
+  assert.deepEqual(errors.map((error) => error.path), [
+    "input_validation.strict",
+    "input_validation.coerce",
+    "input_validation.schemas.transaction",
+  ]);
+  assert.match(errors[2].message, /^Invalid JSON Schema: /);
+
+  for (const section of [[], { schemas: [] }]) {
+    const sectionErrors = [];
+    validateInputValidationConfig(section, sectionErrors);
+    assert.equal(sectionErrors.length, 1);
+  }
+});
+
+test("rules.yaml ships without schemas and with a valid commented example", () => {
+  const content = fs.readFileSync(RULES_PATH, "utf8");
+  const config = parse(content);
+  assert.equal(config.input_validation, undefined);
+  const shipped = compileInputValidator(config.input_validation);
+  assert.equal(shipped.validate(input({ amount: 10, frequency: 1.5 }, { risk_score: 150 })).valid, true);
+
+  const lines = content.split("\n");
+  const start = lines.indexOf("# input_validation:");
+  const end = lines.findIndex((line, index) => index > start && !line.startsWith("# "));
+  const example = parse(lines.slice(start, end).map((line) => line.slice(2)).join("\n")).input_validation;
+  const errors = [];
+  validateInputValidationConfig(example, errors);
+  assert.deepEqual(errors, []);
+  assert.equal(compileInputValidator(example).validate(input({ amount: 10 }, { risk_score: 150 })).valid, false);
+});
+
+test("a rules file with an invalid schema fails validation", () => {
+  const result = validateRulesContent(`
+input_validation:
+  schemas:
+    transaction: { type: "object", properties: { request: { type: 12 } } }
+rules:
+  - id: "R1"
+    name: "Rule"
+    condition: { field: "request.amount", op: "gt", value: 1 }
+    outcome: "SAFE_DENY"
+`);
+  assert.equal(result.valid, false);
+  assert.ok(result.errors.some((error) => error.path === "input_validation.schemas.transaction"));
+});
+
+test("decide() answers a violating input with every violation", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "input-schemas-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "rules.yaml");
+  fs.writeFileSync(
+    file,
+    `
+input_validation:
+  coerce: true
+  schemas:
+    transaction: ${JSON.stringify(TRANSACTION_SCHEMA)}
+rules:
+  - id: "DENY_LARGE"
+    name: "Large"
+    condition: { field: "request.amount", op: "gt", value: 100 }
+    outcome: "SAFE_DENY"
+`
+  );
+  const service = new DecisionService({ version: "v1", rulesConfigPath: file });
+  t.after(() => service.stop());
+
+  const rejected = await service.decide(input({ amount: -1 }, { extra: 1 }));
+  assert.equal(rejected.decision.final, "ERROR");
+  assert.equal(rejected.error.type, "VALIDATION_ERROR");
+  assert.equal(rejected.error.message, "Input validation failed (2 violations)");
+  assert.deepEqual(rejected.error.violations.map((violation) => violation.path), [
+    "request.amount",
+    "signals.extra",
+  ]);
+
+  const coerced = await service.decide(input({ amount: "500" }));
+  assert.equal(coerced.ruleEvaluation.matchedRule.id, "DENY_LARGE");
+});
@@ -0,0 +1,359 @@
+/**
+ * ============================================================================
+ * VELOCITY STORES - Sliding-window event storage for velocity counters
+ * ============================================================================
+ *
+ * Store interface (all methods async, so a networked store fits):
+ *   add(key, { timestamp, amount, windowMs })  → { count, sum } in window
+ *                                                 (including this event)
+ *   peek(key, { timestamp, windowMs })         → { count, sum } in window
+ *   close()
+ *
+ * Implementations:
+ * - MemoryVelocityStore: per-process, counts in time buckets (default)
+ * - RedisVelocityStore:  one sorted set per key, scored by timestamp.
+ *   Works with any client exposing zadd / zremrangebyscore / zrangebyscore /
+ *   pexpire (e.g. ioredis) - or with LocalRedisClient, an in-process
+ *   stand-in implementing just those commands.
+ *
+ * Design Decisions:
+ * 1. Redis windows are exact (event timestamps). The memory store sums
+ *    events into BUCKETS_PER_WINDOW buckets per key, so a hot key costs
+ *    the same memory as a quiet one; its window start is accurate to one
+ *    bucket (the partly expired oldest bucket is left out)
+ * 2. Expired buckets/events are pruned on every access; idle keys are
+ *    swept periodically (memory) or expire via pexpire (Redis)
+ * 3. The memory store holds at most maxKeys keys - when full, the least
+ *    recently used key is evicted (its counts start over)
+ * 4. Counters are per process for the memory store - use a shared Redis
+ *    when several replicas must see the same velocity
+ * 5. Stores take the tracker's clock, so sweeping and expiry agree with
+ *    the timestamps the events were recorded at
+ *
+ * ============================================================================
+ */
+
+import crypto from "crypto";
+
+// How often idle keys are swept from in-process stores
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Memory store: buckets per window, and keys held at most
+const BUCKETS_PER_WINDOW = 60;
+const DEFAULT_MAX_KEYS = 100000;
+
+const systemClock = () => new Date();
+
+/**
+ * Sum up a list of { count, sum } buckets
+ */
+function aggregate(buckets) {
+  let count = 0;
+  let sum = 0;
+  for (const bucket of buckets) {
+    count += bucket.count;
+    sum += bucket.sum;
+  }
+  return { count, sum };
+}
+
+/**
+ * MemoryVelocityStore class - bucketed counts kept in process memory
+ */
+export class MemoryVelocityStore {
+  constructor({
+    sweepIntervalMs = SWEEP_INTERVAL_MS,
+    maxKeys = DEFAULT_MAX_KEYS,
+    clock = systemClock,
+  } = {}) {
+    // key → { buckets: [{ index, count, sum }], windowMs, bucketMs }
+    // Map order is least recently used first
+    this.keys = new Map();
+    this.maxKeys = maxKeys;
+    this.clock = clock;
+    this.evictions = 0;
+
+    this.sweepTimer = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Index of the newest bucket that lies (partly) outside the window
+   */
+  expiredIndex(entry, timestamp) {
+    return Math.floor((timestamp - entry.windowMs) / entry.bucketMs);
+  }
+
+  /**
+   * Drop buckets older than the window (buckets are in index order)
+   */
+  prune(entry, timestamp) {
+    const expired = this.expiredIndex(entry, timestamp);
+    let count = 0;
+    while (count < entry.buckets.length && entry.buckets[count].index <= expired) {
+      count++;
+    }
+    if (count > 0) {
+      entry.buckets.splice(0, count);
+    }
+  }
+
+  /**
+   * Get the entry for a key, creating it (and evicting if full) on demand
+   * A changed window (rules reload) starts the key over.
+   */
+  entryFor(key, windowMs) {
+    let entry = this.keys.get(key);
+    if (entry) {
+      // Re-insert to mark as most recently used
+      this.keys.delete(key);
+    }
+    if (!entry || entry.windowMs !== windowMs) {
+      entry = {
+        buckets: [],
+        windowMs,
+        bucketMs: Math.max(1, Math.ceil(windowMs / BUCKETS_PER_WINDOW)),
+      };
+    }
+
+    if (this.keys.size >= this.maxKeys) {
+      this.sweep();
+    }
+    while (this.keys.size >= this.maxKeys) {
+      this.keys.delete(this.keys.keys().next().value);
+      this.evictions++;
+    }
+
+    this.keys.set(key, entry);
+    return entry;
+  }
+
+  async add(key, { timestamp, amount = 1, windowMs }) {
+    const entry = this.entryFor(key, windowMs);
+    const index = Math.floor(timestamp / entry.bucketMs);
+
+    let bucket = entry.buckets[entry.buckets.length - 1];
+    if (!bucket || bucket.index < index) {
+      bucket = { index, count: 0, sum: 0 };
+      entry.buckets.push(bucket);
+    } else if (bucket.index > index) {
+      // Late event (clock skew) - count it in the earliest bucket not before it
+      bucket = entry.buckets.find((candidate) => candidate.index >= index);
+    }
+    bucket.count++;
+    bucket.sum += amount;
+
+    this.prune(entry, timestamp);
+    return aggregate(entry.buckets);
+  }
+
+  async peek(key, { timestamp, windowMs }) {
+    const entry = this.keys.get(key);
+    if (!entry || entry.windowMs !== windowMs) {
+      return { count: 0, sum: 0 };
+    }
+
+    const expired = this.expiredIndex(entry, timestamp);
+    return aggregate(entry.buckets.filter((bucket) => bucket.index > expired));
+  }
+
+  /**
+   * Remove keys whose newest bucket has left the window
+   */
+  sweep(now = this.clock().getTime()) {
+    for (const [key, entry] of this.keys) {
+      const newest = entry.buckets[entry.buckets.length - 1];
+      if (!newest || newest.index <= this.expiredIndex(entry, now)) {
+        this.keys.delete(key);
+      }
+    }
+  }
+
+  async close() {
+    clearInterval(this.sweepTimer);
+    this.keys.clear();
+  }
+}
+
+/**
+ * RedisVelocityStore class - one sorted set per key
+ * Members are "<timestamp>:<instance>:<sequence>:<amount>" so equal
+ * timestamps and amounts stay distinct - also across replicas sharing the
+ * Redis - and sums can be computed from the members alone.
+ */
+export class RedisVelocityStore {
+  constructor(client, { prefix = "velocity:" } = {}) {
+    this.client = client;
+    this.prefix = prefix;
+    this.instanceId = crypto.randomUUID();
+    this.sequence = 0;
+  }
+
+  async add(key, { timestamp, amount = 1, windowMs }) {
+    const redisKey = this.prefix + key;
+    const member = `${timestamp}:${this.instanceId}:${this.sequence++}:${amount}`;
+
+    await this.client.zadd(redisKey, timestamp, member);
+    await this.client.zremrangebyscore(redisKey, "-inf", timestamp - windowMs);
+    await this.client.pexpire(redisKey, windowMs);
+
+    return this.read(redisKey, timestamp, windowMs);
+  }
+
+  async peek(key, { timestamp, windowMs }) {
+    return this.read(this.prefix + key, timestamp, windowMs);
+  }
+
+  async read(redisKey, timestamp, windowMs) {
+    // "(" makes the lower bound exclusive, as in the memory store
+    const members = await this.client.zrangebyscore(
+      redisKey,
+      `(${timestamp - windowMs}`,
+      "+inf"
+    );
+
+    let sum = 0;
+    for (const member of members) {
+      sum += Number(member.slice(member.lastIndexOf(":") + 1));
+    }
+    return { count: members.length, sum };
+  }
+
+  async close() {
+    await this.client.quit?.();
+  }
+}
+
+/**
+ * Parse a Redis score bound ("-inf", "+inf", "(123" exclusive, "123")
+ */
+function parseBound(bound) {
+  if (bound === "-inf") return { value: -Infinity, exclusive: false };
+  if (bound === "+inf") return { value: Infinity, exclusive: false };
+  const text = String(bound);
+  return text.startsWith("(")
+    ? { value: Number(text.slice(1)), exclusive: true }
+    : { value: Number(text), exclusive: false };
+}
+
+/**
+ * LocalRedisClient class - in-process stand-in for the handful of sorted
+ * set commands RedisVelocityStore uses. Lets the Redis code path run (and
+ * be exercised) without a Redis server.
+ */
+export class LocalRedisClient {
+  constructor({ clock = systemClock } = {}) {
+    // key → { members: Map(member → score), expiresAt }
+    this.data = new Map();
+    this.clock = clock;
+
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  getSet(key) {
+    const entry = this.data.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= this.clock().getTime()) {
+      this.data.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async zadd(key, score, member) {
+    let entry = this.getSet(key);
+    if (!entry) {
+      entry = { members: new Map(), expiresAt: null };
+      this.data.set(key, entry);
+    }
+    const added = entry.members.has(member) ? 0 : 1;
+    entry.members.set(member, Number(score));
+    return added;
+  }
+
+  async zremrangebyscore(key, min, max) {
+    const entry = this.getSet(key);
+    if (!entry) return 0;
+
+    let removed = 0;
+    for (const [member, score] of entry.members) {
+      if (inRange(score, parseBound(min), parseBound(max))) {
+        entry.members.delete(member);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async zrangebyscore(key, min, max) {
+    const entry = this.getSet(key);
+    if (!entry) return [];
+
+    const lower = parseBound(min);
+    const upper = parseBound(max);
+    return [...entry.members]
+      .filter(([, score]) => inRange(score, lower, upper))
+      .sort((a, b) => a[1] - b[1])
+      .map(([member]) => member);
+  }
+
+  async pexpire(key, ms) {
+    const entry = this.getSet(key);
+    if (!entry) return 0;
+    entry.expiresAt = this.clock().getTime() + Number(ms);
+    return 1;
+  }
+
+  sweep() {
+    for (const key of this.data.keys()) {
+      this.getSet(key);
+    }
+  }
+
+  async quit() {
+    clearInterval(this.sweepTimer);
+    this.data.clear();
+    return "OK";
+  }
+}
+
+/**
+ * Check a score against parsed lower/upper bounds
+ */
+function inRange(score, lower, upper) {
+  const aboveLower = lower.exclusive ? score > lower.value : score >= lower.value;
+  const belowUpper = upper.exclusive ? score < upper.value : score <= upper.value;
+  return aboveLower && belowUpper;
+}
+
+// Store types selectable via VELOCITY_STORE
+export const VELOCITY_STORE_TYPES = {
+  MEMORY: "memory",
+  REDIS_LOCAL: "redis-local",
+};
+
+/**
+ * Create a velocity store by type
+ * A real Redis client can be passed as `client` to use RedisVelocityStore.
+ * options.clock - () => Date used for sweeping/expiry (the tracker's clock)
+ * options.maxKeys - key limit of the memory store
+ */
+export function createVelocityStore(
+  type = VELOCITY_STORE_TYPES.MEMORY,
+  { client, clock, maxKeys } = {}
+) {
+  if (client) {
+    return new RedisVelocityStore(client);
+  }
+
+  switch (type) {
+    case VELOCITY_STORE_TYPES.MEMORY:
+      return new MemoryVelocityStore({ clock, maxKeys });
+    case VELOCITY_STORE_TYPES.REDIS_LOCAL:
+      return new RedisVelocityStore(new LocalRedisClient({ clock }));
+    default:
+      throw new Error(
+        `Unknown velocity store "${type}" (expected one of ${Object.values(VELOCITY_STORE_TYPES).join(", ")})`
+      );
+  }
+}
@@ -0,0 +1,124 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MemoryVelocityStore,
+  RedisVelocityStore,
+  LocalRedisClient,
+  createVelocityStore,
+} from "./stores.js";
+
+const MINUTE = 60 * 1000;
+const T0 = Date.parse("2025-06-01T12:00:00Z");
+
+test("memory store counts and sums within the window", async () => {
+  const store = new MemoryVelocityStore();
+  try {
+    await store.add("k", { timestamp: T0, amount: 10, windowMs: 5 * MINUTE });
+    await store.add("k", { timestamp: T0 + MINUTE, amount: 5, windowMs: 5 * MINUTE });
+    assert.deepEqual(
+      await store.add("k", { timestamp: T0 + 2 * MINUTE, amount: 1, windowMs: 5 * MINUTE }),
+      { count: 3, sum: 16 }
+    );
+
+    // The first event leaves the window after 5 minutes
+    assert.deepEqual(await store.peek("k", { timestamp: T0 + 5 * MINUTE, windowMs: 5 * MINUTE }), { count: 2, sum: 6 });
+    assert.deepEqual(await store.peek("other", { timestamp: T0, windowMs: 5 * MINUTE }), { count: 0, sum: 0 });
+  } finally {
+    await store.close();
+  }
+});
+
+test("memory store keeps a bounded number of buckets per key", async () => {
+  const store = new MemoryVelocityStore();
+  try {
+    for (let i = 0; i < 1000; i++) {
+      await store.add("hot", { timestamp: T0 + i * 100, windowMs: MINUTE });
+    }
+    const entry = store.keys.get("hot");
+    assert.ok(entry.buckets.length <= 61, `${entry.buckets.length} buckets`);
+    // 100 s of events at 10/s, one minute window - within one bucket (1 s)
+    const { count } = await store.peek("hot", { timestamp: T0 + 99900, windowMs: MINUTE });
+    assert.ok(count >= 590 && count <= 600, `count ${count}`);
+  } finally {
+    await store.close();
+  }
+});
+
+test("memory store evicts the least recently used key when full", async () => {
+  const store = new MemoryVelocityStore({ maxKeys: 2, clock: () => new Date(T0) });
+  try {
+    const event = { timestamp: T0, windowMs: MINUTE };
+    await store.add("a", event);
+    await store.add("b", event);
+    await store.add("a", event);
+    await store.add("c", event);
+
+    assert.deepEqual([...store.keys.keys()], ["a", "c"]);
+    assert.equal(store.evictions, 1);
+    assert.deepEqual(await store.peek("a", event), { count: 2, sum: 2 });
+  } finally {
+    await store.close();
+  }
+});
+
+test("memory store sweeps idle keys by its clock", async () => {
+  let now = new Date(T0);
+  const store = new MemoryVelocityStore({ clock: () => now });
+  try {
+    await store.add("k", { timestamp: T0, windowMs: MINUTE });
+    store.sweep();
+    assert.equal(store.keys.size, 1);
+
+    now = new Date(T0 + 2 * MINUTE);
+    store.sweep();
+    assert.equal(store.keys.size, 0);
+  } finally {
+    await store.close();
+  }
+});
+
+test("redis store members stay distinct across instances sharing a client", async () => {
+  const client = new LocalRedisClient({ clock: () => new Date(T0) });
+  const first = new RedisVelocityStore(client);
+  const second = new RedisVelocityStore(client);
+  const event = { timestamp: T0, amount: 7, windowMs: MINUTE };
+
+  await first.add("k", event);
+  assert.deepEqual(await second.add("k", event), { count: 2, sum: 14 });
+  assert.notEqual(first.instanceId, second.instanceId);
+  await client.quit();
+});
+
+test("redis store window is exact", async () => {
+  const client = new LocalRedisClient({ clock: () => new Date(T0) });
+  const store = new RedisVelocityStore(client);
+  await store.add("k", { timestamp: T0, windowMs: MINUTE });
+  await store.add("k", { timestamp: T0 + 30000, windowMs: MINUTE });
+
+  assert.deepEqual(await store.peek("k", { timestamp: T0 + MINUTE - 1, windowMs: MINUTE }), { count: 2, sum: 2 });
+  assert.deepEqual(await store.peek("k", { timestamp: T0 + MINUTE, windowMs: MINUTE }), { count: 1, sum: 1 });
+  await store.close();
+});
+
+test("local redis client expires keys by its clock", async () => {
+  let now = new Date(T0);
+  const client = new LocalRedisClient({ clock: () => now });
+  await client.zadd("k", T0, "m");
+  await client.pexpire("k", MINUTE);
+  assert.deepEqual(await client.zrangebyscore("k", "-inf", "+inf"), ["m"]);
+
+  now = new Date(T0 + MINUTE);
+  assert.deepEqual(await client.zrangebyscore("k", "-inf", "+inf"), []);
+  await client.quit();
+});
+
+test("createVelocityStore picks the store by type", async () => {
+  const memory = createVelocityStore("memory", { maxKeys: 5 });
+  const redis = createVelocityStore("redis-local");
+  assert.ok(memory instanceof MemoryVelocityStore);
+  assert.equal(memory.maxKeys, 5);
+  assert.ok(redis instanceof RedisVelocityStore);
+  assert.throws(() => createVelocityStore("etcd"), /Unknown velocity store "etcd"/);
+  await memory.close();
+  await redis.close();
+});
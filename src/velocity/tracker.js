@@ -0,0 +1,185 @@
+/**
+ * ============================================================================
+ * VELOCITY TRACKER - Sliding-window counters that rules can reference
+ * ============================================================================
+ *
+ * Declared in rules.yaml:
+ *
+ *   velocity:
+ *     requests_per_source_5m:
+ *       key: "request.source_id"     # one counter per distinct value
+ *       window: "5m"
+ *     amount_per_user_1d:
+ *       key: "request.user_id"
+ *       window: "1d"
+ *       aggregate: "sum"             # count (default) | sum
+ *       field: "request.amount"      # summed value (sum only)
+ *
+ * and referenced in conditions as `velocity.<name>`:
+ *
+ *   - field: "velocity.requests_per_source_5m"
+ *     op: "gt"
+ *     value: 20
+ *
+ * Design Decisions:
+ * 1. Counters are updated by DecisionService.decide before the rules run,
+ *    so a value includes the current request
+ * 2. Values are injected under the reserved `velocity` key of the input -
+ *    the rule engine itself stays stateless and synchronous
+ * 3. Explain only peeks (current request added, nothing recorded)
+ * 4. A store failure never fails the decision - the affected counters are
+ *    left out and conditions on them simply don't match
+ * 5. Only strings, numbers and booleans are counted as keys. An object or
+ *    array key value would stringify to a shared "[object Object]" key, so
+ *    such requests are left out of the counter instead
+ *
+ * ============================================================================
+ */
+
+import { compilePath } from "../rules/compiler.js";
+import { parseDuration } from "../rules/operators.js";
+
+// Aggregations a counter can compute over its window
+export const VELOCITY_AGGREGATES = {
+  COUNT: "count",
+  SUM: "sum",
+};
+
+// Input key the computed values are injected under
+export const VELOCITY_NAMESPACE = "velocity";
+
+const VELOCITY_KEYS = ["key", "window", "aggregate", "field"];
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const SCALAR_TYPES = ["string", "number", "boolean"];
+
+/**
+ * Validate the velocity: section of a rules config
+ */
+export function validateVelocityDefinitions(velocity, errors) {
+  if (velocity === null || typeof velocity !== "object" || Array.isArray(velocity)) {
+    errors.push({ path: "velocity", message: "velocity must be a mapping of name → definition" });
+    return;
+  }
+
+  for (const [name, definition] of Object.entries(velocity)) {
+    const path = `velocity.${name}`;
+
+    if (!NAME_PATTERN.test(name)) {
+      errors.push({ path, message: `Invalid counter name "${name}" (letters, digits and _ only)` });
+    }
+
+    if (definition === null || typeof definition !== "object" || Array.isArray(definition)) {
+      errors.push({ path, message: "Counter definition must be a mapping" });
+      continue;
+    }
+
+    for (const key of Object.keys(definition)) {
+      if (!VELOCITY_KEYS.includes(key)) {
+        errors.push({ path: `${path}.${key}`, message: `Unknown key "${key}"` });
+      }
+    }
+
+    if (typeof definition.key !== "string" || definition.key === "") {
+      errors.push({ path: `${path}.key`, message: "key must be a field path" });
+    }
+
+    if (parseDuration(definition.window) === null) {
+      errors.push({
+        path: `${path}.window`,
+        message: `window must be a duration like "5m" or "1d", got "${definition.window}"`,
+      });
+    }
+
+    const aggregate = definition.aggregate ?? VELOCITY_AGGREGATES.COUNT;
+    if (!Object.values(VELOCITY_AGGREGATES).includes(aggregate)) {
+      errors.push({
+        path: `${path}.aggregate`,
+        message: `Invalid aggregate "${aggregate}" (expected one of ${Object.values(VELOCITY_AGGREGATES).join(", ")})`,
+      });
+    }
+
+    if (aggregate === VELOCITY_AGGREGATES.SUM && typeof definition.field !== "string") {
+      errors.push({ path: `${path}.field`, message: "sum counters require a field path" });
+    }
+  }
+}
+
+/**
+ * VelocityTracker class - computes counter values for a request
+ */
+export class VelocityTracker {
+  /**
+   * store - see stores.js; clock - () => Date
+   */
+  constructor(store, { clock = () => new Date() } = {}) {
+    this.store = store;
+    this.clock = clock;
+  }
+
+  /**
+   * Record the request in every counter and return the input with the
+   * counter values added under `velocity`
+   */
+  async observe(definitions, input) {
+    return this.compute(definitions, input, true);
+  }
+
+  /**
+   * Same values as observe() would produce, without recording anything
+   */
+  async peek(definitions, input) {
+    return this.compute(definitions, input, false);
+  }
+
+  async compute(definitions = {}, input, record) {
+    const names = Object.keys(definitions);
+    if (names.length === 0) {
+      return input;
+    }
+
+    const timestamp = this.clock().getTime();
+    const values = {};
+
+    await Promise.all(
+      names.map(async (name) => {
+        const definition = definitions[name];
+        const keyValue = compilePath(definition.key)(input);
+        if (keyValue === undefined || keyValue === null) {
+          return;
+        }
+        if (!SCALAR_TYPES.includes(typeof keyValue)) {
+          console.warn(`[VelocityTracker] Counter ${name} skipped: ${definition.key} is not a scalar`);
+          return;
+        }
+
+        const isSum = definition.aggregate === VELOCITY_AGGREGATES.SUM;
+        const amount = isSum ? compilePath(definition.field)(input) : 1;
+        const event = {
+          timestamp,
+          amount: typeof amount === "number" ? amount : 0,
+          windowMs: parseDuration(definition.window),
+        };
+        const key = `${name}:${keyValue}`;
+
+        try {
+          let totals;
+          if (record) {
+            totals = await this.store.add(key, event);
+          } else {
+            totals = await this.store.peek(key, event);
+            totals = { count: totals.count + 1, sum: totals.sum + event.amount };
+          }
+          values[name] = isSum ? totals.sum : totals.count;
+        } catch (error) {
+          console.warn(`[VelocityTracker] Counter ${name} unavailable: ${error.message}`);
+        }
+      })
+    );
+
+    return { ...input, [VELOCITY_NAMESPACE]: values };
+  }
+
+  async close() {
+    await this.store.close();
+  }
+}
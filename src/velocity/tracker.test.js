@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { VelocityTracker, validateVelocityDefinitions } from "./tracker.js";
+import { MemoryVelocityStore } from "./stores.js";
+
+const DEFINITIONS = {
+  per_source_5m: { key: "request.source_id", window: "5m" },
+  amount_per_user_1d: {
+    key: "request.user_id",
+    window: "1d",
+    aggregate: "sum",
+    field: "request.amount",
+  },
+};
+
+/**
+ * Tracker on a memory store with a settable clock
+ */
+function createTracker() {
+  const clock = { now: new Date("2025-06-01T12:00:00Z") };
+  const tracker = new VelocityTracker(new MemoryVelocityStore(), { clock: () => clock.now });
+  return { tracker, clock };
+}
+
+const request = (overrides = {}) => ({
+  request: { source_id: "src-1", user_id: "u-1", amount: 40, ...overrides },
+});
+
+test("observe records the request and injects counter values", async () => {
+  const { tracker } = createTracker();
+  try {
+    await tracker.observe(DEFINITIONS, request());
+    const result = await tracker.observe(DEFINITIONS, request({ amount: 2 }));
+    assert.deepEqual(result.velocity, { per_source_5m: 2, amount_per_user_1d: 42 });
+    assert.equal(result.request.amount, 2);
+  } finally {
+    await tracker.close();
+  }
+});
+
+test("peek includes the current request without recording it", async () => {
+  const { tracker } = createTracker();
+  try {
+    await tracker.observe(DEFINITIONS, request());
+    assert.deepEqual((await tracker.peek(DEFINITIONS, request())).velocity, {
+      per_source_5m: 2,
+      amount_per_user_1d: 80,
+    });
+    assert.deepEqual((await tracker.peek(DEFINITIONS, request())).velocity.per_source_5m, 2);
+  } finally {
+    await tracker.close();
+  }
+});
+
+test("counters follow the tracker's clock", async () => {
+  const { tracker, clock } = createTracker();
+  try {
+    await tracker.observe(DEFINITIONS, request());
+    clock.now = new Date("2025-06-01T12:06:00Z");
+    const { velocity } = await tracker.observe(DEFINITIONS, request());
+    assert.deepEqual(velocity, { per_source_5m: 1, amount_per_user_1d: 80 });
+  } finally {
+    await tracker.close();
+  }
+});
+
+test("missing and non-scalar key values are left out", async () => {
+  const { tracker } = createTracker();
+  try {
+    const missing = await tracker.observe(DEFINITIONS, { request: { user_id: "u-1", amount: 1 } });
+    assert.deepEqual(missing.velocity, { amount_per_user_1d: 1 });
+
+    // Two different objects must not share an "[object Object]" counter
+    await tracker.observe(DEFINITIONS, request({ source_id: { id: 1 } }));
+    const objectKey = await tracker.observe(DEFINITIONS, request({ source_id: { id: 2 } }));
+    assert.equal(objectKey.velocity.per_source_5m, undefined);
+    assert.equal(tracker.store.keys.has("per_source_5m:[object Object]"), false);
+  } finally {
+    await tracker.close();
+  }
+});
+
+test("a failing store leaves the counter out", async () => {
+  const tracker = new VelocityTracker({
+    add: async () => { throw new Error("store down"); },
+    close: async () => {},
+  });
+  const result = await tracker.observe(DEFINITIONS, request());
+  assert.deepEqual(result.velocity, {});
+});
+
+test("definitions are validated", () => {
+  const errors = [];
+  validateVelocityDefinitions(
+    {
+      "bad-name": { key: "request.id", window: "5m" },
+      no_window: { key: "request.id", window: "5 minutes" },
+      sum_without_field: { key: "request.id", window: "1h", aggregate: "sum" },
+      typo: { key: "request.id", window: "1h", agregate: "count" },
+    },
+    errors
+  );
+  assert.deepEqual(errors.map((error) => error.path), [
+    "velocity.bad-name",
+    "velocity.no_window.window",
+    "velocity.sum_without_field.field",
+    "velocity.typo.agregate",
+  ]);
+});